@@ -3,17 +3,39 @@ const session = require('express-session');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const config = require('./config/environment');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const projectRoutes = require('./routes/projects');
 const uploadRoutes = require('./routes/uploads');
+const adminRoutes = require('./routes/admins');
+const auditRoutes = require('./routes/audit');
+const tokenRoutes = require('./routes/tokens');
+const backupRoutes = require('./routes/backup');
+const mediaRoutes = require('./routes/media');
+const jobRoutes = require('./routes/jobs');
+const termRoutes = require('./routes/terms');
+const facetRoutes = require('./routes/facets');
+const feedRoutes = require('./routes/feeds');
 
 // Import database
-const { initializeDatabase } = require('./models/database');
+const { initializeDatabase, projectsDB, generateProjectsJSON } = require('./models/database');
+const { SQLiteSessionStore } = require('./models/sessions');
+const { startScheduler, startBackupScheduler } = require('./scheduler');
+const { syncMediaLibrary, attachResponsiveMedia } = require('./utils/media');
+const { renderPage, SITEMAP_FILE, ROBOTS_FILE } = require('./utils/seo');
+const { startJobWorkers } = require('./utils/jobs');
+const { resumeMediaProcessing } = require('./utils/mediaJobs');
+const { startUploadCleanup } = require('./utils/resumable');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
+
+app.set('trust proxy', config.trustProxy);
+
+// Files in the repository root the portfolio loads (its fonts)
+const PUBLIC_FILES = ['Satoshi-Regular.otf', 'Satoshi-Medium.otf', 'Boldonse-Regular.ttf'];
 
 // Middleware
 app.use(express.json({ limit: '50mb' }));
@@ -25,9 +47,10 @@ app.use(cors({
     credentials: true
 }));
 
-// Session configuration
+// Session configuration (stored in the database so logins survive restarts)
 app.use(session({
-    secret: 'your-secret-key-change-this-in-production',
+    store: new SQLiteSessionStore(),
+    secret: config.sessionSecret,
     resave: false,
     saveUninitialized: false,
     cookie: {
@@ -49,12 +72,31 @@ directories.forEach(dir => {
 // Serve static files
 app.use('/uploads', express.static(path.join(__dirname, '..', 'uploads')));
 app.use('/admin', express.static(path.join(__dirname, '..', 'admin')));
-app.use('/', express.static(path.join(__dirname, '..')));
+// The portfolio's own files only: never the repository root, which holds
+// data/ (the database), backups/, secrets/ and the server code. index.html is rendered
+// by the portfolio routes below.
+app.use('/assets', express.static(path.join(__dirname, '..', 'assets')));
+PUBLIC_FILES.forEach(file => {
+    app.get(`/${file}`, (req, res) => {
+        res.sendFile(path.join(__dirname, '..', file));
+    });
+});
 
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/admins', adminRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/tokens', tokenRoutes);
+app.use('/api/backup', backupRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/terms', termRoutes);
+app.use('/api/facets', facetRoutes);
+
+// RSS, Atom and JSON feeds of published work
+app.use('/', feedRoutes);
 
 // Admin routes
 app.get('/admin', (req, res) => {
@@ -75,9 +117,39 @@ app.get('/admin/editor', (req, res) => {
     res.sendFile(path.join(__dirname, '..', 'admin', 'editor.html'));
 });
 
-// Portfolio route
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, '..', 'index.html'));
+app.get('/admin/users', (req, res) => {
+    if (!req.session.admin) {
+        return res.redirect('/admin');
+    }
+    res.sendFile(path.join(__dirname, '..', 'admin', 'users.html'));
+});
+
+// Portfolio pages: the map, server-rendered with the title, link preview
+// tags and content of the page so crawlers and unfurlers see it.
+// /work/:regionSlug opens a tooltip (or a legacy single project) and
+// /work/:regionSlug/:projectSlug a project; unknown or unpublished ones
+// still get the map, with a 404.
+async function sendPortfolio(req, res) {
+    try {
+        const regions = await attachResponsiveMedia(await projectsDB.getAll({ publishedOnly: true }));
+        const { status, html } = await renderPage(req, regions, req.params);
+        res.status(status).type('html').send(html);
+    } catch (error) {
+        console.error('Error rendering portfolio page:', error);
+        res.status(500).sendFile(path.join(__dirname, '..', 'index.html'));
+    }
+}
+
+app.get('/', sendPortfolio);
+app.get('/work/:regionSlug/:projectSlug?', sendPortfolio);
+
+// Written alongside projects.json (see generateProjectsJSON)
+app.get('/sitemap.xml', (req, res) => {
+    res.type('application/xml').sendFile(SITEMAP_FILE);
+});
+
+app.get('/robots.txt', (req, res) => {
+    res.type('text/plain').sendFile(ROBOTS_FILE);
 });
 
 // API route to get projects for portfolio
@@ -87,9 +159,28 @@ app.get('/api/data/projects.json', (req, res) => {
 
 // Initialize database and start server
 console.log('🔄 Initializing database...');
-initializeDatabase().then(() => {
+initializeDatabase().then(async () => {
     console.log('✅ Database initialized, starting server...');
+
+    // Register uploads the media library does not know yet
+    await syncMediaLibrary().catch(error => console.error('❌ Media library sync failed:', error));
+
+    // Background media jobs, including any a restart interrupted
+    await startJobWorkers().catch(error => console.error('❌ Could not start job workers:', error));
+    await resumeMediaProcessing().catch(error => console.error('❌ Could not resume media processing:', error));
     
+    // Drop resumable uploads nobody finished
+    startUploadCleanup();
+
+    // Fresh projects.json, sitemap.xml and robots.txt (SITE_URL may have changed)
+    await generateProjectsJSON().catch(error => console.error('❌ Could not generate projects.json:', error));
+
+    // Publish/unpublish scheduled content
+    startScheduler();
+
+    // Optional scheduled backups (BACKUP_INTERVAL_HOURS)
+    startBackupScheduler(config.backupIntervalHours, config.backupRetention);
+
     app.listen(PORT, '0.0.0.0', () => {
         console.log(`🚀 Server running at http://localhost:${PORT}`);
         console.log(`📊 Admin panel: http://localhost:${PORT}/admin`);
@@ -0,0 +1,47 @@
+const path = require('path');
+const { writeBackupFile, restoreBackup } = require('./utils/backup');
+const { migrate } = require('./db/migrator');
+
+// Command line entry point:
+//   npm run backup [file]     write a backup archive (default: a timestamped
+//                             file in BACKUP_DIR, backups/)
+//   npm run restore <file>    check an archive and restore it; stop the
+//                             server first
+
+async function main() {
+    const [command, file] = process.argv.slice(2);
+
+    switch (command) {
+        case 'create': {
+            // Same schema as the running server would have
+            await migrate();
+
+            const { file: written, manifest } = await writeBackupFile(file ? path.resolve(file) : undefined);
+            console.log(`✅ Backup written to ${written} (${manifest.files.length} file(s))`);
+            if (manifest.missing.length > 0) {
+                console.warn(`⚠️ ${manifest.missing.length} referenced upload(s) were missing and are not included:`);
+                manifest.missing.forEach(url => console.warn(`   ${url}`));
+            }
+            break;
+        }
+
+        case 'restore': {
+            if (!file) {
+                throw new Error('Usage: npm run restore <file>');
+            }
+
+            const { manifest, safetyBackup } = await restoreBackup(path.resolve(file));
+            console.log(`✅ Restored backup from ${manifest.createdAt} (${manifest.files.length} file(s))`);
+            console.log(`💾 The previous state was saved to ${safetyBackup}`);
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown command "${command}" (expected create or restore)`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Backup failed:', error.message);
+    process.exit(1);
+});
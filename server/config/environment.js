@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const DATA_DIR = path.join(ROOT_DIR, 'data');
+// Generated secrets are kept apart from data/, which holds the database and
+// is backed up and copied around. SECRETS_DIR moves them, e.g. to a volume.
+const SECRETS_DIR = process.env.SECRETS_DIR || path.join(ROOT_DIR, 'secrets');
+// Where the session secret used to be generated
+const LEGACY_SESSION_SECRET_FILE = path.join(DATA_DIR, 'session-secret');
+
+// A random secret generated on first start and kept in SECRETS_DIR, readable
+// by the server's user only. `legacyFile` is moved there if it exists.
+function loadSecretFile(name, label, legacyFile = null) {
+    const file = path.join(SECRETS_DIR, name);
+    fs.mkdirSync(SECRETS_DIR, { recursive: true, mode: 0o700 });
+
+    if (legacyFile && !fs.existsSync(file) && fs.existsSync(legacyFile)) {
+        fs.copyFileSync(legacyFile, file);
+        fs.chmodSync(file, 0o600);
+        fs.unlinkSync(legacyFile);
+        console.log(`🔑 Moved the ${label} to ${path.relative(process.cwd(), file)}`);
+    }
+
+    if (fs.existsSync(file)) {
+        return fs.readFileSync(file, 'utf8').trim();
+    }
+
+    const secret = crypto.randomBytes(48).toString('base64url');
+    fs.writeFileSync(file, secret + '\n', { mode: 0o600 });
+    console.log(`🔑 Generated a ${label} in ${path.relative(process.cwd(), file)}`);
+    return secret;
+}
+
+// SESSION_SECRET from the environment, or one generated into SECRETS_DIR so
+// sessions survive restarts
+function loadSessionSecret() {
+    return process.env.SESSION_SECRET || loadSecretFile('session-secret', 'session secret', LEGACY_SESSION_SECRET_FILE);
+}
+
+// SITE_URL without a trailing slash. Links are never built from the
+// request's Host header, which the client sends, so production requires it;
+// in development it defaults to this server on localhost.
+function loadSiteUrl(port) {
+    const value = (process.env.SITE_URL || '').trim().replace(/\/+$/, '');
+    if (!value) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('SITE_URL is required in production (the public address, e.g. https://turfmapp.com)');
+        }
+        return `http://localhost:${port}`;
+    }
+
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`SITE_URL must be an http(s) address, got "${value}"`);
+    }
+    return value;
+}
+
+// TRUST_PROXY as Express's 'trust proxy' setting: a number of proxy hops
+// (1 behind traefik), true/false, or addresses and subnets ("loopback,
+// 10.0.0.0/8"). Off by default, as the client could then set its own IP.
+function parseTrustProxy(value) {
+    const text = String(value || '').trim();
+    if (!text || text === 'false') return false;
+    if (text === 'true') return true;
+    if (/^\d+$/.test(text)) return Number(text);
+    return text.split(',').map(part => part.trim()).filter(Boolean);
+}
+
+// Comma-separated list of positive integers, e.g. IMAGE_WIDTHS=320,640,1280
+function parseWidths(value, fallback) {
+    const widths = String(value || '').split(',').map(Number).filter(width => Number.isInteger(width) && width > 0);
+    return widths.length > 0 ? [...new Set(widths)].sort((a, b) => a - b) : fallback;
+}
+
+module.exports = {
+    port: process.env.PORT || 3000,
+    nodeEnv: process.env.NODE_ENV || 'development',
+    // Proxies in front of the server, so req.ip (login throttling, the audit
+    // log, sessions) is the visitor's address and not the proxy's
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+    sessionSecret: loadSessionSecret(),
+    // Encrypts the two-factor secrets stored in the database. Losing it
+    // locks out everyone using two-factor, so keep it (or secrets/) backed up.
+    totpKey: process.env.TOTP_ENCRYPTION_KEY || loadSecretFile('totp-key', 'two-factor encryption key'),
+    // Public address of the site (https://turfmapp.com) for canonical links,
+    // link previews, feeds and the sitemap
+    siteUrl: loadSiteUrl(process.env.PORT || 3000),
+    // Scheduled backups are off unless BACKUP_INTERVAL_HOURS is set. Archives
+    // hold the whole database, so they are kept outside data/ by default.
+    backupDir: process.env.BACKUP_DIR || path.join(ROOT_DIR, 'backups'),
+    backupIntervalHours: Number(process.env.BACKUP_INTERVAL_HOURS) || 0,
+    backupRetention: Number(process.env.BACKUP_RETENTION) || 7,
+    // Responsive image ladder: every uploaded image is resized to these
+    // widths (never enlarged) in WebP and AVIF
+    imageWidths: parseWidths(process.env.IMAGE_WIDTHS, [320, 640, 960, 1280, 1920]),
+    // Video processing uses a locally installed ffmpeg/ffprobe; without them
+    // videos are served as uploaded
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    ffprobePath: process.env.FFPROBE_PATH || 'ffprobe',
+    videoWebm: process.env.VIDEO_WEBM === 'true',
+    // Background media jobs: how many run at once (videos always one at a
+    // time) and how often a failing job is tried before it is given up
+    jobConcurrency: Math.max(Number(process.env.JOB_CONCURRENCY) || 2, 1),
+    jobMaxAttempts: Math.max(Number(process.env.JOB_MAX_ATTEMPTS) || 3, 1),
+    // Resumable uploads: largest file accepted, size of each chunk, and how
+    // long an unfinished upload is kept without activity
+    maxUploadSize: (Number(process.env.MAX_UPLOAD_MB) || 2048) * 1024 * 1024,
+    uploadChunkSize: (Number(process.env.UPLOAD_CHUNK_MB) || 8) * 1024 * 1024,
+    uploadSessionHours: Number(process.env.UPLOAD_SESSION_HOURS) || 24,
+    // Where uploads are kept: 'local' (uploads/, the default) or 's3' for an
+    // S3-compatible bucket (AWS S3, Cloudflare R2, MinIO, ...) served from
+    // S3_PUBLIC_URL
+    storageDriver: process.env.STORAGE_DRIVER || 'local',
+    s3: {
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION || 'auto',
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        publicUrl: process.env.S3_PUBLIC_URL,
+        prefix: process.env.S3_PREFIX || '',
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    }
+};
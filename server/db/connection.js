@@ -0,0 +1,104 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+const DB_PATH = path.join(__dirname, '..', '..', 'data', 'projects.db');
+
+// Open a connection. Foreign keys are enforced by default (needed for
+// ON DELETE CASCADE); migrations switch them off while rebuilding tables.
+// `file` opens another database, e.g. a backup snapshot.
+function openDatabase({ foreignKeys = true, file = DB_PATH } = {}) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(file, (err) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            db.configure('busyTimeout', 5000);
+            db.run(`PRAGMA foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`, (err) => {
+                if (err) reject(err);
+                else resolve(db);
+            });
+        });
+    });
+}
+
+// Promise wrappers around the sqlite3 callback API
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+        });
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+}
+
+function exec(db, sql) {
+    return new Promise((resolve, reject) => {
+        db.exec(sql, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+function close(db) {
+    return new Promise((resolve) => {
+        db.close(() => resolve());
+    });
+}
+
+// Run fn with a fresh connection and always close it afterwards
+async function withDatabase(fn) {
+    const db = await openDatabase();
+    try {
+        return await fn(db);
+    } finally {
+        await close(db);
+    }
+}
+
+// Run fn inside a transaction; any thrown error rolls everything back
+function withTransaction(fn) {
+    return withDatabase(async (db) => {
+        await run(db, 'BEGIN IMMEDIATE');
+        try {
+            const result = await fn(db);
+            await run(db, 'COMMIT');
+            return result;
+        } catch (error) {
+            await run(db, 'ROLLBACK').catch(() => {});
+            throw error;
+        }
+    });
+}
+
+module.exports = {
+    DB_PATH,
+    openDatabase,
+    run,
+    get,
+    all,
+    exec,
+    close,
+    withDatabase,
+    withTransaction
+};
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const { migrate, rollback, status } = require('./migrator');
+
+// Command line entry point:
+//   npm run migrate              apply pending migrations
+//   npm run migrate:status       list migrations and whether they ran
+//   npm run migrate:down [n]     roll back the last n migrations (default 1)
+
+async function main() {
+    const [command = 'up', arg] = process.argv.slice(2);
+
+    fs.mkdirSync(path.join(__dirname, '..', '..', 'data'), { recursive: true });
+
+    switch (command) {
+        case 'up': {
+            const applied = await migrate();
+            console.log(applied.length > 0
+                ? `✅ Applied ${applied.length} migration(s)`
+                : '✅ Database is up to date');
+            break;
+        }
+
+        case 'down': {
+            const steps = arg ? parseInt(arg, 10) : 1;
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error('Number of steps must be a positive integer');
+            }
+
+            const rolledBack = await rollback(steps);
+            console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+            break;
+        }
+
+        case 'status': {
+            const migrations = await status();
+            migrations.forEach(migration => {
+                const state = migration.applied ? `applied ${migration.applied_at}` : 'pending';
+                console.log(`${String(migration.version).padStart(3, '0')}_${migration.name}  ${state}`);
+            });
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
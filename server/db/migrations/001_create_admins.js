@@ -0,0 +1,19 @@
+const { exec } = require('../connection');
+
+// Admin users table
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS admins (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT UNIQUE NOT NULL,
+                password_hash TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    down: async (db) => {
+        await exec(db, 'DROP TABLE IF EXISTS admins');
+    }
+};
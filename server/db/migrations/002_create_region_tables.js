@@ -0,0 +1,96 @@
+const { exec } = require('../connection');
+
+// Region tables replacing the old single `projects` table
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS regions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                kind TEXT NOT NULL DEFAULT 'region' CHECK (kind IN ('region', 'legacy')),
+                name TEXT NOT NULL,
+                x REAL,
+                y REAL,
+                w REAL,
+                h REAL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS region_projects (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                region_id INTEGER NOT NULL REFERENCES regions(id) ON DELETE CASCADE,
+                position INTEGER NOT NULL DEFAULT 0,
+                title TEXT NOT NULL,
+                under TEXT,
+                service TEXT,
+                date TEXT,
+                description TEXT,
+                main_title TEXT,
+                main_body TEXT,
+                image_url TEXT,
+                video_url TEXT,
+                youtube_url TEXT,
+                direct_video_url TEXT
+            );
+
+            CREATE TABLE IF NOT EXISTS project_media (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                project_id INTEGER NOT NULL REFERENCES region_projects(id) ON DELETE CASCADE,
+                position INTEGER NOT NULL DEFAULT 0,
+                type TEXT NOT NULL,
+                url TEXT NOT NULL,
+                thumbnail TEXT
+            );
+
+            CREATE TABLE IF NOT EXISTS project_sections (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                project_id INTEGER NOT NULL REFERENCES region_projects(id) ON DELETE CASCADE,
+                position INTEGER NOT NULL DEFAULT 0,
+                title TEXT,
+                body TEXT,
+                video_url TEXT
+            );
+
+            CREATE TABLE IF NOT EXISTS section_photos (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                section_id INTEGER NOT NULL REFERENCES project_sections(id) ON DELETE CASCADE,
+                position INTEGER NOT NULL DEFAULT 0,
+                url TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS project_links (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                project_id INTEGER NOT NULL REFERENCES region_projects(id) ON DELETE CASCADE,
+                position INTEGER NOT NULL DEFAULT 0,
+                text TEXT,
+                url TEXT NOT NULL
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_region_projects_region ON region_projects(region_id, position);
+            CREATE INDEX IF NOT EXISTS idx_region_projects_title ON region_projects(title);
+            CREATE INDEX IF NOT EXISTS idx_project_media_project ON project_media(project_id, position);
+            CREATE INDEX IF NOT EXISTS idx_project_sections_project ON project_sections(project_id, position);
+            CREATE INDEX IF NOT EXISTS idx_section_photos_section ON section_photos(section_id, position);
+            CREATE INDEX IF NOT EXISTS idx_project_links_project ON project_links(project_id, position);
+
+            CREATE TRIGGER IF NOT EXISTS update_regions_timestamp
+            AFTER UPDATE ON regions
+            FOR EACH ROW
+            BEGIN
+                UPDATE regions SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+        `);
+    },
+
+    down: async (db) => {
+        await exec(db, `
+            DROP TRIGGER IF EXISTS update_regions_timestamp;
+            DROP TABLE IF EXISTS project_links;
+            DROP TABLE IF EXISTS section_photos;
+            DROP TABLE IF EXISTS project_sections;
+            DROP TABLE IF EXISTS project_media;
+            DROP TABLE IF EXISTS region_projects;
+            DROP TABLE IF EXISTS regions;
+        `);
+    }
+};
@@ -0,0 +1,141 @@
+const { run, get, all } = require('../connection');
+
+// Move rows from the old single `projects` table into the region tables,
+// keeping ids and timestamps, then rename it to `projects_legacy`.
+//
+// The old schema stored a region's whole project array in the `links` column,
+// while legacy single projects kept real {text, url} links there. A link always
+// has a url and a region project never does, which tells the two apart without
+// guessing from `title` alone.
+//
+// This migration deliberately has its own insert code instead of using the
+// model, so later schema changes cannot break it.
+
+function parseJSON(value, fallback) {
+    try {
+        return value ? JSON.parse(value) : fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function isRegionRow(links) {
+    return Array.isArray(links) && links.length > 0 && links.every(item =>
+        item && typeof item === 'object' && item.title !== undefined && item.url === undefined
+    );
+}
+
+function coordinate(coordinates, key) {
+    return typeof coordinates[key] === 'number' ? coordinates[key] : null;
+}
+
+async function insertProject(db, regionId, position, project) {
+    const mainDescription = project.mainDescription || {};
+
+    const { lastID: projectId } = await run(db, `
+        INSERT INTO region_projects (
+            region_id, position, title, under, service, date, description,
+            main_title, main_body, image_url, video_url, youtube_url, direct_video_url
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        regionId,
+        position,
+        project.title || '',
+        project.under || null,
+        project.service || '',
+        project.date || '',
+        project.description || '',
+        mainDescription.title || '',
+        mainDescription.body || '',
+        project.image_url || '',
+        project.video_url || '',
+        project.youtube_url || '',
+        project.directVideoUrl || ''
+    ]);
+
+    for (const [index, item] of (project.media || []).entries()) {
+        await run(db, `
+            INSERT INTO project_media (project_id, position, type, url, thumbnail)
+            VALUES (?, ?, ?, ?, ?)
+        `, [projectId, index, item.type || 'image', item.url || '', item.thumbnail || null]);
+    }
+
+    for (const [index, section] of (project.sections || []).entries()) {
+        const { lastID: sectionId } = await run(db, `
+            INSERT INTO project_sections (project_id, position, title, body, video_url)
+            VALUES (?, ?, ?, ?, ?)
+        `, [projectId, index, section.title || '', section.body || '', section.videoUrl || '']);
+
+        for (const [photoIndex, url] of (section.photos || []).entries()) {
+            await run(db, `
+                INSERT INTO section_photos (section_id, position, url)
+                VALUES (?, ?, ?)
+            `, [sectionId, photoIndex, url]);
+        }
+    }
+
+    for (const [index, link] of (project.links || []).entries()) {
+        await run(db, `
+            INSERT INTO project_links (project_id, position, text, url)
+            VALUES (?, ?, ?, ?)
+        `, [projectId, index, link.text || link.title || '', link.url || '']);
+    }
+}
+
+module.exports = {
+    up: async (db) => {
+        const table = await get(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'projects'");
+        if (!table) return;
+
+        const rows = await all(db, 'SELECT * FROM projects ORDER BY id');
+
+        for (const row of rows) {
+            const links = parseJSON(row.links, []);
+            const coordinates = parseJSON(row.coordinates, {}) || {};
+            const regionRow = isRegionRow(links);
+
+            await run(db, `
+                INSERT INTO regions (id, kind, name, x, y, w, h, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                row.id,
+                regionRow ? 'region' : 'legacy',
+                row.title,
+                coordinate(coordinates, 'x'),
+                coordinate(coordinates, 'y'),
+                coordinate(coordinates, 'w'),
+                coordinate(coordinates, 'h'),
+                row.created_at,
+                row.updated_at
+            ]);
+
+            if (regionRow) {
+                for (const [position, project] of links.entries()) {
+                    await insertProject(db, row.id, position, project);
+                }
+            } else {
+                await insertProject(db, row.id, 0, {
+                    title: row.title,
+                    description: row.description,
+                    image_url: row.image_url,
+                    video_url: row.video_url,
+                    links: Array.isArray(links) ? links : []
+                });
+            }
+        }
+
+        await run(db, 'DROP TRIGGER IF EXISTS update_projects_timestamp');
+        await run(db, 'ALTER TABLE projects RENAME TO projects_legacy');
+
+        console.log(`✅ Moved ${rows.length} row(s) from projects into region tables`);
+    },
+
+    // Nothing to undo on databases that never had the old table; otherwise the
+    // regions may have been edited since, so refuse rather than lose data
+    down: async (db) => {
+        const table = await get(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'projects_legacy'");
+        if (table) {
+            throw new Error('Legacy project data was migrated and cannot be rolled back automatically; restore a database backup instead');
+        }
+    }
+};
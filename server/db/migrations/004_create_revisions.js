@@ -0,0 +1,27 @@
+const { exec } = require('../connection');
+
+// Revision snapshots for regions. No foreign key on region_id: revisions must
+// outlive the region so deleted regions can be restored.
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS revisions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                region_id INTEGER NOT NULL,
+                rev INTEGER NOT NULL,
+                action TEXT NOT NULL CHECK (action IN ('baseline', 'create', 'update', 'delete', 'restore')),
+                snapshot TEXT NOT NULL,
+                admin_id INTEGER,
+                admin_username TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (region_id, rev)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_revisions_action ON revisions(action, created_at);
+        `);
+    },
+
+    down: async (db) => {
+        await exec(db, 'DROP TABLE IF EXISTS revisions');
+    }
+};
@@ -0,0 +1,32 @@
+const { exec } = require('../connection');
+
+// Publishing workflow for regions and the projects inside them. Existing rows
+// stay published so the live map does not change. publish_at / unpublish_at
+// are ISO 8601 UTC strings so they compare correctly as text.
+const TABLES = ['regions', 'region_projects'];
+
+module.exports = {
+    up: async (db) => {
+        for (const table of TABLES) {
+            await exec(db, `
+                ALTER TABLE ${table} ADD COLUMN status TEXT NOT NULL DEFAULT 'published'
+                    CHECK (status IN ('draft', 'published', 'scheduled'));
+                ALTER TABLE ${table} ADD COLUMN publish_at TEXT;
+                ALTER TABLE ${table} ADD COLUMN unpublish_at TEXT;
+
+                CREATE INDEX IF NOT EXISTS idx_${table}_status ON ${table}(status, publish_at, unpublish_at);
+            `);
+        }
+    },
+
+    down: async (db) => {
+        for (const table of TABLES) {
+            await exec(db, `
+                DROP INDEX IF EXISTS idx_${table}_status;
+                ALTER TABLE ${table} DROP COLUMN unpublish_at;
+                ALTER TABLE ${table} DROP COLUMN publish_at;
+                ALTER TABLE ${table} DROP COLUMN status;
+            `);
+        }
+    }
+};
@@ -0,0 +1,24 @@
+const { exec } = require('../connection');
+
+// Roles and account state for admin users. Accounts that existed before roles
+// become owners so nobody loses access.
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            ALTER TABLE admins ADD COLUMN role TEXT NOT NULL DEFAULT 'owner'
+                CHECK (role IN ('owner', 'editor', 'contributor', 'viewer'));
+            ALTER TABLE admins ADD COLUMN disabled INTEGER NOT NULL DEFAULT 0;
+            ALTER TABLE admins ADD COLUMN must_change_password INTEGER NOT NULL DEFAULT 0;
+            ALTER TABLE admins ADD COLUMN last_login_at DATETIME;
+        `);
+    },
+
+    down: async (db) => {
+        await exec(db, `
+            ALTER TABLE admins DROP COLUMN last_login_at;
+            ALTER TABLE admins DROP COLUMN must_change_password;
+            ALTER TABLE admins DROP COLUMN disabled;
+            ALTER TABLE admins DROP COLUMN role;
+        `);
+    }
+};
@@ -0,0 +1,29 @@
+const { exec } = require('../connection');
+
+// Who did what and when. Like revisions, entries keep the actor's username
+// and have no foreign keys, so they outlive deleted users and regions.
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                admin_id INTEGER,
+                admin_username TEXT,
+                action TEXT NOT NULL,
+                target_id TEXT,
+                ip TEXT,
+                user_agent TEXT,
+                summary TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+            CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(admin_username, created_at);
+            CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at);
+        `);
+    },
+
+    down: async (db) => {
+        await exec(db, 'DROP TABLE IF EXISTS audit_log');
+    }
+};
@@ -0,0 +1,40 @@
+const { exec } = require('../connection');
+
+// Login hardening: failed-attempt counters per IP and per username, and
+// optional TOTP two-factor auth with one-time recovery codes per admin.
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS login_throttle (
+                key TEXT PRIMARY KEY,
+                failures INTEGER NOT NULL DEFAULT 0,
+                last_failed_at INTEGER,
+                locked_until INTEGER
+            );
+
+            ALTER TABLE admins ADD COLUMN totp_secret TEXT;
+            ALTER TABLE admins ADD COLUMN totp_enabled INTEGER NOT NULL DEFAULT 0;
+            ALTER TABLE admins ADD COLUMN totp_last_counter INTEGER;
+
+            CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                admin_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+                code_hash TEXT NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_admin_recovery_codes_admin ON admin_recovery_codes(admin_id);
+        `);
+    },
+
+    down: async (db) => {
+        await exec(db, `
+            DROP TABLE IF EXISTS admin_recovery_codes;
+            ALTER TABLE admins DROP COLUMN totp_last_counter;
+            ALTER TABLE admins DROP COLUMN totp_enabled;
+            ALTER TABLE admins DROP COLUMN totp_secret;
+            DROP TABLE IF EXISTS login_throttle;
+        `);
+    }
+};
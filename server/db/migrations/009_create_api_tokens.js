@@ -0,0 +1,27 @@
+const { exec } = require('../connection');
+
+// Personal access tokens for scripts and other tools. Only a hash of each
+// token is kept; the token itself is shown once when it is created.
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS api_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                admin_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+                name TEXT NOT NULL,
+                token_prefix TEXT NOT NULL,
+                token_hash TEXT NOT NULL UNIQUE,
+                scopes TEXT NOT NULL,
+                expires_at DATETIME,
+                last_used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_api_tokens_admin ON api_tokens(admin_id);
+        `);
+    },
+
+    down: async (db) => {
+        await exec(db, 'DROP TABLE IF EXISTS api_tokens');
+    }
+};
@@ -0,0 +1,27 @@
+const { exec } = require('../connection');
+
+// Login sessions, so they survive restarts and can be listed and revoked.
+// admin_id, ip and user_agent are copied out of the session data for that.
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS sessions (
+                sid TEXT PRIMARY KEY,
+                admin_id INTEGER REFERENCES admins(id) ON DELETE CASCADE,
+                data TEXT NOT NULL,
+                ip TEXT,
+                user_agent TEXT,
+                expires_at INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_sessions_admin ON sessions(admin_id);
+            CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at);
+        `);
+    },
+
+    down: async (db) => {
+        await exec(db, 'DROP TABLE IF EXISTS sessions');
+    }
+};
@@ -0,0 +1,35 @@
+const { exec } = require('../connection');
+
+// Media library: one row per uploaded file with its metadata and derived
+// variants (JSON, e.g. {"optimized": {...}, "thumbnail": {...}}). Files that
+// were uploaded before this table existed are registered on startup.
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS media (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                type TEXT NOT NULL CHECK (type IN ('image', 'video')),
+                filename TEXT NOT NULL,
+                url TEXT NOT NULL UNIQUE,
+                original_name TEXT,
+                mime_type TEXT,
+                size INTEGER,
+                hash TEXT,
+                width INTEGER,
+                height INTEGER,
+                duration REAL,
+                variants TEXT NOT NULL DEFAULT '{}',
+                uploaded_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+                uploaded_by_username TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_media_type ON media(type, created_at);
+            CREATE INDEX IF NOT EXISTS idx_media_hash ON media(hash);
+        `);
+    },
+
+    down: async (db) => {
+        await exec(db, 'DROP TABLE IF EXISTS media');
+    }
+};
@@ -0,0 +1,13 @@
+const { exec } = require('../connection');
+
+// Tiny blurred preview of an image (a data: URI) shown while the real image
+// loads. Filled in on upload and by `npm run media:backfill`.
+module.exports = {
+    up: async (db) => {
+        await exec(db, 'ALTER TABLE media ADD COLUMN placeholder TEXT');
+    },
+
+    down: async (db) => {
+        await exec(db, 'ALTER TABLE media DROP COLUMN placeholder');
+    }
+};
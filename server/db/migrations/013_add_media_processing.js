@@ -0,0 +1,26 @@
+const { exec } = require('../connection');
+
+// Video processing state. Existing rows are ready as they are; new videos
+// are 'processing' until their poster, preview and transcodes exist (or
+// 'failed', with the reason in processing_error).
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            ALTER TABLE media ADD COLUMN status TEXT NOT NULL DEFAULT 'ready'
+                CHECK (status IN ('processing', 'ready', 'failed'));
+            ALTER TABLE media ADD COLUMN processing_error TEXT;
+            ALTER TABLE media ADD COLUMN codec TEXT;
+
+            CREATE INDEX IF NOT EXISTS idx_media_status ON media(status);
+        `);
+    },
+
+    down: async (db) => {
+        await exec(db, `
+            DROP INDEX IF EXISTS idx_media_status;
+            ALTER TABLE media DROP COLUMN codec;
+            ALTER TABLE media DROP COLUMN processing_error;
+            ALTER TABLE media DROP COLUMN status;
+        `);
+    }
+};
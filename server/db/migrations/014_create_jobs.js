@@ -0,0 +1,37 @@
+const { exec } = require('../connection');
+
+// Persistent background job queue for media work (image variants, video
+// processing, backfills). run_at (ms since epoch) delays retries; jobs left
+// 'running' by a stopped server are queued again on the next start.
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS jobs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                type TEXT NOT NULL,
+                payload TEXT NOT NULL DEFAULT '{}',
+                media_id INTEGER REFERENCES media(id) ON DELETE CASCADE,
+                status TEXT NOT NULL DEFAULT 'queued'
+                    CHECK (status IN ('queued', 'running', 'done', 'failed')),
+                progress REAL NOT NULL DEFAULT 0,
+                message TEXT,
+                error TEXT,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                max_attempts INTEGER NOT NULL DEFAULT 3,
+                run_at INTEGER NOT NULL,
+                created_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                started_at DATETIME,
+                finished_at DATETIME,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, run_at);
+            CREATE INDEX IF NOT EXISTS idx_jobs_media ON jobs(media_id);
+        `);
+    },
+
+    down: async (db) => {
+        await exec(db, 'DROP TABLE IF EXISTS jobs');
+    }
+};
@@ -0,0 +1,28 @@
+const { exec } = require('../connection');
+
+// Resumable (chunked) uploads in progress. Chunks are appended to
+// uploads/.partial/<id> in order; `received` is how many bytes are safely
+// written, so a client that lost its connection continues from there.
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS upload_sessions (
+                id TEXT PRIMARY KEY,
+                admin_id INTEGER REFERENCES admins(id) ON DELETE CASCADE,
+                original_name TEXT NOT NULL,
+                mime_type TEXT NOT NULL,
+                size INTEGER NOT NULL,
+                chunk_size INTEGER NOT NULL,
+                received INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_upload_sessions_updated ON upload_sessions(updated_at);
+        `);
+    },
+
+    down: async (db) => {
+        await exec(db, 'DROP TABLE IF EXISTS upload_sessions');
+    }
+};
@@ -0,0 +1,44 @@
+const { exec } = require('../connection');
+
+// Alt text, caption, credit and focal point for every placed image: project
+// media items and section photos. Library items get a focal point too, which
+// their thumbnails are cut around.
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            ALTER TABLE project_media ADD COLUMN alt TEXT;
+            ALTER TABLE project_media ADD COLUMN caption TEXT;
+            ALTER TABLE project_media ADD COLUMN credit TEXT;
+            ALTER TABLE project_media ADD COLUMN focal_x REAL;
+            ALTER TABLE project_media ADD COLUMN focal_y REAL;
+
+            ALTER TABLE section_photos ADD COLUMN alt TEXT;
+            ALTER TABLE section_photos ADD COLUMN caption TEXT;
+            ALTER TABLE section_photos ADD COLUMN credit TEXT;
+            ALTER TABLE section_photos ADD COLUMN focal_x REAL;
+            ALTER TABLE section_photos ADD COLUMN focal_y REAL;
+
+            ALTER TABLE media ADD COLUMN focal_x REAL;
+            ALTER TABLE media ADD COLUMN focal_y REAL;
+        `);
+    },
+
+    down: async (db) => {
+        await exec(db, `
+            ALTER TABLE media DROP COLUMN focal_y;
+            ALTER TABLE media DROP COLUMN focal_x;
+
+            ALTER TABLE section_photos DROP COLUMN focal_y;
+            ALTER TABLE section_photos DROP COLUMN focal_x;
+            ALTER TABLE section_photos DROP COLUMN credit;
+            ALTER TABLE section_photos DROP COLUMN caption;
+            ALTER TABLE section_photos DROP COLUMN alt;
+
+            ALTER TABLE project_media DROP COLUMN focal_y;
+            ALTER TABLE project_media DROP COLUMN focal_x;
+            ALTER TABLE project_media DROP COLUMN credit;
+            ALTER TABLE project_media DROP COLUMN caption;
+            ALTER TABLE project_media DROP COLUMN alt;
+        `);
+    }
+};
@@ -0,0 +1,29 @@
+const { exec } = require('../connection');
+
+// Full-text index over the content visitors search: one row per project
+// (rowid = region_projects.id) with its region's name, title, client
+// (`under`), service, descriptions and section text. Kept up to date by the
+// regions model whenever a region's project tree is written.
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            CREATE VIRTUAL TABLE IF NOT EXISTS project_search USING fts5(
+                region_name, title, under, service, description, sections,
+                region_id UNINDEXED,
+                tokenize = 'unicode61 remove_diacritics 2'
+            );
+
+            INSERT INTO project_search (rowid, region_name, title, under, service, description, sections, region_id)
+            SELECT p.id, r.name, p.title, p.under, p.service,
+                TRIM(COALESCE(p.description, '') || ' ' || COALESCE(p.main_title, '') || ' ' || COALESCE(p.main_body, '')),
+                (SELECT GROUP_CONCAT(COALESCE(s.title, '') || ' ' || COALESCE(s.body, ''), ' ')
+                    FROM project_sections s WHERE s.project_id = p.id),
+                p.region_id
+            FROM region_projects p JOIN regions r ON r.id = p.region_id;
+        `);
+    },
+
+    down: async (db) => {
+        await exec(db, 'DROP TABLE IF EXISTS project_search');
+    }
+};
@@ -0,0 +1,83 @@
+const { exec, run, get, all } = require('../connection');
+
+// Managed vocabularies for browsing: tags, clients and services, each term
+// with a display name and a slug unique within its type, assigned to
+// projects in order through project_terms. Clients and services start out
+// from the free-text `under` and `service` values already stored (a service
+// list like "Design, Build" becomes two terms); projects without a stored
+// client get none rather than the "Turfmapp" shown by default.
+//
+// Like 003, this has its own slug code so later changes cannot break it.
+
+function slugify(value) {
+    return String(value || '')
+        .normalize('NFKD')
+        .replace(/\p{M}+/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .slice(0, 80)
+        .replace(/^-+|-+$/g, '');
+}
+
+async function assignTerm(db, projectId, type, name, position) {
+    const slug = slugify(name);
+    if (!slug) return false;
+
+    let term = await get(db, 'SELECT id FROM terms WHERE type = ? AND slug = ?', [type, slug]);
+    if (!term) {
+        const { lastID } = await run(db, 'INSERT INTO terms (type, name, slug) VALUES (?, ?, ?)', [type, name, slug]);
+        term = { id: lastID };
+    }
+
+    const { changes } = await run(db, `
+        INSERT OR IGNORE INTO project_terms (project_id, term_id, position) VALUES (?, ?, ?)
+    `, [projectId, term.id, position]);
+    return changes > 0;
+}
+
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS terms (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                type TEXT NOT NULL CHECK (type IN ('tag', 'client', 'service')),
+                name TEXT NOT NULL,
+                slug TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (type, slug)
+            );
+
+            CREATE TABLE IF NOT EXISTS project_terms (
+                project_id INTEGER NOT NULL REFERENCES region_projects(id) ON DELETE CASCADE,
+                term_id INTEGER NOT NULL REFERENCES terms(id) ON DELETE CASCADE,
+                position INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (project_id, term_id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_project_terms_term ON project_terms(term_id);
+        `);
+
+        const projects = await all(db, 'SELECT id, under, service FROM region_projects ORDER BY id');
+        for (const project of projects) {
+            let position = 0;
+            const client = String(project.under || '').trim();
+            if (client && await assignTerm(db, project.id, 'client', client, position)) {
+                position++;
+            }
+
+            const services = String(project.service || '').split(',').map(name => name.trim()).filter(Boolean);
+            for (const service of services) {
+                if (await assignTerm(db, project.id, 'service', service, position)) {
+                    position++;
+                }
+            }
+        }
+    },
+
+    down: async (db) => {
+        await exec(db, `
+            DROP TABLE IF EXISTS project_terms;
+            DROP TABLE IF EXISTS terms;
+        `);
+    }
+};
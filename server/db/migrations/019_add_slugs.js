@@ -0,0 +1,65 @@
+const { exec, run, all } = require('../connection');
+
+// URL slugs for deep links (/work/:regionSlug/:projectSlug): unique across
+// regions, and unique among a region's projects. Existing rows get slugs
+// from their names and titles, numbered when two would clash ("court",
+// "court-2").
+//
+// Like 003, this has its own slug code so later changes cannot break it.
+
+function slugify(value) {
+    return String(value || '')
+        .normalize('NFKD')
+        .replace(/\p{M}+/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .slice(0, 80)
+        .replace(/^-+|-+$/g, '');
+}
+
+function uniqueSlug(value, fallback, taken) {
+    const base = slugify(value) || fallback;
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) {
+        slug = `${base}-${n}`;
+    }
+    taken.add(slug);
+    return slug;
+}
+
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            ALTER TABLE regions ADD COLUMN slug TEXT;
+            ALTER TABLE region_projects ADD COLUMN slug TEXT;
+        `);
+
+        const regionSlugs = new Set();
+        const regions = await all(db, 'SELECT id, name FROM regions ORDER BY id');
+        for (const region of regions) {
+            await run(db, 'UPDATE regions SET slug = ? WHERE id = ?', [uniqueSlug(region.name, 'region', regionSlugs), region.id]);
+        }
+
+        const projectSlugs = new Map();
+        const projects = await all(db, 'SELECT id, region_id, title FROM region_projects ORDER BY region_id, position');
+        for (const project of projects) {
+            if (!projectSlugs.has(project.region_id)) projectSlugs.set(project.region_id, new Set());
+            const slug = uniqueSlug(project.title, 'project', projectSlugs.get(project.region_id));
+            await run(db, 'UPDATE region_projects SET slug = ? WHERE id = ?', [slug, project.id]);
+        }
+
+        await exec(db, `
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_regions_slug ON regions(slug);
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_region_projects_slug ON region_projects(region_id, slug);
+        `);
+    },
+
+    down: async (db) => {
+        await exec(db, `
+            DROP INDEX IF EXISTS idx_region_projects_slug;
+            DROP INDEX IF EXISTS idx_regions_slug;
+            ALTER TABLE region_projects DROP COLUMN slug;
+            ALTER TABLE regions DROP COLUMN slug;
+        `);
+    }
+};
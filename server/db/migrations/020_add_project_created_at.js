@@ -0,0 +1,19 @@
+const { exec } = require('../connection');
+
+// When each project was added, for the feeds. A region's projects are
+// rewritten whenever it is saved, so the regions model carries the time
+// over by slug. Existing projects get the time their region was created.
+module.exports = {
+    up: async (db) => {
+        await exec(db, `
+            ALTER TABLE region_projects ADD COLUMN created_at DATETIME;
+            UPDATE region_projects SET created_at = (
+                SELECT r.created_at FROM regions r WHERE r.id = region_projects.region_id
+            );
+        `);
+    },
+
+    down: async (db) => {
+        await exec(db, 'ALTER TABLE region_projects DROP COLUMN created_at');
+    }
+};
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const { exec, run, all } = require('../connection');
+
+// Keep sessions under a SHA-256 hash of their id instead of the id itself
+// (the cookie value), so a copy of the database cannot be used to sign in.
+// Existing sessions are rehashed and stay signed in.
+//
+// Like 003, this has its own hashing code so later changes cannot break it.
+
+function hashSid(sid) {
+    return crypto.createHash('sha256').update(sid).digest('hex');
+}
+
+module.exports = {
+    up: async (db) => {
+        const rows = await all(db, 'SELECT sid FROM sessions');
+        for (const row of rows) {
+            await run(db, 'UPDATE sessions SET sid = ? WHERE sid = ?', [hashSid(row.sid), row.sid]);
+        }
+
+        await exec(db, 'ALTER TABLE sessions RENAME COLUMN sid TO sid_hash');
+    },
+
+    // The ids cannot be recovered from their hashes, so everyone signs in again
+    down: async (db) => {
+        await exec(db, `
+            DELETE FROM sessions;
+            ALTER TABLE sessions RENAME COLUMN sid_hash TO sid;
+        `);
+    }
+};
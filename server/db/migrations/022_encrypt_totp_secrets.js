@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const { run, all } = require('../connection');
+const config = require('../../config/environment');
+
+// Encrypt the stored two-factor secrets with the key in secrets/ (or
+// TOTP_ENCRYPTION_KEY), so a copy of the database or of a backup cannot be
+// used to make codes. Two-factor stays on for everyone who has it.
+//
+// Like 003, this has its own encryption code so later changes cannot break it.
+
+const PREFIX = 'v1:';
+
+function encryptionKey() {
+    return crypto.createHash('sha256').update(config.totpKey).digest();
+}
+
+function encrypt(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return PREFIX + Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+function decrypt(stored) {
+    const data = Buffer.from(stored.slice(PREFIX.length), 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), data.subarray(0, 12));
+    decipher.setAuthTag(data.subarray(12, 28));
+    return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+    up: async (db) => {
+        const rows = await all(db, 'SELECT id, totp_secret FROM admins WHERE totp_secret IS NOT NULL');
+        for (const row of rows.filter(r => !r.totp_secret.startsWith(PREFIX))) {
+            await run(db, 'UPDATE admins SET totp_secret = ? WHERE id = ?', [encrypt(row.totp_secret), row.id]);
+        }
+    },
+
+    down: async (db) => {
+        const rows = await all(db, 'SELECT id, totp_secret FROM admins WHERE totp_secret IS NOT NULL');
+        for (const row of rows.filter(r => r.totp_secret.startsWith(PREFIX))) {
+            await run(db, 'UPDATE admins SET totp_secret = ? WHERE id = ?', [decrypt(row.totp_secret), row.id]);
+        }
+    }
+};
@@ -0,0 +1,150 @@
+const path = require('path');
+const fs = require('fs');
+const { openDatabase, close, run, all } = require('./connection');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Read migration files (NNN_description.js) in version order
+function loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(filename => {
+            const match = filename.match(MIGRATION_FILE);
+            if (!match) return null;
+
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                filename,
+                ...require(path.join(MIGRATIONS_DIR, filename))
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (typeof migration.up !== 'function') {
+            throw new Error(`Migration ${migration.filename} does not export an up() function`);
+        }
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Duplicate migration version ${migration.version}`);
+        }
+    });
+
+    return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function getApplied(db) {
+    await ensureMigrationsTable(db);
+    const rows = await all(db, 'SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(rows.map(row => [row.version, row]));
+}
+
+// Run one migration step in its own transaction. Foreign keys are off so
+// migrations can rebuild tables, and checked before committing instead.
+async function applyStep(db, step) {
+    await run(db, 'BEGIN IMMEDIATE');
+    try {
+        await step();
+
+        const violations = await all(db, 'PRAGMA foreign_key_check');
+        if (violations.length > 0) {
+            throw new Error(`Foreign key check failed on table ${violations[0].table}`);
+        }
+
+        await run(db, 'COMMIT');
+    } catch (error) {
+        await run(db, 'ROLLBACK').catch(() => {});
+        throw error;
+    }
+}
+
+async function withMigrationDatabase(fn) {
+    const db = await openDatabase({ foreignKeys: false });
+    try {
+        return await fn(db);
+    } finally {
+        await close(db);
+    }
+}
+
+// Apply every pending migration, returning the ones that ran
+function migrate() {
+    return withMigrationDatabase(async (db) => {
+        const applied = await getApplied(db);
+        const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+        for (const migration of pending) {
+            console.log(`⬆️  Applying migration ${migration.filename}`);
+
+            await applyStep(db, async () => {
+                await migration.up(db);
+                await run(db, 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                    [migration.version, migration.name]);
+            });
+        }
+
+        return pending;
+    });
+}
+
+// Roll back the most recently applied migrations
+function rollback(steps = 1) {
+    return withMigrationDatabase(async (db) => {
+        const applied = await getApplied(db);
+        const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+        const targets = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+        const rolledBack = [];
+
+        for (const version of targets) {
+            const migration = migrations.get(version);
+
+            if (!migration) {
+                throw new Error(`Migration file for version ${version} is missing`);
+            }
+            if (typeof migration.down !== 'function') {
+                throw new Error(`Migration ${migration.filename} cannot be rolled back`);
+            }
+
+            console.log(`⬇️  Rolling back migration ${migration.filename}`);
+
+            await applyStep(db, async () => {
+                await migration.down(db);
+                await run(db, 'DELETE FROM schema_migrations WHERE version = ?', [version]);
+            });
+            rolledBack.push(migration);
+        }
+
+        return rolledBack;
+    });
+}
+
+// List every known migration with its applied state
+function status() {
+    return withMigrationDatabase(async (db) => {
+        const applied = await getApplied(db);
+
+        return loadMigrations().map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            applied: applied.has(migration.version),
+            applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+        }));
+    });
+}
+
+module.exports = {
+    migrate,
+    rollback,
+    status
+};
@@ -0,0 +1,69 @@
+const { initializeDatabase, generateProjectsJSON } = require('./models/database');
+const { syncMediaLibrary } = require('./utils/media');
+const { ffmpegAvailable } = require('./utils/video');
+const { startJobWorkers, stopJobWorkers, waitForJobs } = require('./utils/jobs');
+const { queueBackfill } = require('./utils/mediaJobs');
+const config = require('./config/environment');
+
+// Command line entry point:
+//   npm run media:backfill [-- --force]
+//       create responsive variants (IMAGE_WIDTHS in AVIF and WebP) and blur
+//       placeholders for images uploaded before they existed, and posters,
+//       previews and transcodes for videos (needs ffmpeg). --force recreates
+//       them for everything, e.g. after changing IMAGE_WIDTHS. The work goes
+//       through the job queue, so a running server helps with it and shows
+//       the jobs; this command waits until all of them are finished.
+
+async function main() {
+    const [command, ...flags] = process.argv.slice(2);
+
+    switch (command) {
+        case 'backfill': {
+            await initializeDatabase();
+            await syncMediaLibrary();
+
+            const types = ['image'];
+            if (await ffmpegAvailable()) {
+                types.push('video');
+            } else {
+                console.warn('⚠️ ffmpeg is not installed, skipping videos');
+            }
+
+            console.log(`🔄 Queueing image variants at ${config.imageWidths.join(', ')}px${types.includes('video') ? ' and video processing' : ''}`);
+            const { queued, skipped } = await queueBackfill({ force: flags.includes('--force'), types });
+            const result = { processed: 0, skipped, failed: 0 };
+            const names = new Map(queued.map(({ media, job }) => [job.id, media.filename]));
+
+            // Jobs a server in another process is running are not requeued
+            await startJobWorkers({ requeue: false });
+            await waitForJobs([...names.keys()], (job) => {
+                const name = names.get(job.id);
+                if (job.status === 'done') {
+                    result.processed++;
+                    console.log(`✅ ${name}`);
+                } else {
+                    result.failed++;
+                    console.warn(`⚠️ ${name}: ${job.error}`);
+                }
+            });
+            stopJobWorkers();
+
+            // The public fallback file carries the new srcsets too
+            await generateProjectsJSON();
+
+            console.log(`✅ Backfill finished: ${result.processed} processed, ${result.skipped} already up to date, ${result.failed} failed`);
+            if (result.failed > 0) {
+                process.exitCode = 1;
+            }
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown command "${command}" (expected backfill)`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Media command failed:', error.message);
+    process.exit(1);
+});
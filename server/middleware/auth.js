@@ -1,15 +1,145 @@
-// Authentication middleware to protect admin routes
-function requireAuth(req, res, next) {
-    if (req.session && req.session.admin) {
-        next(); // User is authenticated
-    } else {
-        res.status(401).json({ 
-            error: 'Unauthorized',
-            message: 'Please log in to access this resource' 
-        });
+const { adminsDB } = require('../models/admins');
+const { apiTokensDB, hasScope } = require('../models/apiTokens');
+
+// What the session keeps about the logged-in admin
+function toSessionAdmin(admin) {
+    return {
+        id: admin.id,
+        username: admin.username,
+        role: admin.role,
+        mustChangePassword: Boolean(admin.must_change_password),
+        twoFactorEnabled: Boolean(admin.totp_enabled)
+    };
+}
+
+// Refresh the session admin from the database so role changes and disabled
+// accounts take effect on the next request. Returns null when logged out.
+async function loadSessionAdmin(req) {
+    if (!req.session || !req.session.admin) return null;
+
+    const admin = await adminsDB.getById(req.session.admin.id);
+    if (!admin || admin.disabled) {
+        delete req.session.admin;
+        return null;
     }
+
+    req.session.admin = toSessionAdmin(admin);
+
+    // Keep the address shown in the active sessions list current
+    if (!req.session.client || req.session.client.ip !== req.ip) {
+        req.session.client = { ip: req.ip, userAgent: req.get('User-Agent') || null };
+    }
+    return req.session.admin;
 }
 
+function bearerToken(req) {
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+// Declare the scope an API token needs for a router's routes: `read` for
+// GET/HEAD requests, `write` for the rest. Routes without one refuse tokens.
+function tokenScopes({ read, write }) {
+    return (req, res, next) => {
+        req.requiredScope = ['GET', 'HEAD'].includes(req.method) ? read : write;
+        next();
+    };
+}
+
+// Resolve an `Authorization: Bearer` token to the admin who owns it.
+// Returns { admin } or { status, error, message }.
+async function loadTokenAdmin(req, token) {
+    const record = await apiTokensDB.authenticate(token);
+    const admin = record && await adminsDB.getById(record.admin_id);
+
+    if (!admin || admin.disabled) {
+        return { status: 401, error: 'Invalid token', message: 'The API token is invalid, expired or revoked' };
+    }
+
+    if (!req.requiredScope) {
+        return { status: 403, error: 'Insufficient scope', message: 'API tokens cannot be used for this endpoint' };
+    }
+
+    if (!hasScope(record.scopes, req.requiredScope)) {
+        return { status: 403, error: 'Insufficient scope', message: `This API token needs the ${req.requiredScope} scope` };
+    }
+
+    req.apiToken = { id: record.id, name: record.name, scopes: record.scopes };
+    return { admin: toSessionAdmin(admin) };
+}
+
+// The admin making this request, from an API token or the session; null if
+// neither identifies one
+async function loadRequestAdmin(req) {
+    const token = bearerToken(req);
+    if (!token) return loadSessionAdmin(req);
+
+    const { admin } = await loadTokenAdmin(req, token);
+    return admin || null;
+}
+
+// Allow only logged-in admins with one of the given roles (any role if none
+// given), by session cookie or API token; the admin is put on `req.admin`.
+// Admins who still have to replace a temporary or default password are
+// refused everywhere except where `allowPasswordChange` is set.
+function authorize(roles, { allowPasswordChange = false } = {}) {
+    return async (req, res, next) => {
+        try {
+            const token = bearerToken(req);
+            let admin;
+
+            if (token) {
+                const result = await loadTokenAdmin(req, token);
+                if (!result.admin) {
+                    return res.status(result.status).json({
+                        error: result.error,
+                        message: result.message
+                    });
+                }
+                admin = result.admin;
+            } else {
+                admin = await loadSessionAdmin(req);
+            }
+
+            if (!admin) {
+                return res.status(401).json({
+                    error: 'Unauthorized',
+                    message: 'Please log in to access this resource'
+                });
+            }
+
+            if (admin.mustChangePassword && !allowPasswordChange) {
+                return res.status(403).json({
+                    error: 'Password change required',
+                    message: 'Please change your password before continuing'
+                });
+            }
+
+            if (roles.length > 0 && !roles.includes(admin.role)) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: 'Your role does not allow this action'
+                });
+            }
+
+            req.admin = admin;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+function requireRole(...roles) {
+    return authorize(roles);
+}
+
+// Authentication middleware to protect admin routes
+const requireAuth = requireRole();
+
+// Logged in, even if the password must be changed first (for changing it)
+const requireLogin = authorize([], { allowPasswordChange: true });
+
 // Check if user is already authenticated (for login page redirects)
 function checkAuth(req, res, next) {
     if (req.session && req.session.admin) {
@@ -20,5 +150,11 @@ function checkAuth(req, res, next) {
 
 module.exports = {
     requireAuth,
-    checkAuth
-};
\ No newline at end of file
+    requireRole,
+    requireLogin,
+    checkAuth,
+    tokenScopes,
+    loadSessionAdmin,
+    loadRequestAdmin,
+    toSessionAdmin
+};
@@ -0,0 +1,180 @@
+const { withDatabase, withTransaction, run, get, all } = require('../db/connection');
+
+// Admin users and their roles, from most to least privileged:
+//   owner        everything, including users, deleting regions and overwrite imports
+//   editor       create, edit, publish and restore content
+//   contributor  create and edit drafts only
+//   viewer       read-only access to the admin
+const ROLES = ['owner', 'editor', 'contributor', 'viewer'];
+
+// Password of the admin seeded into an empty database. It is documented, so
+// an account still using it has to change it before doing anything else.
+const DEFAULT_PASSWORD = 'admin123';
+
+// Public shape of an admin; never includes the password hash
+function formatAdmin(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        role: row.role,
+        disabled: Boolean(row.disabled),
+        mustChangePassword: Boolean(row.must_change_password),
+        twoFactorEnabled: Boolean(row.totp_enabled),
+        last_login_at: row.last_login_at || null,
+        created_at: row.created_at
+    };
+}
+
+async function replaceRecoveryCodes(db, id, recoveryCodeHashes) {
+    await run(db, 'DELETE FROM admin_recovery_codes WHERE admin_id = ?', [id]);
+    for (const codeHash of recoveryCodeHashes) {
+        await run(db, 'INSERT INTO admin_recovery_codes (admin_id, code_hash) VALUES (?, ?)', [id, codeHash]);
+    }
+}
+
+const adminsDB = {
+    // Get admin by username (including password hash, for login)
+    getByUsername: (username) => {
+        return withDatabase(db => get(db, 'SELECT * FROM admins WHERE username = ?', [username]));
+    },
+
+    // Get admin by ID (including password hash)
+    getById: (id) => {
+        return withDatabase(db => get(db, 'SELECT * FROM admins WHERE id = ?', [id]));
+    },
+
+    // List all admins
+    getAll: () => {
+        return withDatabase(async (db) => {
+            const rows = await all(db, 'SELECT * FROM admins ORDER BY created_at ASC, id ASC');
+            return rows.map(formatAdmin);
+        });
+    },
+
+    // Create admin, returning the new id
+    create: ({ username, passwordHash, role, mustChangePassword = false }) => {
+        return withDatabase(async (db) => {
+            const { lastID } = await run(db, `
+                INSERT INTO admins (username, password_hash, role, must_change_password)
+                VALUES (?, ?, ?, ?)
+            `, [username, passwordHash, role, mustChangePassword ? 1 : 0]);
+            return lastID;
+        });
+    },
+
+    // Change role and/or disabled flag
+    update: (id, { role, disabled }) => {
+        return withDatabase(async (db) => {
+            const { changes } = await run(db, `
+                UPDATE admins SET role = COALESCE(?, role), disabled = COALESCE(?, disabled)
+                WHERE id = ?
+            `, [role || null, disabled === undefined ? null : (disabled ? 1 : 0), id]);
+            return changes;
+        });
+    },
+
+    // Update admin password. Temporary passwords (invites and resets) must be
+    // changed on next login; a password the admin chose clears that flag.
+    updatePassword: (username, newPasswordHash, { temporary = false } = {}) => {
+        return withDatabase(async (db) => {
+            const { changes } = await run(db, `
+                UPDATE admins SET password_hash = ?, must_change_password = ?
+                WHERE username = ?
+            `, [newPasswordHash, temporary ? 1 : 0, username]);
+            return changes;
+        });
+    },
+
+    // Flag an account whose password must be changed before it can do anything else
+    requirePasswordChange: (id) => {
+        return withDatabase(db => run(db, 'UPDATE admins SET must_change_password = 1 WHERE id = ?', [id]));
+    },
+
+    recordLogin: (id) => {
+        return withDatabase(db => run(db, 'UPDATE admins SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [id]));
+    },
+
+    delete: (id) => {
+        return withDatabase(async (db) => {
+            const { changes } = await run(db, 'DELETE FROM admins WHERE id = ?', [id]);
+            return changes;
+        });
+    },
+
+    // Store a new TOTP secret (encrypted, see utils/totp) during enrollment;
+    // two-factor stays off until the admin confirms a code from it
+    setTotpSecret: (id, secret) => {
+        return withDatabase(db => run(db, `
+            UPDATE admins SET totp_secret = ?, totp_enabled = 0, totp_last_counter = NULL WHERE id = ?
+        `, [secret, id]));
+    },
+
+    // Turn two-factor on and replace the recovery codes (given as hashes)
+    enableTotp: (id, counter, recoveryCodeHashes) => {
+        return withTransaction(async (db) => {
+            await run(db, 'UPDATE admins SET totp_enabled = 1, totp_last_counter = ? WHERE id = ?', [counter, id]);
+            await replaceRecoveryCodes(db, id, recoveryCodeHashes);
+        });
+    },
+
+    disableTotp: (id) => {
+        return withTransaction(async (db) => {
+            await run(db, `
+                UPDATE admins SET totp_secret = NULL, totp_enabled = 0, totp_last_counter = NULL WHERE id = ?
+            `, [id]);
+            await run(db, 'DELETE FROM admin_recovery_codes WHERE admin_id = ?', [id]);
+        });
+    },
+
+    // Remember the last accepted time step so a code cannot be replayed.
+    // The check and the update are one statement, so of two requests with the
+    // same code only one gets through; false for the other.
+    setTotpCounter: (id, counter) => {
+        return withDatabase(async (db) => {
+            const { changes } = await run(db, `
+                UPDATE admins SET totp_last_counter = ?
+                WHERE id = ? AND (totp_last_counter IS NULL OR totp_last_counter < ?)
+            `, [counter, id, counter]);
+            return changes > 0;
+        });
+    },
+
+    replaceRecoveryCodes: (id, recoveryCodeHashes) => {
+        return withTransaction(db => replaceRecoveryCodes(db, id, recoveryCodeHashes));
+    },
+
+    // Mark an unused recovery code as used. Returns true if it was valid.
+    useRecoveryCode: (id, codeHash) => {
+        return withDatabase(async (db) => {
+            const { changes } = await run(db, `
+                UPDATE admin_recovery_codes SET used_at = CURRENT_TIMESTAMP
+                WHERE admin_id = ? AND code_hash = ? AND used_at IS NULL
+            `, [id, codeHash]);
+            return changes > 0;
+        });
+    },
+
+    countRecoveryCodes: (id) => {
+        return withDatabase(async (db) => {
+            const row = await get(db, `
+                SELECT COUNT(*) AS count FROM admin_recovery_codes WHERE admin_id = ? AND used_at IS NULL
+            `, [id]);
+            return row.count;
+        });
+    },
+
+    // Number of enabled owners, so the last one cannot be removed or demoted
+    countActiveOwners: () => {
+        return withDatabase(async (db) => {
+            const row = await get(db, "SELECT COUNT(*) AS count FROM admins WHERE role = 'owner' AND disabled = 0");
+            return row.count;
+        });
+    }
+};
+
+module.exports = {
+    adminsDB,
+    formatAdmin,
+    ROLES,
+    DEFAULT_PASSWORD
+};
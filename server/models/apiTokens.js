@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { withDatabase, run, get, all } = require('../db/connection');
+
+// What a token may be used for. A token acts as the admin who created it, so
+// their role still applies on top of the scopes; `admin` grants every scope.
+//   projects:read   list projects including drafts, revisions and exports
+//   projects:write  create, update, delete, restore and import projects
+//   uploads:write   upload and delete media files
+//   admin           user management and the audit log, plus all of the above
+const TOKEN_SCOPES = ['projects:read', 'projects:write', 'uploads:write', 'admin'];
+
+const TOKEN_PREFIX = 'tmcms_';
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Public shape of a token; never includes the hash
+function formatToken(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.token_prefix,
+        scopes: JSON.parse(row.scopes),
+        expires_at: row.expires_at,
+        last_used_at: row.last_used_at,
+        created_at: row.created_at
+    };
+}
+
+function hasScope(scopes, scope) {
+    return scopes.includes(scope) || scopes.includes('admin');
+}
+
+const apiTokensDB = {
+    // Create a token, returning the plain token (shown once) and its record
+    create: ({ adminId, name, scopes, expiresAt = null }) => {
+        return withDatabase(async (db) => {
+            const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+            const { lastID } = await run(db, `
+                INSERT INTO api_tokens (admin_id, name, token_prefix, token_hash, scopes, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [adminId, name, token.slice(0, TOKEN_PREFIX.length + 6), hashToken(token), JSON.stringify(scopes), expiresAt]);
+
+            const row = await get(db, 'SELECT * FROM api_tokens WHERE id = ?', [lastID]);
+            return { token, record: formatToken(row) };
+        });
+    },
+
+    listForAdmin: (adminId) => {
+        return withDatabase(async (db) => {
+            const rows = await all(db, 'SELECT * FROM api_tokens WHERE admin_id = ? ORDER BY created_at DESC, id DESC', [adminId]);
+            return rows.map(formatToken);
+        });
+    },
+
+    // Revoke one of an admin's tokens. Returns the deleted record, or null.
+    revoke: (id, adminId) => {
+        return withDatabase(async (db) => {
+            const row = await get(db, 'SELECT * FROM api_tokens WHERE id = ? AND admin_id = ?', [id, adminId]);
+            if (!row) return null;
+
+            await run(db, 'DELETE FROM api_tokens WHERE id = ?', [id]);
+            return formatToken(row);
+        });
+    },
+
+    // Look up an unexpired token and record that it was used
+    authenticate: (token) => {
+        return withDatabase(async (db) => {
+            const row = await get(db, `
+                SELECT * FROM api_tokens
+                WHERE token_hash = ? AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+            `, [hashToken(token)]);
+            if (!row) return null;
+
+            await run(db, 'UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [row.id]);
+            return { ...formatToken(row), admin_id: row.admin_id };
+        });
+    }
+};
+
+module.exports = {
+    apiTokensDB,
+    TOKEN_SCOPES,
+    hasScope
+};
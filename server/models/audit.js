@@ -0,0 +1,84 @@
+const { withDatabase, run, get, all } = require('../db/connection');
+
+// Audit log of admin actions. `summary` holds a short before/after description
+// of the change rather than a full copy; region snapshots live in revisions.
+
+function formatEntry(row) {
+    return {
+        id: row.id,
+        admin_id: row.admin_id,
+        actor: row.admin_username,
+        action: row.action,
+        target_id: row.target_id,
+        ip: row.ip,
+        user_agent: row.user_agent,
+        summary: row.summary ? JSON.parse(row.summary) : null,
+        created_at: row.created_at
+    };
+}
+
+// Filters: actor (username), action (exact, or a prefix such as 'project' for
+// every project.* action), a created_at range [from, to) and maxId, which
+// keeps entries written while paging through the log out of it
+function buildFilter({ actor, action, from, to, maxId }) {
+    const conditions = [];
+    const params = [];
+
+    if (actor) {
+        conditions.push('admin_username = ?');
+        params.push(actor);
+    }
+    if (action) {
+        conditions.push('(action = ? OR substr(action, 1, ?) = ?)');
+        params.push(action, action.length + 1, `${action}.`);
+    }
+    if (from) {
+        conditions.push('created_at >= ?');
+        params.push(from);
+    }
+    if (to) {
+        conditions.push('created_at < ?');
+        params.push(to);
+    }
+    if (maxId) {
+        conditions.push('id <= ?');
+        params.push(maxId);
+    }
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+const auditDB = {
+    record: ({ adminId = null, username = null, action, targetId = null, ip = null, userAgent = null, summary = null }) => {
+        return withDatabase(db => run(db, `
+            INSERT INTO audit_log (admin_id, admin_username, action, target_id, ip, user_agent, summary)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [adminId, username, action, targetId, ip, userAgent, summary ? JSON.stringify(summary) : null]));
+    },
+
+    // Newest first, with the total number of matching entries for paging
+    list: (filters = {}, { limit = 50, offset = 0 } = {}) => {
+        return withDatabase(async (db) => {
+            const { where, params } = buildFilter(filters);
+
+            const rows = await all(db, `
+                SELECT * FROM audit_log ${where}
+                ORDER BY created_at DESC, id DESC
+                LIMIT ? OFFSET ?
+            `, [...params, limit, offset]);
+            const { total } = await get(db, `SELECT COUNT(*) AS total FROM audit_log ${where}`, params);
+
+            return {
+                entries: rows.map(formatEntry),
+                total
+            };
+        });
+    }
+};
+
+module.exports = {
+    auditDB
+};
@@ -0,0 +1,198 @@
+const { withDatabase, withTransaction, run, get, all } = require('../db/connection');
+
+const STATUSES = ['queued', 'running', 'done', 'failed'];
+
+function formatJob(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        payload: JSON.parse(row.payload || '{}'),
+        media_id: row.media_id,
+        status: row.status,
+        progress: row.progress,
+        message: row.message,
+        error: row.error,
+        attempts: row.attempts,
+        max_attempts: row.max_attempts,
+        created_at: row.created_at,
+        started_at: row.started_at,
+        finished_at: row.finished_at,
+        updated_at: row.updated_at
+    };
+}
+
+async function fetchJob(db, id) {
+    const row = await get(db, 'SELECT * FROM jobs WHERE id = ?', [id]);
+    return row ? formatJob(row) : null;
+}
+
+const jobsDB = {
+    enqueue: (type, payload = {}, { mediaId = null, maxAttempts = 3, createdBy = null } = {}) => {
+        return withDatabase(async (db) => {
+            const { lastID } = await run(db, `
+                INSERT INTO jobs (type, payload, media_id, max_attempts, run_at, created_by)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [type, JSON.stringify(payload), mediaId, maxAttempts, Date.now(), createdBy]);
+            return fetchJob(db, lastID);
+        });
+    },
+
+    // Take the oldest due job of one of `types` and mark it running. The
+    // immediate transaction makes this safe with several workers or
+    // processes (e.g. the server and a backfill command).
+    claimNext: (types) => {
+        if (types.length === 0) return Promise.resolve(null);
+
+        return withTransaction(async (db) => {
+            const row = await get(db, `
+                SELECT id FROM jobs
+                WHERE status = 'queued' AND run_at <= ? AND type IN (${types.map(() => '?').join(', ')})
+                ORDER BY run_at, id
+                LIMIT 1
+            `, [Date.now(), ...types]);
+            if (!row) return null;
+
+            await run(db, `
+                UPDATE jobs
+                SET status = 'running', attempts = attempts + 1, progress = 0, message = NULL, error = NULL,
+                    started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [row.id]);
+            return fetchJob(db, row.id);
+        });
+    },
+
+    progress: (id, progress, message = null) => {
+        return withDatabase(async (db) => {
+            await run(db, `
+                UPDATE jobs SET progress = ?, message = COALESCE(?, message), updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [progress, message, id]);
+            return fetchJob(db, id);
+        });
+    },
+
+    complete: (id, message = null) => {
+        return withDatabase(async (db) => {
+            await run(db, `
+                UPDATE jobs
+                SET status = 'done', progress = 1, message = COALESCE(?, message), error = NULL,
+                    finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [message, id]);
+            return fetchJob(db, id);
+        });
+    },
+
+    // Record a failure: queued again at `retryAt` (ms) if given, failed for
+    // good otherwise
+    fail: (id, error, retryAt = null) => {
+        return withDatabase(async (db) => {
+            await run(db, `
+                UPDATE jobs
+                SET status = ?, error = ?, run_at = COALESCE(?, run_at),
+                    finished_at = CASE WHEN ? IS NULL THEN CURRENT_TIMESTAMP ELSE NULL END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [retryAt ? 'queued' : 'failed', error, retryAt, retryAt, id]);
+            return fetchJob(db, id);
+        });
+    },
+
+    // Queue a failed job again with a fresh set of attempts
+    retry: (id) => {
+        return withDatabase(async (db) => {
+            const { changes } = await run(db, `
+                UPDATE jobs
+                SET status = 'queued', attempts = 0, error = NULL, progress = 0, run_at = ?,
+                    finished_at = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = 'failed'
+            `, [Date.now(), id]);
+            return changes > 0 ? fetchJob(db, id) : null;
+        });
+    },
+
+    // Jobs a stopped server left running go back to the queue
+    requeueRunning: () => {
+        return withDatabase(async (db) => {
+            const { changes } = await run(db, `
+                UPDATE jobs SET status = 'queued', run_at = ?, updated_at = CURRENT_TIMESTAMP WHERE status = 'running'
+            `, [Date.now()]);
+            return changes;
+        });
+    },
+
+    getById: (id) => {
+        return withDatabase(db => fetchJob(db, id));
+    },
+
+    getByIds: (ids) => {
+        if (ids.length === 0) return Promise.resolve([]);
+
+        return withDatabase(async (db) => {
+            const rows = await all(db, `SELECT * FROM jobs WHERE id IN (${ids.map(() => '?').join(', ')}) ORDER BY id`, ids);
+            return rows.map(formatJob);
+        });
+    },
+
+    // The newest job of each media item
+    latestForMedia: (mediaIds) => {
+        if (mediaIds.length === 0) return Promise.resolve([]);
+
+        return withDatabase(async (db) => {
+            const rows = await all(db, `
+                SELECT * FROM jobs WHERE id IN (
+                    SELECT MAX(id) FROM jobs WHERE media_id IN (${mediaIds.map(() => '?').join(', ')}) GROUP BY media_id
+                )
+            `, mediaIds);
+            return rows.map(formatJob);
+        });
+    },
+
+    // Jobs changed at or after `since` (a CURRENT_TIMESTAMP value), whichever
+    // process changed them
+    updatedSince: (since) => {
+        return withDatabase(async (db) => {
+            const rows = await all(db, 'SELECT * FROM jobs WHERE updated_at >= ? ORDER BY id', [since]);
+            return rows.map(formatJob);
+        });
+    },
+
+    // Newest first, optionally by status
+    list: ({ status = null } = {}, { limit = 50, offset = 0 } = {}) => {
+        return withDatabase(async (db) => {
+            const where = status ? 'WHERE status = ?' : '';
+            const params = status ? [status] : [];
+
+            const { total } = await get(db, `SELECT COUNT(*) AS total FROM jobs ${where}`, params);
+            const rows = await all(db, `SELECT * FROM jobs ${where} ORDER BY id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+            return { items: rows.map(formatJob), total };
+        });
+    },
+
+    counts: () => {
+        return withDatabase(async (db) => {
+            const rows = await all(db, 'SELECT status, COUNT(*) AS count FROM jobs GROUP BY status');
+            const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+            rows.forEach(row => {
+                counts[row.status] = row.count;
+            });
+            return counts;
+        });
+    },
+
+    // Finished jobs older than `days` are only history
+    prune: (days = 30) => {
+        return withDatabase(async (db) => {
+            const { changes } = await run(db, `
+                DELETE FROM jobs WHERE status IN ('done', 'failed') AND finished_at < datetime('now', ?)
+            `, [`-${days} days`]);
+            return changes;
+        });
+    }
+};
+
+module.exports = {
+    jobsDB,
+    STATUSES
+};
@@ -0,0 +1,54 @@
+const { withDatabase, withTransaction, run, all } = require('../db/connection');
+
+// Failed login counters, keyed 'ip:<address>' or 'user:<username>'.
+// Times are epoch milliseconds.
+const loginThrottleDB = {
+    // Read the counters of `keys`, then save the ones `update(rows)` returns
+    // as { saves: [{ key, failures, lastFailedAt, lockedUntil }], result }.
+    // Both happen in one transaction, so concurrent logins see each other.
+    // Resolves to `result`.
+    update: (keys, update) => {
+        return withTransaction(async (db) => {
+            const rows = await all(db, `
+                SELECT * FROM login_throttle WHERE key IN (${keys.map(() => '?').join(', ')})
+            `, keys);
+            const { saves = [], result } = update(rows);
+
+            for (const { key, failures, lastFailedAt, lockedUntil } of saves) {
+                await run(db, `
+                    INSERT INTO login_throttle (key, failures, last_failed_at, locked_until)
+                    VALUES (?, ?, ?, ?)
+                    ON CONFLICT(key) DO UPDATE SET
+                        failures = excluded.failures,
+                        last_failed_at = excluded.last_failed_at,
+                        locked_until = excluded.locked_until
+                `, [key, failures, lastFailedAt, lockedUntil]);
+            }
+            return result;
+        });
+    },
+
+    // Take back one counted attempt from each key
+    refund: (keys) => {
+        return withDatabase(db => run(db, `
+            UPDATE login_throttle SET failures = MAX(failures - 1, 0)
+            WHERE key IN (${keys.map(() => '?').join(', ')})
+        `, keys));
+    },
+
+    clear: (key) => {
+        return withDatabase(db => run(db, 'DELETE FROM login_throttle WHERE key = ?', [key]));
+    },
+
+    // Drop counters that have neither recent failures nor an active lock
+    prune: (olderThan) => {
+        return withDatabase(db => run(db, `
+            DELETE FROM login_throttle
+            WHERE last_failed_at < ? AND (locked_until IS NULL OR locked_until < ?)
+        `, [olderThan, Date.now()]));
+    }
+};
+
+module.exports = {
+    loginThrottleDB
+};
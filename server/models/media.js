@@ -0,0 +1,309 @@
+const { withDatabase, run, get, all } = require('../db/connection');
+
+// Every place content refers to a file, as (region_id, project_id, field, url)
+const CONTENT_REFERENCES = `
+    SELECT p.region_id, p.id AS project_id, 'image_url' AS field, p.image_url AS url FROM region_projects p
+    UNION ALL SELECT p.region_id, p.id, 'video_url', p.video_url FROM region_projects p
+    UNION ALL SELECT p.region_id, p.id, 'directVideoUrl', p.direct_video_url FROM region_projects p
+    UNION ALL SELECT p.region_id, p.id, 'media', m.url
+        FROM project_media m JOIN region_projects p ON p.id = m.project_id
+    UNION ALL SELECT p.region_id, p.id, 'media thumbnail', m.thumbnail
+        FROM project_media m JOIN region_projects p ON p.id = m.project_id
+    UNION ALL SELECT p.region_id, p.id, 'section video', s.video_url
+        FROM project_sections s JOIN region_projects p ON p.id = s.project_id
+    UNION ALL SELECT p.region_id, p.id, 'section photo', ph.url
+        FROM section_photos ph
+        JOIN project_sections s ON s.id = ph.section_id
+        JOIN region_projects p ON p.id = s.project_id
+`;
+
+// Every URL a media item is served under: the file itself and its variants
+const MEDIA_URLS = `
+    SELECT id AS media_id, url FROM media
+    UNION ALL SELECT m.id, json_extract(v.value, '$.url') FROM media m, json_each(m.variants) v
+`;
+
+// Common table expressions for queries that need usage: `usage` holds the
+// number of regions using each media item
+const WITH_USAGE = `
+    WITH refs AS (${CONTENT_REFERENCES}),
+    media_urls AS (${MEDIA_URLS}),
+    usage AS (
+        SELECT mu.media_id, COUNT(DISTINCT refs.region_id) AS regions
+        FROM media_urls mu JOIN refs ON refs.url = mu.url
+        GROUP BY mu.media_id
+    )
+`;
+
+function formatMedia(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        filename: row.filename,
+        url: row.url,
+        original_name: row.original_name,
+        mime_type: row.mime_type,
+        size: row.size,
+        hash: row.hash,
+        width: row.width,
+        height: row.height,
+        duration: row.duration,
+        codec: row.codec || null,
+        status: row.status || 'ready',
+        processing_error: row.processing_error || null,
+        variants: JSON.parse(row.variants || '{}'),
+        placeholder: row.placeholder || null,
+        focal: row.focal_x !== null && row.focal_x !== undefined ? { x: row.focal_x, y: row.focal_y } : null,
+        uploaded_by: row.uploaded_by_username,
+        created_at: row.created_at,
+        ...(row.usage_count !== undefined && { usage_count: row.usage_count })
+    };
+}
+
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+const mediaDB = {
+    // Record an upload. `uploader` is the admin ({ id, username }) or null.
+    create: (media, uploader = null) => {
+        return withDatabase(async (db) => {
+            const { lastID } = await run(db, `
+                INSERT INTO media (
+                    type, filename, url, original_name, mime_type, size, hash,
+                    width, height, duration, variants, placeholder, uploaded_by, uploaded_by_username, created_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+            `, [
+                media.type, media.filename, media.url, media.originalName || null, media.mimeType || null,
+                media.size, media.hash || null, media.width || null, media.height || null, media.duration || null,
+                JSON.stringify(media.variants || {}), media.placeholder || null,
+                uploader ? uploader.id : null, uploader ? uploader.username : null,
+                media.createdAt || null
+            ]);
+
+            return formatMedia(await get(db, 'SELECT * FROM media WHERE id = ?', [lastID]));
+        });
+    },
+
+    getById: (id) => {
+        return withDatabase(async (db) => {
+            const row = await get(db, `
+                ${WITH_USAGE}
+                SELECT m.*, COALESCE(usage.regions, 0) AS usage_count
+                FROM media m LEFT JOIN usage ON usage.media_id = m.id
+                WHERE m.id = ?
+            `, [id]);
+            return row ? formatMedia(row) : null;
+        });
+    },
+
+    // Search the library, newest first. Filters: q (original or stored file
+    // name), type, regionId (media a tooltip uses), url (the file or one of
+    // its variants).
+    list: ({ q = null, type = null, regionId = null, url = null } = {}, { limit = 50, offset = 0 } = {}) => {
+        return withDatabase(async (db) => {
+            const conditions = [];
+            const params = [];
+
+            if (q) {
+                conditions.push("(m.original_name LIKE ? ESCAPE '\\' OR m.filename LIKE ? ESCAPE '\\')");
+                params.push(`%${escapeLike(q)}%`, `%${escapeLike(q)}%`);
+            }
+            if (type) {
+                conditions.push('m.type = ?');
+                params.push(type);
+            }
+            if (regionId !== null) {
+                conditions.push(`m.id IN (
+                    SELECT mu.media_id FROM media_urls mu JOIN refs ON refs.url = mu.url WHERE refs.region_id = ?
+                )`);
+                params.push(regionId);
+            }
+            if (url) {
+                conditions.push('m.id IN (SELECT media_id FROM media_urls WHERE url = ?)');
+                params.push(url);
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const { total } = await get(db, `${WITH_USAGE} SELECT COUNT(*) AS total FROM media m ${where}`, params);
+            const rows = await all(db, `
+                ${WITH_USAGE}
+                SELECT m.*, COALESCE(usage.regions, 0) AS usage_count
+                FROM media m LEFT JOIN usage ON usage.media_id = m.id
+                ${where}
+                ORDER BY m.created_at DESC, m.id DESC
+                LIMIT ? OFFSET ?
+            `, [...params, limit, offset]);
+
+            return { items: rows.map(formatMedia), total };
+        });
+    },
+
+    // Where a media item (or one of its variants) is used
+    usage: (id) => {
+        return withDatabase(db => all(db, `
+            WITH refs AS (${CONTENT_REFERENCES}), media_urls AS (${MEDIA_URLS})
+            SELECT DISTINCT r.id AS region_id, r.name AS region_name, r.kind AS region_kind,
+                p.title AS project_title, refs.field
+            FROM media_urls mu
+            JOIN refs ON refs.url = mu.url
+            JOIN regions r ON r.id = refs.region_id
+            JOIN region_projects p ON p.id = refs.project_id
+            WHERE mu.media_id = ?
+            ORDER BY r.name, p.position
+        `, [id]));
+    },
+
+    // Files uploaded more than once, grouped by content hash
+    duplicates: () => {
+        return withDatabase(async (db) => {
+            const rows = await all(db, `
+                ${WITH_USAGE}
+                SELECT m.*, COALESCE(usage.regions, 0) AS usage_count
+                FROM media m LEFT JOIN usage ON usage.media_id = m.id
+                WHERE m.hash IN (SELECT hash FROM media WHERE hash IS NOT NULL GROUP BY hash HAVING COUNT(*) > 1)
+                ORDER BY m.hash, m.created_at, m.id
+            `);
+
+            const groups = new Map();
+            rows.map(formatMedia).forEach(item => {
+                if (!groups.has(item.hash)) groups.set(item.hash, []);
+                groups.get(item.hash).push(item);
+            });
+
+            return [...groups].map(([hash, items]) => ({
+                hash,
+                size: items[0].size,
+                // Bytes that could be freed by keeping only one copy
+                wasted: items[0].size * (items.length - 1),
+                items
+            }));
+        });
+    },
+
+    findByHash: (hash) => {
+        return withDatabase(async (db) => {
+            const rows = await all(db, 'SELECT * FROM media WHERE hash = ? ORDER BY created_at, id', [hash]);
+            return rows.map(formatMedia);
+        });
+    },
+
+    // Replace the derived data of an item after (re)processing it
+    updateVariants: (id, { variants, placeholder = null, width = null, height = null }) => {
+        return withDatabase(async (db) => {
+            await run(db, `
+                UPDATE media
+                SET variants = ?, placeholder = COALESCE(?, placeholder),
+                    width = COALESCE(?, width), height = COALESCE(?, height)
+                WHERE id = ?
+            `, [JSON.stringify(variants), placeholder, width, height, id]);
+            return formatMedia(await get(db, 'SELECT * FROM media WHERE id = ?', [id]));
+        });
+    },
+
+    // Record processing progress: status plus whatever was learned or made so
+    // far (probe results, variants, the error when it failed)
+    updateProcessing: (id, { status, error = null, width = null, height = null, duration = null, codec = null, variants = null }) => {
+        return withDatabase(async (db) => {
+            await run(db, `
+                UPDATE media
+                SET status = ?, processing_error = ?,
+                    width = COALESCE(?, width), height = COALESCE(?, height),
+                    duration = COALESCE(?, duration), codec = COALESCE(?, codec),
+                    variants = COALESCE(?, variants)
+                WHERE id = ?
+            `, [status, error, width, height, duration, codec, variants ? JSON.stringify(variants) : null, id]);
+            const row = await get(db, 'SELECT * FROM media WHERE id = ?', [id]);
+            return row ? formatMedia(row) : null;
+        });
+    },
+
+    // Point ({ x, y } in 0..1, or null for the center) thumbnails are cut around
+    setFocal: (id, focal) => {
+        return withDatabase(async (db) => {
+            await run(db, 'UPDATE media SET focal_x = ?, focal_y = ? WHERE id = ?', [
+                focal ? focal.x : null, focal ? focal.y : null, id
+            ]);
+            const row = await get(db, 'SELECT * FROM media WHERE id = ?', [id]);
+            return row ? formatMedia(row) : null;
+        });
+    },
+
+    // Media items by processing status, oldest first
+    listByStatus: (status) => {
+        return withDatabase(async (db) => {
+            const rows = await all(db, 'SELECT * FROM media WHERE status = ? ORDER BY id', [status]);
+            return rows.map(formatMedia);
+        });
+    },
+
+    // Media items served under any of the given URLs (the file or a variant),
+    // as [{ matched_url, media }]
+    findByUrls: (urls) => {
+        if (urls.length === 0) return Promise.resolve([]);
+
+        return withDatabase(async (db) => {
+            const rows = await all(db, `
+                WITH media_urls AS (${MEDIA_URLS})
+                SELECT m.*, mu.url AS matched_url
+                FROM media_urls mu JOIN media m ON m.id = mu.media_id
+                WHERE mu.url IN (${urls.map(() => '?').join(', ')})
+            `, urls);
+            return rows.map(row => ({ matched_url: row.matched_url, media: formatMedia(row) }));
+        });
+    },
+
+    // Stored URLs of every file in the library, variants included
+    allUrls: () => {
+        return withDatabase(async (db) => {
+            const rows = await all(db, MEDIA_URLS);
+            return new Set(rows.map(row => row.url));
+        });
+    },
+
+    // Raw values that may contain upload URLs: every content field, and every
+    // revision snapshot (JSON)
+    referenceValues: () => {
+        return withDatabase(async (db) => {
+            const content = await all(db, `SELECT url AS value FROM (${CONTENT_REFERENCES}) WHERE url != ''`);
+            const history = await all(db, 'SELECT snapshot AS value FROM revisions');
+            return {
+                content: content.map(row => row.value),
+                history: history.map(row => row.value)
+            };
+        });
+    },
+
+    delete: (id) => {
+        return withDatabase(async (db) => {
+            const { changes } = await run(db, 'DELETE FROM media WHERE id = ?', [id]);
+            return changes;
+        });
+    },
+
+    deleteByUrl: (url) => {
+        return withDatabase(async (db) => {
+            const { changes } = await run(db, 'DELETE FROM media WHERE url = ?', [url]);
+            return changes;
+        });
+    },
+
+    // File counts and bytes on disk, variants included
+    stats: () => {
+        return withDatabase(db => get(db, `
+            SELECT
+                COUNT(*) AS files,
+                COALESCE(SUM(type = 'image'), 0) AS images,
+                COALESCE(SUM(type = 'video'), 0) AS videos,
+                COALESCE(SUM(size), 0) + COALESCE((
+                    SELECT SUM(json_extract(v.value, '$.size')) FROM media m2, json_each(m2.variants) v
+                ), 0) AS bytes
+            FROM media
+        `));
+    }
+};
+
+module.exports = {
+    mediaDB
+};
@@ -0,0 +1,806 @@
+const { withDatabase, withTransaction, run, get, all } = require('../db/connection');
+const { recordRevision, ensureBaselineRevision } = require('./revisions');
+const { slugify } = require('../utils/slug');
+
+// Regions are the map hotspots. Each region owns an ordered list of projects,
+// and every project owns its media, sections (with photos) and links.
+// Pre-region single projects are stored as regions of kind 'legacy' holding
+// exactly one project, so both formats share one id space.
+
+const COORDINATE_KEYS = ['x', 'y', 'w', 'h'];
+const STATUSES = ['draft', 'published', 'scheduled'];
+
+// Taxonomy term types and the project field listing each type's terms
+const TERM_FIELDS = { tag: 'tags', client: 'clients', service: 'services' };
+const TERM_TYPES = Object.keys(TERM_FIELDS);
+
+// Current time in the same ISO 8601 format as publish_at / unpublish_at
+const NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+// SQL condition for rows that are visible on the public site right now.
+// Time windows are checked here too, so content goes live on time even
+// before the scheduler flips its status.
+function liveCondition(alias) {
+    return `((${alias}.status = 'published' OR (${alias}.status = 'scheduled' AND ${alias}.publish_at <= ${NOW}))
+        AND (${alias}.unpublish_at IS NULL OR ${alias}.unpublish_at > ${NOW}))`;
+}
+
+// Full-text search: matches are wrapped in these markers by SQLite and only
+// turned into <mark> after the text around them is escaped
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+const MAX_SEARCH_WORDS = 8;
+
+// Column weights for ranking (see project_search): the region name and the
+// project title count most, then client and service, then the body text
+const SEARCH_WEIGHTS = '10.0, 8.0, 4.0, 4.0, 1.0, 1.0, 0.0';
+
+// Rows of project_search for the projects matching `where`
+const SEARCH_ROWS = `
+    SELECT p.id, r.name, p.title, p.under, p.service,
+        TRIM(COALESCE(p.description, '') || ' ' || COALESCE(p.main_title, '') || ' ' || COALESCE(p.main_body, '')),
+        (SELECT GROUP_CONCAT(COALESCE(s.title, '') || ' ' || COALESCE(s.body, ''), ' ')
+            FROM project_sections s WHERE s.project_id = p.id),
+        p.region_id
+    FROM region_projects p JOIN regions r ON r.id = p.region_id
+`;
+
+// SQL conditions (on projects `alias`) for a term filter: { tag: [slugs],
+// client: [...], service: [...] }. A project matches when it has any of the
+// slugs of every type given. Returns { conditions, params }.
+function termConditions(filter, alias = 'p') {
+    const conditions = [];
+    const params = [];
+
+    TERM_TYPES.filter(type => filter && filter[type] && filter[type].length > 0).forEach(type => {
+        conditions.push(`EXISTS (
+            SELECT 1 FROM project_terms pt JOIN terms t ON t.id = pt.term_id
+            WHERE pt.project_id = ${alias}.id AND t.type = ? AND t.slug IN (${filter[type].map(() => '?').join(', ')})
+        )`);
+        params.push(type, ...filter[type]);
+    });
+
+    return { conditions, params };
+}
+
+function groupBy(rows, key) {
+    const groups = new Map();
+    rows.forEach(row => {
+        if (!groups.has(row[key])) groups.set(row[key], []);
+        groups.get(row[key]).push(row);
+    });
+    return groups;
+}
+
+// Only coordinates that were actually stored are returned, so a region saved
+// without coordinates still comes back as {}
+function toCoordinates(row) {
+    const coordinates = {};
+    COORDINATE_KEYS.forEach(key => {
+        if (row[key] !== null && row[key] !== undefined) {
+            coordinates[key] = row[key];
+        }
+    });
+    return coordinates;
+}
+
+function toPublishing(row) {
+    return {
+        status: row.status,
+        publish_at: row.publish_at || null,
+        unpublish_at: row.unpublish_at || null
+    };
+}
+
+// Alt text, caption, credit and focal point ({ x, y } in 0..1, or null) of
+// a placed image: a project media item or a section photo
+function toMediaDetails(row) {
+    const hasFocal = row.focal_x !== null && row.focal_x !== undefined && row.focal_y !== null && row.focal_y !== undefined;
+    return {
+        alt: row.alt || '',
+        caption: row.caption || '',
+        credit: row.credit || '',
+        focal: hasFocal ? { x: row.focal_x, y: row.focal_y } : null
+    };
+}
+
+// Column values for toMediaDetails: alt, caption, credit, focal_x, focal_y
+function toDetailsRecord(details) {
+    const { alt, caption, credit, focal } = details || {};
+    return [alt || null, caption || null, credit || null, focal ? focal.x : null, focal ? focal.y : null];
+}
+
+function formatProject(row, children) {
+    const photosBySection = children.photos;
+    const terms = children.terms.get(row.id) || [];
+    const termsOf = (type) => terms
+        .filter(term => term.type === type)
+        .map(term => ({ name: term.name, slug: term.slug }));
+
+    return {
+        title: row.title,
+        slug: row.slug,
+        under: row.under || 'Turfmapp',
+        service: row.service || '',
+        tags: termsOf('tag'),
+        clients: termsOf('client'),
+        services: termsOf('service'),
+        date: row.date || '',
+        description: row.description || '',
+        mainDescription: {
+            title: row.main_title || '',
+            body: row.main_body || ''
+        },
+        sections: (children.sections.get(row.id) || []).map(section => {
+            const photos = photosBySection.get(section.id) || [];
+            return {
+                title: section.title || '',
+                body: section.body || '',
+                // photos stays a list of URLs; photoDetails has the details
+                // of the photo at the same index
+                photos: photos.map(photo => photo.url),
+                photoDetails: photos.map(toMediaDetails),
+                videoUrl: section.video_url || ''
+            };
+        }),
+        links: (children.links.get(row.id) || []).map(link => ({
+            text: link.text || '',
+            url: link.url
+        })),
+        image_url: row.image_url || '',
+        video_url: row.video_url || '',
+        media: (children.media.get(row.id) || []).map(item => ({
+            type: item.type,
+            url: item.url,
+            thumbnail: item.thumbnail || null,
+            ...toMediaDetails(item)
+        })),
+        youtube_url: row.youtube_url || '',
+        directVideoUrl: row.direct_video_url || '',
+        ...toPublishing(row),
+        created_at: row.created_at
+    };
+}
+
+function formatRegion(region, projects) {
+    const coordinates = toCoordinates(region);
+
+    if (region.kind === 'legacy') {
+        // Legacy single project format
+        const project = projects[0] || { links: [] };
+        return {
+            id: region.id,
+            slug: region.slug,
+            title: region.name,
+            description: project.description || '',
+            image_url: project.image_url || '',
+            video_url: project.video_url || '',
+            links: project.links,
+            coordinates: coordinates,
+            ...toPublishing(region),
+            created_at: region.created_at,
+            updated_at: region.updated_at
+        };
+    }
+
+    return {
+        id: region.id,
+        slug: region.slug,
+        name: region.name,
+        projects: projects,
+        coordinates: coordinates,
+        ...toPublishing(region),
+        created_at: region.created_at,
+        updated_at: region.updated_at
+    };
+}
+
+function whereClause(conditions) {
+    return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// Load regions with their full project tree, either all of them or a single
+// id. With publishedOnly, drafts and out-of-window items are left out; with a
+// term filter (see termConditions) only matching projects are, and regions
+// without any.
+async function loadRegions(db, regionId = null, { publishedOnly = false, terms = null } = {}) {
+    const single = regionId !== null;
+    const params = single ? [regionId] : [];
+
+    const regions = await all(db, `
+        SELECT r.* FROM regions r
+        ${whereClause([single && 'r.id = ?', publishedOnly && liveCondition('r')].filter(Boolean))}
+        ORDER BY r.created_at DESC, r.id ASC
+    `, params);
+
+    if (regions.length === 0) return [];
+
+    const termFilter = termConditions(terms);
+    const filtered = termFilter.conditions.length > 0;
+    const projectFilter = whereClause([
+        single && 'p.region_id = ?',
+        publishedOnly && liveCondition('p'),
+        ...termFilter.conditions
+    ].filter(Boolean));
+    const projectParams = [...params, ...termFilter.params];
+
+    const [projects, media, sections, photos, links, projectTerms] = await Promise.all([
+        all(db, `SELECT p.* FROM region_projects p ${projectFilter} ORDER BY p.region_id, p.position`, projectParams),
+        all(db, `
+            SELECT m.* FROM project_media m
+            JOIN region_projects p ON p.id = m.project_id
+            ${projectFilter} ORDER BY m.project_id, m.position
+        `, projectParams),
+        all(db, `
+            SELECT s.* FROM project_sections s
+            JOIN region_projects p ON p.id = s.project_id
+            ${projectFilter} ORDER BY s.project_id, s.position
+        `, projectParams),
+        all(db, `
+            SELECT ph.* FROM section_photos ph
+            JOIN project_sections s ON s.id = ph.section_id
+            JOIN region_projects p ON p.id = s.project_id
+            ${projectFilter} ORDER BY ph.section_id, ph.position
+        `, projectParams),
+        all(db, `
+            SELECT l.* FROM project_links l
+            JOIN region_projects p ON p.id = l.project_id
+            ${projectFilter} ORDER BY l.project_id, l.position
+        `, projectParams),
+        all(db, `
+            SELECT pt.project_id, t.type, t.name, t.slug FROM project_terms pt
+            JOIN terms t ON t.id = pt.term_id
+            JOIN region_projects p ON p.id = pt.project_id
+            ${projectFilter} ORDER BY pt.project_id, pt.position
+        `, projectParams)
+    ]);
+
+    const children = {
+        media: groupBy(media, 'project_id'),
+        sections: groupBy(sections, 'project_id'),
+        photos: groupBy(photos, 'section_id'),
+        links: groupBy(links, 'project_id'),
+        terms: groupBy(projectTerms, 'project_id')
+    };
+    const projectsByRegion = groupBy(projects, 'region_id');
+
+    return regions
+        .map(region => ({
+            region,
+            projects: (projectsByRegion.get(region.id) || []).map(row => formatProject(row, children))
+        }))
+        // A region whose projects are all unpublished has nothing to show,
+        // and one without matching projects does not match a term filter
+        .filter(({ region, projects }) => !publishedOnly || region.kind === 'legacy' || projects.length > 0)
+        .filter(({ projects }) => !filtered || projects.length > 0)
+        .map(({ region, projects }) => formatRegion(region, projects));
+}
+
+function toTimestamp(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Publishing fields of incoming data. Without a (known) status a new item is
+// published, and an existing one keeps its `stored` status and schedule, so
+// clients that do not send the fields cannot publish drafts by saving.
+function toPublishingRecord(data, stored = null) {
+    if (!STATUSES.includes(data.status) && stored) {
+        return { status: stored.status, publish_at: stored.publish_at, unpublish_at: stored.unpublish_at };
+    }
+    return {
+        status: STATUSES.includes(data.status) ? data.status : 'published',
+        publish_at: toTimestamp(data.publish_at),
+        unpublish_at: toTimestamp(data.unpublish_at)
+    };
+}
+
+// Normalise incoming data (region or legacy format) into a region record.
+// `stored` is the region's row when it is being updated.
+function toRegionRecord(data, stored = null) {
+    const coordinates = data.coordinates || {};
+    const record = {
+        slug: typeof data.slug === 'string' ? data.slug : null,
+        x: typeof coordinates.x === 'number' ? coordinates.x : null,
+        y: typeof coordinates.y === 'number' ? coordinates.y : null,
+        w: typeof coordinates.w === 'number' ? coordinates.w : null,
+        h: typeof coordinates.h === 'number' ? coordinates.h : null,
+        ...toPublishingRecord(data, stored)
+    };
+
+    if (data.name && data.projects) {
+        return { ...record, kind: 'region', name: data.name, projects: data.projects };
+    }
+
+    // Legacy single project format becomes a one-project region
+    return {
+        ...record,
+        kind: 'legacy',
+        name: data.title,
+        projects: [{
+            title: data.title,
+            description: data.description,
+            image_url: data.image_url,
+            video_url: data.video_url,
+            links: data.links
+        }]
+    };
+}
+
+// Names of the terms of one type given for a project, as names or { name }
+function termNames(values) {
+    return (Array.isArray(values) ? values : [])
+        .map(value => String((value && typeof value === 'object' ? value.name : value) || '').replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+}
+
+// Assign a project its tags, clients and services in the given order. Terms
+// are matched by slug within their type; unknown names become new terms.
+async function insertProjectTerms(db, projectId, project) {
+    let position = 0;
+
+    for (const type of TERM_TYPES) {
+        for (const name of termNames(project[TERM_FIELDS[type]])) {
+            const slug = slugify(name);
+            if (!slug) continue;
+
+            await run(db, 'INSERT OR IGNORE INTO terms (type, name, slug) VALUES (?, ?, ?)', [type, name, slug]);
+            const { changes } = await run(db, `
+                INSERT OR IGNORE INTO project_terms (project_id, term_id, position)
+                SELECT ?, id, ? FROM terms WHERE type = ? AND slug = ?
+            `, [projectId, position, type, slug]);
+            position += changes;
+        }
+    }
+}
+
+// `base` (slugified), or with the first free number appended ("court-2")
+// when isTaken(slug) says it is in use
+async function uniqueSlug(base, fallback, isTaken) {
+    const start = slugify(base) || fallback;
+    let slug = start;
+    for (let n = 2; await isTaken(slug); n++) {
+        slug = `${start}-${n}`;
+    }
+    return slug;
+}
+
+// Slug for a region: the one asked for (kept when restoring or importing),
+// its current one, or one made from the name, numbered if another region
+// has it. Renaming a region keeps its slug so shared links keep working.
+async function regionSlug(db, record, id = null) {
+    let requested = record.slug;
+    if (!requested && id !== null) {
+        const current = await get(db, 'SELECT slug FROM regions WHERE id = ?', [id]);
+        requested = current && current.slug;
+    }
+
+    return uniqueSlug(requested || record.name, 'region', async (slug) =>
+        Boolean(await get(db, 'SELECT 1 FROM regions WHERE slug = ? AND id IS NOT ?', [slug, id]))
+    );
+}
+
+// `previous` has the rows of the projects being replaced, by slug, so saving
+// a region does not make its projects new again (other projects get
+// `defaultCreatedAt` or the current time) and a project sent without a
+// status keeps its own.
+async function insertProjects(db, regionId, projects, { previous = new Map(), defaultCreatedAt = null } = {}) {
+    // Projects keep the slug they were given (the editor sends it back) and
+    // new ones get one from their title, unique within the region
+    const slugs = new Set();
+
+    for (const [position, project] of projects.entries()) {
+        const mainDescription = project.mainDescription || {};
+        const slug = await uniqueSlug(project.slug || project.title, 'project', (candidate) => slugs.has(candidate));
+        slugs.add(slug);
+        const stored = previous.get(slug) || null;
+        const publishing = toPublishingRecord(project, stored);
+
+        const { lastID: projectId } = await run(db, `
+            INSERT INTO region_projects (
+                region_id, position, title, slug, under, service, date, description,
+                main_title, main_body, image_url, video_url, youtube_url, direct_video_url,
+                status, publish_at, unpublish_at, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+        `, [
+            regionId,
+            position,
+            project.title || '',
+            slug,
+            project.under || null,
+            project.service || '',
+            project.date || '',
+            project.description || '',
+            mainDescription.title || '',
+            mainDescription.body || '',
+            project.image_url || '',
+            project.video_url || '',
+            project.youtube_url || '',
+            project.directVideoUrl || '',
+            publishing.status,
+            publishing.publish_at,
+            publishing.unpublish_at,
+            (stored && stored.created_at) || defaultCreatedAt
+        ]);
+
+        await insertProjectTerms(db, projectId, project);
+
+        for (const [index, item] of (project.media || []).entries()) {
+            await run(db, `
+                INSERT INTO project_media (project_id, position, type, url, thumbnail, alt, caption, credit, focal_x, focal_y)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [projectId, index, item.type || 'image', item.url || '', item.thumbnail || null, ...toDetailsRecord(item)]);
+        }
+
+        for (const [index, section] of (project.sections || []).entries()) {
+            const { lastID: sectionId } = await run(db, `
+                INSERT INTO project_sections (project_id, position, title, body, video_url)
+                VALUES (?, ?, ?, ?, ?)
+            `, [projectId, index, section.title || '', section.body || '', section.videoUrl || '']);
+
+            for (const [photoIndex, url] of (section.photos || []).entries()) {
+                await run(db, `
+                    INSERT INTO section_photos (section_id, position, url, alt, caption, credit, focal_x, focal_y)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `, [sectionId, photoIndex, url, ...toDetailsRecord((section.photoDetails || [])[photoIndex])]);
+            }
+        }
+
+        for (const [index, link] of (project.links || []).entries()) {
+            await run(db, `
+                INSERT INTO project_links (project_id, position, text, url)
+                VALUES (?, ?, ?, ?)
+            `, [projectId, index, link.text || link.title || '', link.url || '']);
+        }
+    }
+}
+
+// Insert a region and its project tree. An explicit id is only passed when
+// restoring a deleted region or importing into a free id; createdAt keeps an
+// imported region's place in the (newest first) order.
+async function insertRegion(db, data, { id = null, createdAt = null } = {}) {
+    const record = toRegionRecord(data);
+    const slug = await regionSlug(db, record);
+
+    const { lastID: regionId } = await run(db, `
+        INSERT INTO regions (id, kind, name, slug, x, y, w, h, status, publish_at, unpublish_at, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+    `, [
+        id, record.kind, record.name, slug, record.x, record.y, record.w, record.h,
+        record.status, record.publish_at, record.unpublish_at, createdAt
+    ]);
+
+    await insertProjects(db, regionId, record.projects, { defaultCreatedAt: createdAt });
+    await indexRegion(db, regionId);
+    return regionId;
+}
+
+async function updateRegion(db, id, data) {
+    const stored = await get(db, 'SELECT status, publish_at, unpublish_at FROM regions WHERE id = ?', [id]);
+    const record = toRegionRecord(data, stored);
+    const slug = await regionSlug(db, record, id);
+
+    const { changes } = await run(db, `
+        UPDATE regions SET kind = ?, name = ?, slug = ?, x = ?, y = ?, w = ?, h = ?,
+            status = ?, publish_at = ?, unpublish_at = ?
+        WHERE id = ?
+    `, [
+        record.kind, record.name, slug, record.x, record.y, record.w, record.h,
+        record.status, record.publish_at, record.unpublish_at, id
+    ]);
+
+    const previous = await all(db, `
+        SELECT slug, created_at, status, publish_at, unpublish_at FROM region_projects WHERE region_id = ?
+    `, [id]);
+    await run(db, 'DELETE FROM region_projects WHERE region_id = ?', [id]);
+    await insertProjects(db, id, record.projects, {
+        previous: new Map(previous.map(project => [project.slug, project]))
+    });
+    await indexRegion(db, id);
+    return changes;
+}
+
+// Bring a region's rows in the search index up to date with its projects
+async function indexRegion(db, regionId) {
+    await run(db, 'DELETE FROM project_search WHERE region_id = ?', [regionId]);
+    await run(db, `
+        INSERT INTO project_search (rowid, region_name, title, under, service, description, sections, region_id)
+        ${SEARCH_ROWS} WHERE p.region_id = ?
+    `, [regionId]);
+}
+
+// FTS5 query for what a visitor typed: every word has to match, as a prefix
+// so results come up while typing. Null when there is nothing to search for.
+function toSearchQuery(text) {
+    const words = String(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+    if (words.length === 0) return null;
+    return words.slice(0, MAX_SEARCH_WORDS).map(word => `"${word}"*`).join(' ');
+}
+
+// HTML for a highlighted column or snippet: text escaped, matches in <mark>
+function markMatches(text) {
+    return String(text || '')
+        .replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char])
+        .split(MATCH_START).join('<mark>')
+        .split(MATCH_END).join('</mark>');
+}
+
+// Snapshot the region as it is now into its revision history
+async function snapshotRegion(db, id, action, actor) {
+    const [region] = await loadRegions(db, id);
+    return recordRevision(db, id, action, region, actor);
+}
+
+async function createRegion(db, data, actor, options = {}) {
+    const id = await insertRegion(db, data, options);
+    await snapshotRegion(db, id, 'create', actor);
+    return id;
+}
+
+async function replaceRegion(db, current, data, actor) {
+    await ensureBaselineRevision(db, current);
+    const changes = await updateRegion(db, current.id, data);
+    await snapshotRegion(db, current.id, 'update', actor);
+    return changes;
+}
+
+async function deleteRegion(db, current, actor) {
+    await recordRevision(db, current.id, 'delete', current, actor);
+    const { changes } = await run(db, 'DELETE FROM regions WHERE id = ?', [current.id]);
+    await run(db, 'DELETE FROM project_search WHERE region_id = ?', [current.id]);
+    return changes;
+}
+
+const IMPORT_STRATEGIES = ['id', 'name', 'new'];
+const SQL_TIMESTAMP = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+// Display name of a region or of an import item, in either format
+function regionName(data) {
+    return String((data.name && data.projects ? data.name : data.title) || '').trim();
+}
+
+// Work out what an import would do without writing anything. Each item is
+// matched to an existing region according to the strategy:
+//   id   - same id updates, anything else is created (keeping its id if free)
+//   name - same name (case-insensitive) updates, anything else is created
+//   new  - everything is created
+// Items matching several regions, or a region or id another item already
+// claimed, are conflicts and are skipped. With overwrite, regions that no
+// item updates are deleted.
+function planImport(existing, items, { strategy, overwrite }) {
+    const byId = new Map(existing.map(region => [region.id, region]));
+    const byName = groupBy(existing, 'matchName');
+    const claimed = new Map();
+
+    const entries = items.map((item, index) => {
+        const name = regionName(item);
+        const entry = { index, name, kind: item.name && item.projects ? 'region' : 'legacy' };
+        const hasId = strategy === 'id' && Number.isInteger(item.id);
+        let matches = [];
+
+        if (hasId) {
+            matches = byId.has(item.id) ? [byId.get(item.id)] : [];
+        } else if (strategy === 'name') {
+            matches = byName.get(name.toLowerCase()) || [];
+        }
+
+        if (matches.length > 1) {
+            return { ...entry, action: 'conflict', message: `${matches.length} existing tooltips are named "${name}"` };
+        }
+
+        const [target] = matches;
+        const claimId = target ? target.id : hasId ? item.id : null;
+
+        if (claimId !== null && claimed.has(claimId)) {
+            return {
+                ...entry,
+                action: 'conflict',
+                message: `Item ${claimed.get(claimId)} already ${target ? 'updates' : 'creates'} tooltip ${claimId}`
+            };
+        }
+        if (claimId !== null) claimed.set(claimId, index);
+
+        if (!target) {
+            return { ...entry, action: 'create', ...(hasId && { id: item.id }) };
+        }
+
+        const renamed = target.name !== name ? { previousName: target.name } : {};
+        return { ...entry, action: 'update', id: target.id, ...renamed };
+    });
+
+    const updated = new Set(entries.filter(entry => entry.action === 'update').map(entry => entry.id));
+    const deletes = overwrite
+        ? existing.filter(region => !updated.has(region.id)).map(region => ({ id: region.id, name: region.name }))
+        : [];
+
+    return { entries, deletes };
+}
+
+// Projects CRUD operations. The route-facing API keeps the original
+// region/legacy response shapes. Every write records a revision; `actor` is
+// the session admin ({ id, username }) responsible for it.
+const projectsDB = {
+    // Get all projects; pass { publishedOnly: true } for the public view
+    getAll: (options = {}) => {
+        return withDatabase(db => loadRegions(db, null, options));
+    },
+
+    // Get project by ID
+    getById: (id, options = {}) => {
+        return withDatabase(async (db) => {
+            const [region] = await loadRegions(db, id, options);
+            return region || null;
+        });
+    },
+
+    // Get a region by its slug (for /work/ links), with the same options
+    getBySlug: (slug, options = {}) => {
+        return withDatabase(async (db) => {
+            const row = await get(db, 'SELECT id FROM regions WHERE slug = ?', [String(slug).toLowerCase()]);
+            if (!row) return null;
+
+            const [region] = await loadRegions(db, row.id, options);
+            return region || null;
+        });
+    },
+
+    // Full-text search over region names, project titles, clients, services,
+    // descriptions and sections, best match first. Each result is a project
+    // with its region (and coordinates), its index among the region's
+    // projects, and HTML with the matches in <mark>: `highlight` (name and
+    // title) and `snippet` (the best matching passage). With publishedOnly,
+    // only content that is live right now is searched.
+    search: (text, { limit = 10, publishedOnly = true } = {}) => {
+        return withDatabase(async (db) => {
+            const query = toSearchQuery(text);
+            if (!query) return [];
+
+            const live = (alias) => publishedOnly ? `AND ${liveCondition(alias)}` : '';
+            const rows = await all(db, `
+                SELECT p.id AS project_id, p.region_id, r.kind, r.name, p.title, p.under, p.service,
+                    r.x, r.y, r.w, r.h,
+                    highlight(project_search, 0, ?, ?) AS name_html,
+                    highlight(project_search, 1, ?, ?) AS title_html,
+                    snippet(project_search, -1, ?, ?, '…', 16) AS snippet_html,
+                    bm25(project_search, ${SEARCH_WEIGHTS}) AS score,
+                    (SELECT COUNT(*) FROM region_projects q
+                        WHERE q.region_id = p.region_id AND q.position < p.position ${live('q')}) AS project_index
+                FROM project_search
+                JOIN region_projects p ON p.id = project_search.rowid
+                JOIN regions r ON r.id = p.region_id
+                WHERE project_search MATCH ? ${live('r')} ${live('p')}
+                ORDER BY score
+                LIMIT ?
+            `, [MATCH_START, MATCH_END, MATCH_START, MATCH_END, MATCH_START, MATCH_END, query, limit]);
+
+            return rows.map(row => ({
+                regionId: row.region_id,
+                projectId: row.project_id,
+                projectIndex: row.project_index,
+                kind: row.kind,
+                name: row.name,
+                title: row.title || '',
+                under: row.under || '',
+                service: row.service || '',
+                coordinates: toCoordinates(row),
+                highlight: {
+                    name: markMatches(row.name_html),
+                    title: markMatches(row.title_html)
+                },
+                snippet: markMatches(row.snippet_html),
+                score: row.score
+            }));
+        });
+    },
+
+    // Create new project
+    create: (projectData, actor = null) => {
+        return withTransaction(db => createRegion(db, projectData, actor));
+    },
+
+    // Update project, replacing its whole project tree
+    update: (id, projectData, actor = null) => {
+        return withTransaction(async (db) => {
+            const [current] = await loadRegions(db, id);
+            return current ? replaceRegion(db, current, projectData, actor) : 0;
+        });
+    },
+
+    // Delete project (children are removed by ON DELETE CASCADE). The last
+    // state is kept as a 'delete' revision so it can be restored.
+    delete: (id, actor = null) => {
+        return withTransaction(async (db) => {
+            const [current] = await loadRegions(db, id);
+            return current ? deleteRegion(db, current, actor) : 0;
+        });
+    },
+
+    // Bring a region back to a revision snapshot, recreating it if deleted
+    restore: (id, snapshot, actor = null) => {
+        return withTransaction(async (db) => {
+            const [current] = await loadRegions(db, id);
+
+            if (current) {
+                await ensureBaselineRevision(db, current);
+                await updateRegion(db, id, snapshot);
+            } else {
+                await insertRegion(db, snapshot, { id });
+            }
+
+            return snapshotRegion(db, id, 'restore', actor);
+        });
+    },
+
+    // Import regions in either format as one transaction: any error rolls the
+    // whole import back. Returns the plan ({ entries, deletes }, see
+    // planImport); with dryRun nothing is written.
+    import: (items, { strategy = 'id', overwrite = false, dryRun = false } = {}, actor = null) => {
+        return withTransaction(async (db) => {
+            const regions = await loadRegions(db);
+            const byId = new Map(regions.map(region => [region.id, region]));
+            const existing = regions.map(region => {
+                const name = regionName(region);
+                return { id: region.id, name, matchName: name.toLowerCase() };
+            });
+
+            const plan = planImport(existing, items, { strategy, overwrite });
+            if (dryRun) return plan;
+
+            for (const { id } of plan.deletes) {
+                await deleteRegion(db, byId.get(id), actor);
+            }
+
+            for (const entry of plan.entries.filter(entry => entry.action === 'update')) {
+                await replaceRegion(db, byId.get(entry.id), items[entry.index], actor);
+            }
+
+            // Creates with a kept id go first so new ids cannot take them
+            const creates = plan.entries.filter(entry => entry.action === 'create');
+            creates.sort((a, b) => (a.id === undefined) - (b.id === undefined));
+
+            for (const entry of creates) {
+                const item = items[entry.index];
+                entry.id = await createRegion(db, item, actor, {
+                    id: entry.id === undefined ? null : entry.id,
+                    createdAt: SQL_TIMESTAMP.test(item.created_at) ? item.created_at : null
+                });
+            }
+
+            return plan;
+        });
+    },
+
+    // Publish scheduled items whose time has come and take published items
+    // past their unpublish time back to draft
+    applySchedule: () => {
+        return withTransaction(async (db) => {
+            let published = 0;
+            let unpublished = 0;
+
+            for (const table of ['regions', 'region_projects']) {
+                published += (await run(db, `
+                    UPDATE ${table} SET status = 'published'
+                    WHERE status = 'scheduled' AND publish_at <= ${NOW}
+                `)).changes;
+
+                unpublished += (await run(db, `
+                    UPDATE ${table} SET status = 'draft', unpublish_at = NULL
+                    WHERE status = 'published' AND unpublish_at <= ${NOW}
+                `)).changes;
+            }
+
+            return { published, unpublished };
+        });
+    }
+};
+
+module.exports = {
+    projectsDB,
+    liveCondition,
+    termConditions,
+    STATUSES,
+    TERM_TYPES,
+    TERM_FIELDS,
+    IMPORT_STRATEGIES
+};
@@ -0,0 +1,100 @@
+const { withDatabase, run, get, all } = require('../db/connection');
+
+// Region revision history. Every write to a region stores a full snapshot of
+// the region (in API shape, without id and timestamps) so any revision can be
+// compared or restored later.
+
+function toSnapshot(region) {
+    const { id, created_at, updated_at, ...snapshot } = region;
+    return snapshot;
+}
+
+function summarize(row) {
+    const snapshot = JSON.parse(row.snapshot);
+
+    return {
+        rev: row.rev,
+        action: row.action,
+        author: row.admin_username || null,
+        created_at: row.created_at,
+        name: snapshot.name || snapshot.title || '',
+        projectCount: Array.isArray(snapshot.projects) ? snapshot.projects.length : 1
+    };
+}
+
+// Store a snapshot as the next revision of a region (runs inside the caller's transaction)
+async function recordRevision(db, regionId, action, region, actor = null) {
+    const { rev } = await get(db, 'SELECT COALESCE(MAX(rev), 0) + 1 AS rev FROM revisions WHERE region_id = ?', [regionId]);
+
+    await run(db, `
+        INSERT INTO revisions (region_id, rev, action, snapshot, admin_id, admin_username)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+        regionId,
+        rev,
+        action,
+        JSON.stringify(toSnapshot(region)),
+        actor ? actor.id : null,
+        actor ? actor.username : null
+    ]);
+
+    return rev;
+}
+
+// Regions created before revisions existed get their current state recorded
+// as a baseline before the first change, so that change can be undone too
+async function ensureBaselineRevision(db, region) {
+    const row = await get(db, 'SELECT COUNT(*) AS count FROM revisions WHERE region_id = ?', [region.id]);
+    if (row.count === 0) {
+        await recordRevision(db, region.id, 'baseline', region);
+    }
+}
+
+const revisionsDB = {
+    // List revisions of a region, newest first
+    list: (regionId) => {
+        return withDatabase(async (db) => {
+            const rows = await all(db, `
+                SELECT * FROM revisions WHERE region_id = ? ORDER BY rev DESC
+            `, [regionId]);
+            return rows.map(summarize);
+        });
+    },
+
+    // Get a single revision including its snapshot
+    get: (regionId, rev) => {
+        return withDatabase(async (db) => {
+            const row = await get(db, 'SELECT * FROM revisions WHERE region_id = ? AND rev = ?', [regionId, rev]);
+            if (!row) return null;
+
+            return {
+                ...summarize(row),
+                snapshot: JSON.parse(row.snapshot)
+            };
+        });
+    },
+
+    // Regions whose latest revision is a delete and that no longer exist
+    listDeleted: () => {
+        return withDatabase(async (db) => {
+            const rows = await all(db, `
+                SELECT r.* FROM revisions r
+                WHERE r.action = 'delete'
+                AND r.rev = (SELECT MAX(rev) FROM revisions WHERE region_id = r.region_id)
+                AND r.region_id NOT IN (SELECT id FROM regions)
+                ORDER BY r.created_at DESC, r.id DESC
+            `);
+
+            return rows.map(row => ({
+                id: row.region_id,
+                ...summarize(row)
+            }));
+        });
+    }
+};
+
+module.exports = {
+    revisionsDB,
+    recordRevision,
+    ensureBaselineRevision
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const session = require('express-session');
+const { withDatabase, run, get, all } = require('../db/connection');
+
+const DEFAULT_LIFETIME = 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL = 15 * 60 * 1000;
+
+function expiresAt(sess) {
+    return sess.cookie && sess.cookie.expires
+        ? new Date(sess.cookie.expires).getTime()
+        : Date.now() + DEFAULT_LIFETIME;
+}
+
+// Sessions are stored under a SHA-256 hash of their id (the cookie value),
+// so a copy of the database cannot be used to sign in. They are listed by
+// the start of that hash.
+function hashSid(sid) {
+    return crypto.createHash('sha256').update(sid).digest('hex');
+}
+
+const PUBLIC_ID_LENGTH = 16;
+
+function formatSession(row, currentSid) {
+    return {
+        id: row.sid_hash.slice(0, PUBLIC_ID_LENGTH),
+        ip: row.ip,
+        user_agent: row.user_agent,
+        created_at: row.created_at,
+        last_seen_at: row.last_seen_at,
+        current: Boolean(currentSid) && row.sid_hash === hashSid(currentSid)
+    };
+}
+
+const sessionsDB = {
+    get: (sid) => {
+        return withDatabase(async (db) => {
+            const row = await get(db, 'SELECT data FROM sessions WHERE sid_hash = ? AND expires_at > ?', [hashSid(sid), Date.now()]);
+            return row ? JSON.parse(row.data) : null;
+        });
+    },
+
+    save: (sid, sess) => {
+        const client = sess.client || {};
+
+        return withDatabase(db => run(db, `
+            INSERT INTO sessions (sid_hash, admin_id, data, ip, user_agent, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(sid_hash) DO UPDATE SET
+                admin_id = excluded.admin_id,
+                data = excluded.data,
+                ip = excluded.ip,
+                user_agent = excluded.user_agent,
+                expires_at = excluded.expires_at,
+                last_seen_at = CURRENT_TIMESTAMP
+        `, [hashSid(sid), sess.admin ? sess.admin.id : null, JSON.stringify(sess), client.ip || null, client.userAgent || null, expiresAt(sess)]));
+    },
+
+    touch: (sid, sess) => {
+        return withDatabase(db => run(db, `
+            UPDATE sessions SET expires_at = ?, last_seen_at = CURRENT_TIMESTAMP WHERE sid_hash = ?
+        `, [expiresAt(sess), hashSid(sid)]));
+    },
+
+    destroy: (sid) => {
+        return withDatabase(db => run(db, 'DELETE FROM sessions WHERE sid_hash = ?', [hashSid(sid)]));
+    },
+
+    // An admin's live sessions, most recently used first
+    listForAdmin: (adminId, currentSid) => {
+        return withDatabase(async (db) => {
+            const rows = await all(db, `
+                SELECT * FROM sessions WHERE admin_id = ? AND expires_at > ?
+                ORDER BY last_seen_at DESC
+            `, [adminId, Date.now()]);
+            return rows.map(row => formatSession(row, currentSid));
+        });
+    },
+
+    // Sign out one session by its public id. Returns true if it existed.
+    revoke: (adminId, id) => {
+        return withDatabase(async (db) => {
+            if (typeof id !== 'string' || id.length !== PUBLIC_ID_LENGTH) return false;
+
+            const { changes } = await run(db, `
+                DELETE FROM sessions WHERE admin_id = ? AND substr(sid_hash, 1, ?) = ?
+            `, [adminId, PUBLIC_ID_LENGTH, id]);
+            return changes > 0;
+        });
+    },
+
+    // Sign out all of an admin's sessions, optionally keeping one. Returns the count.
+    revokeAll: (adminId, { except = null } = {}) => {
+        return withDatabase(async (db) => {
+            const { changes } = await run(db, `
+                DELETE FROM sessions WHERE admin_id = ? AND sid_hash IS NOT ?
+            `, [adminId, except ? hashSid(except) : null]);
+            return changes;
+        });
+    },
+
+    prune: () => {
+        return withDatabase(db => run(db, 'DELETE FROM sessions WHERE expires_at <= ?', [Date.now()]));
+    }
+};
+
+// Settle an express-session store callback (which may be omitted) from a promise
+function callbackify(promise, callback, map = () => undefined) {
+    promise.then(
+        result => callback && callback(null, map(result)),
+        error => callback && callback(error)
+    );
+}
+
+// express-session store backed by the sessions table. Expired sessions are
+// ignored on read and deleted every CLEANUP_INTERVAL.
+class SQLiteSessionStore extends session.Store {
+    constructor({ cleanupInterval = CLEANUP_INTERVAL } = {}) {
+        super();
+
+        this.cleanupTimer = setInterval(() => {
+            sessionsDB.prune().catch(error => console.error('❌ Failed to prune expired sessions:', error));
+        }, cleanupInterval);
+        this.cleanupTimer.unref();
+    }
+
+    get(sid, callback) {
+        callbackify(sessionsDB.get(sid), callback, sess => sess);
+    }
+
+    set(sid, sess, callback) {
+        callbackify(sessionsDB.save(sid, sess), callback);
+    }
+
+    touch(sid, sess, callback) {
+        callbackify(sessionsDB.touch(sid, sess), callback);
+    }
+
+    destroy(sid, callback) {
+        callbackify(sessionsDB.destroy(sid), callback);
+    }
+}
+
+module.exports = {
+    sessionsDB,
+    SQLiteSessionStore
+};
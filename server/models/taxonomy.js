@@ -0,0 +1,202 @@
+const { withDatabase, withTransaction, run, get, all } = require('../db/connection');
+const { liveCondition, termConditions, TERM_TYPES, TERM_FIELDS } = require('./regions');
+const { slugify } = require('../utils/slug');
+
+// Managed vocabularies: tag, client and service terms. Projects are assigned
+// terms by name when they are saved (see the regions model); here terms are
+// listed, created, renamed, merged and deleted, and counted for facets.
+
+const MAX_FILTER_VALUES = 20;
+
+// Errors the caller caused; routes turn the code into a status
+function termError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function formatTerm(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        name: row.name,
+        slug: row.slug,
+        projects: row.projects || 0,
+        created_at: row.created_at
+    };
+}
+
+async function getTerm(db, id) {
+    return get(db, `
+        SELECT t.*, (SELECT COUNT(*) FROM project_terms pt WHERE pt.term_id = t.id) AS projects
+        FROM terms t WHERE t.id = ?
+    `, [id]);
+}
+
+// Name and slug for a new or renamed term; DUPLICATE when another term of
+// the type already has the slug
+async function checkName(db, type, name, exceptId = null) {
+    const trimmed = String(name || '').replace(/\s+/g, ' ').trim();
+    const slug = slugify(trimmed);
+    if (!slug) {
+        throw termError('INVALID_NAME', 'The name needs at least one letter or digit');
+    }
+
+    const existing = await get(db, 'SELECT id, name FROM terms WHERE type = ? AND slug = ? AND id IS NOT ?', [type, slug, exceptId]);
+    if (existing) {
+        throw termError('DUPLICATE', `There is already a ${type} named "${existing.name}"`);
+    }
+    return { name: trimmed, slug };
+}
+
+// Term filter from query parameters (?tag=a,b&client=c, or a parameter
+// repeated): slugs per type, as termConditions expects. Null if none given.
+function toTermFilter(query) {
+    const filter = {};
+
+    TERM_TYPES.forEach(type => {
+        const values = [].concat(query[type] || []).join(',').split(',');
+        const slugs = [...new Set(values.map(value => slugify(value)).filter(Boolean))].slice(0, MAX_FILTER_VALUES);
+        if (slugs.length > 0) filter[type] = slugs;
+    });
+
+    return Object.keys(filter).length > 0 ? filter : null;
+}
+
+const termsDB = {
+    // Every term, or those of one type, with how many projects use each
+    list: (type = null) => {
+        return withDatabase(async (db) => {
+            const rows = await all(db, `
+                SELECT t.*, COUNT(pt.project_id) AS projects FROM terms t
+                LEFT JOIN project_terms pt ON pt.term_id = t.id
+                ${type ? 'WHERE t.type = ?' : ''}
+                GROUP BY t.id
+                ORDER BY t.type, t.name COLLATE NOCASE
+            `, type ? [type] : []);
+            return rows.map(formatTerm);
+        });
+    },
+
+    getById: (id) => {
+        return withDatabase(async (db) => {
+            const row = await getTerm(db, id);
+            return row ? formatTerm(row) : null;
+        });
+    },
+
+    // The terms a filter (as toTermFilter returns it) names, in its order;
+    // slugs no term has are left out
+    findByFilter: (filter) => {
+        return withDatabase(async (db) => {
+            const wanted = Object.entries(filter || {}).flatMap(([type, slugs]) => slugs.map(slug => ({ type, slug })));
+            if (wanted.length === 0) return [];
+
+            const rows = await all(db, `
+                SELECT * FROM terms WHERE ${wanted.map(() => '(type = ? AND slug = ?)').join(' OR ')}
+            `, wanted.flatMap(({ type, slug }) => [type, slug]));
+            return wanted
+                .map(({ type, slug }) => rows.find(row => row.type === type && row.slug === slug))
+                .filter(Boolean)
+                .map(formatTerm);
+        });
+    },
+
+    create: (type, name) => {
+        return withTransaction(async (db) => {
+            const term = await checkName(db, type, name);
+            const { lastID } = await run(db, 'INSERT INTO terms (type, name, slug) VALUES (?, ?, ?)', [type, term.name, term.slug]);
+            return formatTerm(await getTerm(db, lastID));
+        });
+    },
+
+    // Rename a term everywhere it is used; its slug follows the name
+    rename: (id, name) => {
+        return withTransaction(async (db) => {
+            const current = await getTerm(db, id);
+            if (!current) return null;
+
+            const term = await checkName(db, current.type, name, id);
+            await run(db, 'UPDATE terms SET name = ?, slug = ? WHERE id = ?', [term.name, term.slug, id]);
+            return formatTerm(await getTerm(db, id));
+        });
+    },
+
+    // Move every project of one term to another of the same type and drop
+    // the first, e.g. to fold a misspelt tag into the right one
+    merge: (id, intoId) => {
+        return withTransaction(async (db) => {
+            const [source, target] = await Promise.all([getTerm(db, id), getTerm(db, intoId)]);
+            if (!source || !target) return null;
+            if (source.id === target.id || source.type !== target.type) {
+                throw termError('INVALID_MERGE', 'A term can only be merged into another term of the same type');
+            }
+
+            await run(db, `
+                INSERT OR IGNORE INTO project_terms (project_id, term_id, position)
+                SELECT project_id, ?, position FROM project_terms WHERE term_id = ?
+            `, [target.id, source.id]);
+            await run(db, 'DELETE FROM terms WHERE id = ?', [source.id]);
+            return formatTerm(await getTerm(db, target.id));
+        });
+    },
+
+    // Delete a term, removing it from its projects. Returns the deleted term.
+    delete: (id) => {
+        return withTransaction(async (db) => {
+            const row = await getTerm(db, id);
+            if (!row) return null;
+
+            await run(db, 'DELETE FROM terms WHERE id = ?', [id]);
+            return formatTerm(row);
+        });
+    },
+
+    // Facet values per type ({ tags, clients, services }), each term with
+    // the projects and regions that would match if it were picked: counted
+    // with the filters of the other types applied (see termConditions), as
+    // picking another value of the same type widens the selection. With
+    // publishedOnly, only live content counts and unused terms are left out.
+    facets: ({ publishedOnly = true, filter = {} } = {}) => {
+        return withDatabase(async (db) => {
+            const live = publishedOnly
+                ? `AND ${liveCondition('p')} AND EXISTS (SELECT 1 FROM regions r WHERE r.id = p.region_id AND ${liveCondition('r')})`
+                : '';
+            const facets = {};
+
+            for (const type of TERM_TYPES) {
+                const others = termConditions({ ...filter, [type]: [] });
+                const matches = others.conditions.length > 0 ? others.conditions.join(' AND ') : '1';
+
+                const rows = await all(db, `
+                    SELECT t.id, t.name, t.slug,
+                        COUNT(DISTINCT p.id) AS total,
+                        COUNT(DISTINCT CASE WHEN ${matches} THEN p.id END) AS projects,
+                        COUNT(DISTINCT CASE WHEN ${matches} THEN p.region_id END) AS regions
+                    FROM terms t
+                    LEFT JOIN project_terms pt ON pt.term_id = t.id
+                    LEFT JOIN region_projects p ON p.id = pt.project_id ${live}
+                    WHERE t.type = ?
+                    GROUP BY t.id
+                    ${publishedOnly ? 'HAVING total > 0' : ''}
+                    ORDER BY t.name COLLATE NOCASE
+                `, [...others.params, ...others.params, type]);
+
+                facets[TERM_FIELDS[type]] = rows.map(row => ({
+                    id: row.id,
+                    name: row.name,
+                    slug: row.slug,
+                    projects: row.projects,
+                    regions: row.regions
+                }));
+            }
+
+            return facets;
+        });
+    }
+};
+
+module.exports = {
+    termsDB,
+    toTermFilter
+};
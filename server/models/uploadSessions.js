@@ -0,0 +1,72 @@
+const { withDatabase, run, get, all } = require('../db/connection');
+
+function formatSession(row) {
+    return {
+        id: row.id,
+        admin_id: row.admin_id,
+        original_name: row.original_name,
+        mime_type: row.mime_type,
+        size: row.size,
+        chunk_size: row.chunk_size,
+        received: row.received,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+const uploadSessionsDB = {
+    create: ({ id, adminId, originalName, mimeType, size, chunkSize }) => {
+        return withDatabase(async (db) => {
+            await run(db, `
+                INSERT INTO upload_sessions (id, admin_id, original_name, mime_type, size, chunk_size)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [id, adminId, originalName, mimeType, size, chunkSize]);
+            return formatSession(await get(db, 'SELECT * FROM upload_sessions WHERE id = ?', [id]));
+        });
+    },
+
+    getById: (id) => {
+        return withDatabase(async (db) => {
+            const row = await get(db, 'SELECT * FROM upload_sessions WHERE id = ?', [id]);
+            return row ? formatSession(row) : null;
+        });
+    },
+
+    // Record the bytes written so far. Only moves forward from `from`, so two
+    // racing requests cannot both claim the same chunk.
+    advance: (id, from, received) => {
+        return withDatabase(async (db) => {
+            const { changes } = await run(db, `
+                UPDATE upload_sessions SET received = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND received = ?
+            `, [received, id, from]);
+            return changes > 0;
+        });
+    },
+
+    delete: (id) => {
+        return withDatabase(async (db) => {
+            const { changes } = await run(db, 'DELETE FROM upload_sessions WHERE id = ?', [id]);
+            return changes;
+        });
+    },
+
+    // Sessions nobody sent a chunk to for `hours`
+    listStale: (hours) => {
+        return withDatabase(async (db) => {
+            const rows = await all(db, "SELECT * FROM upload_sessions WHERE updated_at < datetime('now', ?)", [`-${hours} hours`]);
+            return rows.map(formatSession);
+        });
+    },
+
+    allIds: () => {
+        return withDatabase(async (db) => {
+            const rows = await all(db, 'SELECT id FROM upload_sessions');
+            return new Set(rows.map(row => row.id));
+        });
+    }
+};
+
+module.exports = {
+    uploadSessionsDB
+};
@@ -0,0 +1,265 @@
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { adminsDB, formatAdmin, ROLES } = require('../models/admins');
+const { sessionsDB } = require('../models/sessions');
+const { requireRole, tokenScopes } = require('../middleware/auth');
+const { audit } = require('../utils/audit');
+
+const router = express.Router();
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,32}$/;
+
+// User management is for owners only
+router.use(tokenScopes({ read: 'admin', write: 'admin' }));
+router.use(requireRole('owner'));
+
+// Random password handed to the user once; they must change it on first login
+function generateTemporaryPassword() {
+    return crypto.randomBytes(9).toString('base64url');
+}
+
+// Would this change leave the site without an enabled owner?
+async function removesLastOwner(admin, changes) {
+    if (admin.role !== 'owner' || admin.disabled) return false;
+
+    const stillOwner = (changes.role === undefined || changes.role === 'owner') && !changes.disabled && !changes.deleted;
+    if (stillOwner) return false;
+
+    return (await adminsDB.countActiveOwners()) <= 1;
+}
+
+// List admins
+router.get('/', async (req, res) => {
+    try {
+        const admins = await adminsDB.getAll();
+        res.json({
+            success: true,
+            data: admins
+        });
+    } catch (error) {
+        console.error('Error fetching admins:', error);
+        res.status(500).json({
+            error: 'Failed to fetch users',
+            message: 'An error occurred while fetching users'
+        });
+    }
+});
+
+// Invite a new admin with a temporary password
+router.post('/', async (req, res) => {
+    try {
+        const { username, role = 'editor' } = req.body;
+
+        if (!username || !USERNAME_PATTERN.test(username)) {
+            return res.status(400).json({
+                error: 'Invalid username',
+                message: 'Username must be 3-32 letters, numbers, dots, dashes or underscores'
+            });
+        }
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                error: 'Invalid role',
+                message: `Role must be one of: ${ROLES.join(', ')}`
+            });
+        }
+
+        if (await adminsDB.getByUsername(username)) {
+            return res.status(409).json({
+                error: 'Username taken',
+                message: 'A user with this username already exists'
+            });
+        }
+
+        const temporaryPassword = generateTemporaryPassword();
+        const id = await adminsDB.create({
+            username,
+            role,
+            passwordHash: await bcrypt.hash(temporaryPassword, 10),
+            mustChangePassword: true
+        });
+
+        await audit(req, 'admin.invite', { targetId: id, after: { username, role } });
+
+        res.status(201).json({
+            success: true,
+            message: `User ${username} invited`,
+            data: formatAdmin(await adminsDB.getById(id)),
+            temporaryPassword
+        });
+    } catch (error) {
+        console.error('Error inviting admin:', error);
+        res.status(500).json({
+            error: 'Failed to invite user',
+            message: 'An error occurred while inviting the user'
+        });
+    }
+});
+
+// Change role or enable/disable an admin
+router.put('/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const { role, disabled } = req.body;
+
+        const admin = await adminsDB.getById(id);
+        if (!admin) {
+            return res.status(404).json({
+                error: 'User not found',
+                message: 'The user to update does not exist'
+            });
+        }
+
+        if (role !== undefined && !ROLES.includes(role)) {
+            return res.status(400).json({
+                error: 'Invalid role',
+                message: `Role must be one of: ${ROLES.join(', ')}`
+            });
+        }
+
+        if (id === req.admin.id && ((role !== undefined && role !== admin.role) || disabled)) {
+            return res.status(400).json({
+                error: 'Cannot change yourself',
+                message: 'You cannot change your own role or disable your own account'
+            });
+        }
+
+        if (await removesLastOwner(admin, { role, disabled })) {
+            return res.status(400).json({
+                error: 'Last owner',
+                message: 'At least one enabled owner is required'
+            });
+        }
+
+        await adminsDB.update(id, {
+            role,
+            disabled: disabled === undefined ? undefined : Boolean(disabled)
+        });
+
+        if (disabled) {
+            await sessionsDB.revokeAll(id);
+        }
+
+        const updated = formatAdmin(await adminsDB.getById(id));
+        await audit(req, 'admin.update', {
+            targetId: id,
+            before: { username: admin.username, role: admin.role, disabled: Boolean(admin.disabled) },
+            after: { username: updated.username, role: updated.role, disabled: updated.disabled }
+        });
+
+        res.json({
+            success: true,
+            message: 'User updated successfully',
+            data: updated
+        });
+    } catch (error) {
+        console.error('Error updating admin:', error);
+        res.status(500).json({
+            error: 'Failed to update user',
+            message: 'An error occurred while updating the user'
+        });
+    }
+});
+
+// Replace an admin's password with a new temporary one
+router.post('/:id/reset-password', async (req, res) => {
+    try {
+        const admin = await adminsDB.getById(parseInt(req.params.id));
+        if (!admin) {
+            return res.status(404).json({
+                error: 'User not found',
+                message: 'The user does not exist'
+            });
+        }
+
+        const temporaryPassword = generateTemporaryPassword();
+        await adminsDB.updatePassword(admin.username, await bcrypt.hash(temporaryPassword, 10), { temporary: true });
+        await sessionsDB.revokeAll(admin.id);
+        await audit(req, 'admin.reset_password', { targetId: admin.id, after: { username: admin.username } });
+
+        res.json({
+            success: true,
+            message: `Password reset for ${admin.username}`,
+            temporaryPassword
+        });
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        res.status(500).json({
+            error: 'Failed to reset password',
+            message: 'An error occurred while resetting the password'
+        });
+    }
+});
+
+// Turn off two-factor for an admin who lost their authenticator and recovery codes
+router.post('/:id/reset-2fa', async (req, res) => {
+    try {
+        const admin = await adminsDB.getById(parseInt(req.params.id));
+        if (!admin) {
+            return res.status(404).json({
+                error: 'User not found',
+                message: 'The user does not exist'
+            });
+        }
+
+        await adminsDB.disableTotp(admin.id);
+        await audit(req, 'admin.reset_2fa', { targetId: admin.id, after: { username: admin.username } });
+
+        res.json({
+            success: true,
+            message: `Two-factor authentication turned off for ${admin.username}`
+        });
+    } catch (error) {
+        console.error('Error resetting two-factor:', error);
+        res.status(500).json({
+            error: 'Failed to reset two-factor',
+            message: 'An error occurred while resetting two-factor authentication'
+        });
+    }
+});
+
+// Delete an admin
+router.delete('/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+
+        const admin = await adminsDB.getById(id);
+        if (!admin) {
+            return res.status(404).json({
+                error: 'User not found',
+                message: 'The user to delete does not exist'
+            });
+        }
+
+        if (id === req.admin.id) {
+            return res.status(400).json({
+                error: 'Cannot delete yourself',
+                message: 'You cannot delete your own account'
+            });
+        }
+
+        if (await removesLastOwner(admin, { deleted: true })) {
+            return res.status(400).json({
+                error: 'Last owner',
+                message: 'At least one enabled owner is required'
+            });
+        }
+
+        await adminsDB.delete(id);
+        await audit(req, 'admin.delete', { targetId: id, before: { username: admin.username, role: admin.role } });
+
+        res.json({
+            success: true,
+            message: `User ${admin.username} deleted`
+        });
+    } catch (error) {
+        console.error('Error deleting admin:', error);
+        res.status(500).json({
+            error: 'Failed to delete user',
+            message: 'An error occurred while deleting the user'
+        });
+    }
+});
+
+module.exports = router;
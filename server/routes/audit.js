@@ -0,0 +1,114 @@
+const express = require('express');
+const { auditDB } = require('../models/audit');
+const { requireRole, tokenScopes } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(tokenScopes({ read: 'admin', write: 'admin' }));
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+// The CSV export streams every matching entry, this many at a time
+const EXPORT_PAGE_SIZE = 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const CSV_COLUMNS = ['id', 'created_at', 'actor', 'action', 'target_id', 'ip', 'user_agent', 'summary'];
+
+// Turn a from/to query value into the created_at format (UTC, 'YYYY-MM-DD HH:MM:SS').
+// A date-only `to` includes that whole day.
+function toTimestamp(value, endOfDay = false) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+
+    if (endOfDay && DATE_ONLY.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Quote CSV fields, and defuse values a spreadsheet would run as a formula
+// (user agents and usernames come from the client)
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// List audit log entries (owners and editors). Filters: actor, action
+// (exact or prefix, e.g. "project"), from, to; paging with limit/offset;
+// format=csv downloads every matching entry instead.
+router.get('/', requireRole('owner', 'editor'), async (req, res) => {
+    try {
+        const { actor, action, from, to, format } = req.query;
+
+        // A repeated parameter (?action=a&action=b) arrives as an array
+        if ([actor, action, from, to, format].some(value => value !== undefined && typeof value !== 'string')) {
+            return res.status(400).json({
+                error: 'Invalid filter',
+                message: 'actor, action, from, to and format can only be given once'
+            });
+        }
+
+        const filters = {
+            actor: actor || null,
+            action: action || null,
+            from: from ? toTimestamp(from) : null,
+            to: to ? toTimestamp(to, true) : null
+        };
+
+        if ((from && !filters.from) || (to && !filters.to)) {
+            return res.status(400).json({
+                error: 'Invalid date',
+                message: 'from and to must be valid dates (e.g. 2024-01-31 or an ISO timestamp)'
+            });
+        }
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename=audit-log-${new Date().toISOString().split('T')[0]}.csv`);
+            res.write(CSV_COLUMNS.join(','));
+
+            // Entries logged during the export (its own included) are left
+            // out, so the pages do not shift
+            let maxId = null;
+            for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+                const { entries } = await auditDB.list({ ...filters, maxId }, { limit: EXPORT_PAGE_SIZE, offset });
+                if (maxId === null && entries.length > 0) {
+                    maxId = Math.max(...entries.map(entry => entry.id));
+                }
+
+                entries.forEach(entry => res.write(`\r\n${CSV_COLUMNS.map(column => csvValue(entry[column])).join(',')}`));
+                if (entries.length < EXPORT_PAGE_SIZE) break;
+            }
+            return res.end();
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const { entries, total } = await auditDB.list(filters, { limit, offset });
+
+        res.json({
+            success: true,
+            data: entries,
+            total,
+            limit,
+            offset
+        });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        // Cut a CSV download off rather than let a partial file pass as whole
+        if (res.headersSent) {
+            return res.destroy();
+        }
+        res.status(500).json({
+            error: 'Failed to fetch audit log',
+            message: 'An error occurred while fetching the audit log'
+        });
+    }
+});
+
+module.exports = router;
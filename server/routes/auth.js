@@ -1,11 +1,80 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
+const QRCode = require('qrcode');
 const { adminsDB } = require('../models/database');
-const { requireAuth } = require('../middleware/auth');
+const { sessionsDB } = require('../models/sessions');
+const { DEFAULT_PASSWORD } = require('../models/admins');
+const { requireAuth, requireLogin, loadSessionAdmin, toSessionAdmin } = require('../middleware/auth');
+const { audit } = require('../utils/audit');
+const {
+    claimLoginAttempt, recordLoginFailure, releaseLoginAttempt, clearLoginFailures, sendThrottled
+} = require('../utils/loginThrottle');
+const {
+    generateSecret, verifyTotp, otpauthUrl, generateRecoveryCodes, hashRecoveryCode, encryptSecret, decryptSecret
+} = require('../utils/totp');
 
 const router = express.Router();
 
-// Login endpoint
+// How long a password-verified login waits for its two-factor code
+const PENDING_LOGIN_MINUTES = 5;
+
+function invalidCredentials(res) {
+    return res.status(401).json({ 
+        error: 'Invalid credentials',
+        message: 'Username or password is incorrect' 
+    });
+}
+
+// Audit a failed attempt (already counted) and the lockout if it just kicked in
+async function loginFailed(req, username, actor, reason) {
+    await audit(req, 'auth.login_failed', { actor, after: { reason } });
+
+    const locked = await recordLoginFailure(req, username);
+    if (locked.length > 0) {
+        await audit(req, 'auth.login_locked', { actor, after: { keys: locked } });
+    }
+}
+
+// Check an authenticator code (or a recovery code, which is used up)
+async function verifySecondFactor(admin, { code, recoveryCode }) {
+    if (recoveryCode) {
+        return adminsDB.useRecoveryCode(admin.id, hashRecoveryCode(recoveryCode));
+    }
+
+    const counter = verifyTotp(decryptSecret(admin.totp_secret), code, { lastCounter: admin.totp_last_counter });
+    if (counter === null) return false;
+
+    return adminsDB.setTotpCounter(admin.id, counter);
+}
+
+// Start a fresh session for the admin (so a pre-login session id is never reused)
+function completeLogin(req, res, admin, method) {
+    return new Promise((resolve, reject) => {
+        req.session.regenerate(async (err) => {
+            if (err) return reject(err);
+
+            try {
+                req.session.admin = toSessionAdmin(admin);
+                req.session.client = { ip: req.ip, userAgent: req.get('User-Agent') || null };
+                await adminsDB.recordLogin(admin.id);
+                await clearLoginFailures(req, admin.username);
+                await audit(req, 'auth.login', { after: { method } });
+
+                res.json({ 
+                    success: true,
+                    message: 'Login successful',
+                    admin: req.session.admin
+                });
+                resolve();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    });
+}
+
+// Login endpoint. With two-factor enabled, a correct password only starts the
+// login; it is completed by POST /login/2fa.
 router.post('/login', async (req, res) => {
     try {
         const { username, password } = req.body;
@@ -17,40 +86,52 @@ router.post('/login', async (req, res) => {
             });
         }
 
+        const throttle = await claimLoginAttempt(req, username);
+        if (throttle.retryAfter > 0) {
+            return sendThrottled(res, throttle);
+        }
+
         // Get admin user from database
         const admin = await adminsDB.getByUsername(username);
         
         if (!admin) {
-            return res.status(401).json({ 
-                error: 'Invalid credentials',
-                message: 'Username or password is incorrect' 
-            });
+            await loginFailed(req, username, { username }, 'unknown user');
+            return invalidCredentials(res);
         }
 
         // Verify password
         const isValidPassword = await bcrypt.compare(password, admin.password_hash);
         
         if (!isValidPassword) {
-            return res.status(401).json({ 
-                error: 'Invalid credentials',
-                message: 'Username or password is incorrect' 
+            await loginFailed(req, username, admin, 'wrong password');
+            return invalidCredentials(res);
+        }
+
+        if (admin.disabled) {
+            await audit(req, 'auth.login_failed', { actor: admin, after: { reason: 'account disabled' } });
+            return res.status(403).json({ 
+                error: 'Account disabled',
+                message: 'This account has been disabled, please contact an owner' 
             });
         }
 
-        // Set session
-        req.session.admin = {
-            id: admin.id,
-            username: admin.username
-        };
+        // Still on the seeded default password: make them change it first
+        if (password === DEFAULT_PASSWORD && !admin.must_change_password) {
+            await adminsDB.requirePasswordChange(admin.id);
+            admin.must_change_password = 1;
+        }
 
-        res.json({ 
-            success: true,
-            message: 'Login successful',
-            admin: {
-                id: admin.id,
-                username: admin.username
-            }
-        });
+        if (admin.totp_enabled) {
+            await releaseLoginAttempt(req, username);
+            req.session.pendingLogin = { id: admin.id, startedAt: Date.now() };
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                message: 'Enter the code from your authenticator app'
+            });
+        }
+
+        await completeLogin(req, res, admin, 'password');
 
     } catch (error) {
         console.error('Login error:', error);
@@ -61,8 +142,59 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// Second login step: a code from the authenticator app, or a recovery code
+router.post('/login/2fa', async (req, res) => {
+    try {
+        const { code, recoveryCode } = req.body;
+        const pending = req.session && req.session.pendingLogin;
+
+        if (!pending || Date.now() - pending.startedAt > PENDING_LOGIN_MINUTES * 60 * 1000) {
+            delete req.session.pendingLogin;
+            return res.status(401).json({
+                error: 'Login expired',
+                message: 'Please sign in with your password again'
+            });
+        }
+
+        const admin = await adminsDB.getById(pending.id);
+        if (!admin || admin.disabled || !admin.totp_enabled) {
+            delete req.session.pendingLogin;
+            return res.status(401).json({
+                error: 'Login expired',
+                message: 'Please sign in with your password again'
+            });
+        }
+
+        const throttle = await claimLoginAttempt(req, admin.username);
+        if (throttle.retryAfter > 0) {
+            return sendThrottled(res, throttle);
+        }
+
+        if (!(await verifySecondFactor(admin, { code, recoveryCode }))) {
+            await loginFailed(req, admin.username, admin, recoveryCode ? 'wrong recovery code' : 'wrong 2fa code');
+            return res.status(401).json({
+                error: 'Invalid code',
+                message: recoveryCode ? 'Recovery code is incorrect or already used' : 'Authentication code is incorrect'
+            });
+        }
+
+        await completeLogin(req, res, admin, recoveryCode ? 'recovery_code' : 'totp');
+
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ 
+            error: 'Login failed',
+            message: 'An error occurred during login' 
+        });
+    }
+});
+
 // Logout endpoint
-router.post('/logout', (req, res) => {
+router.post('/logout', async (req, res) => {
+    if (req.session && req.session.admin) {
+        await audit(req, 'auth.logout');
+    }
+
     req.session.destroy((err) => {
         if (err) {
             return res.status(500).json({ 
@@ -80,21 +212,97 @@ router.post('/logout', (req, res) => {
 });
 
 // Check authentication status
-router.get('/status', (req, res) => {
-    if (req.session && req.session.admin) {
-        res.json({ 
-            authenticated: true,
-            admin: req.session.admin 
+router.get('/status', async (req, res) => {
+    try {
+        const admin = await loadSessionAdmin(req);
+
+        if (admin) {
+            res.json({ 
+                authenticated: true,
+                admin: admin 
+            });
+        } else {
+            res.json({ 
+                authenticated: false 
+            });
+        }
+    } catch (error) {
+        console.error('Auth status error:', error);
+        res.status(500).json({ 
+            error: 'Status check failed',
+            message: 'An error occurred while checking authentication' 
         });
-    } else {
-        res.json({ 
-            authenticated: false 
+    }
+});
+
+// List the current admin's active sessions
+router.get('/sessions', requireAuth, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await sessionsDB.listForAdmin(req.admin.id, req.sessionID)
+        });
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({
+            error: 'Failed to fetch sessions',
+            message: 'An error occurred while fetching active sessions'
+        });
+    }
+});
+
+// Sign out one of the current admin's other sessions
+router.delete('/sessions/:id', requireAuth, async (req, res) => {
+    try {
+        if (!(await sessionsDB.revoke(req.admin.id, req.params.id))) {
+            return res.status(404).json({
+                error: 'Session not found',
+                message: 'The session does not exist or has already ended'
+            });
+        }
+
+        await audit(req, 'auth.session_revoked', { targetId: req.params.id });
+
+        res.json({
+            success: true,
+            message: 'Session signed out'
+        });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({
+            error: 'Failed to revoke session',
+            message: 'An error occurred while signing out the session'
+        });
+    }
+});
+
+// Sign out everywhere, including this session
+router.post('/logout-all', requireLogin, async (req, res) => {
+    try {
+        await audit(req, 'auth.logout_all');
+        await sessionsDB.revokeAll(req.admin.id, { except: req.sessionID });
+
+        // Destroy this one through express-session so it is not saved again
+        await new Promise((resolve, reject) => {
+            req.session.destroy(err => err ? reject(err) : resolve());
+        });
+
+        res.clearCookie('connect.sid');
+        res.json({
+            success: true,
+            message: 'Signed out of all sessions'
+        });
+    } catch (error) {
+        console.error('Error signing out everywhere:', error);
+        res.status(500).json({
+            error: 'Logout failed',
+            message: 'Could not sign out of all sessions, please try again'
         });
     }
 });
 
 // Change password endpoint
-router.post('/change-password', requireAuth, async (req, res) => {
+router.post('/change-password', requireLogin, async (req, res) => {
     try {
         const { currentPassword, newPassword } = req.body;
 
@@ -112,6 +320,13 @@ router.post('/change-password', requireAuth, async (req, res) => {
             });
         }
 
+        if (newPassword === DEFAULT_PASSWORD || newPassword === currentPassword) {
+            return res.status(400).json({ 
+                error: 'Weak password',
+                message: 'Please choose a new password, not the current or default one' 
+            });
+        }
+
         // Get current admin
         const admin = await adminsDB.getByUsername(req.session.admin.username);
         
@@ -126,6 +341,7 @@ router.post('/change-password', requireAuth, async (req, res) => {
         const isValidPassword = await bcrypt.compare(currentPassword, admin.password_hash);
         
         if (!isValidPassword) {
+            await audit(req, 'auth.change_password_failed', { targetId: admin.id });
             return res.status(401).json({ 
                 error: 'Invalid password',
                 message: 'Current password is incorrect' 
@@ -135,12 +351,17 @@ router.post('/change-password', requireAuth, async (req, res) => {
         // Hash new password
         const newPasswordHash = await bcrypt.hash(newPassword, 10);
         
-        // Update password in database
+        // Update password in database and sign out every other session
         await adminsDB.updatePassword(admin.username, newPasswordHash);
+        const revoked = await sessionsDB.revokeAll(admin.id, { except: req.sessionID });
+        req.session.admin.mustChangePassword = false;
+        await audit(req, 'auth.change_password', { targetId: admin.id, after: { sessionsRevoked: revoked } });
 
         res.json({ 
             success: true,
-            message: 'Password changed successfully' 
+            message: revoked > 0
+                ? `Password changed successfully, ${revoked} other session(s) signed out`
+                : 'Password changed successfully' 
         });
 
     } catch (error) {
@@ -152,4 +373,177 @@ router.post('/change-password', requireAuth, async (req, res) => {
     }
 });
 
+function invalidCode(res) {
+    return res.status(401).json({
+        error: 'Invalid code',
+        message: 'Authentication code is incorrect'
+    });
+}
+
+// Two-factor status for the logged-in admin
+router.get('/2fa', requireAuth, async (req, res) => {
+    try {
+        const admin = await adminsDB.getById(req.session.admin.id);
+
+        res.json({
+            success: true,
+            data: {
+                enabled: Boolean(admin.totp_enabled),
+                recoveryCodesRemaining: admin.totp_enabled ? await adminsDB.countRecoveryCodes(admin.id) : 0
+            }
+        });
+    } catch (error) {
+        console.error('Two-factor status error:', error);
+        res.status(500).json({
+            error: 'Status check failed',
+            message: 'An error occurred while checking two-factor authentication'
+        });
+    }
+});
+
+// Start enrollment: a new secret and its QR code for the authenticator app
+router.post('/2fa/setup', requireAuth, async (req, res) => {
+    try {
+        const admin = await adminsDB.getById(req.session.admin.id);
+
+        if (admin.totp_enabled) {
+            return res.status(400).json({
+                error: 'Already enabled',
+                message: 'Two-factor authentication is already enabled, disable it first to enroll a new device'
+            });
+        }
+
+        const secret = generateSecret();
+        const url = otpauthUrl(secret, admin.username);
+        await adminsDB.setTotpSecret(admin.id, encryptSecret(secret));
+
+        res.json({
+            success: true,
+            data: {
+                secret,
+                otpauthUrl: url,
+                qrCode: await QRCode.toDataURL(url)
+            }
+        });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({
+            error: 'Setup failed',
+            message: 'An error occurred while setting up two-factor authentication'
+        });
+    }
+});
+
+// Finish enrollment with a code from the app. Returns the recovery codes,
+// which are shown this once.
+router.post('/2fa/enable', requireAuth, async (req, res) => {
+    try {
+        const admin = await adminsDB.getById(req.session.admin.id);
+
+        if (admin.totp_enabled || !admin.totp_secret) {
+            return res.status(400).json({
+                error: admin.totp_enabled ? 'Already enabled' : 'Setup required',
+                message: admin.totp_enabled
+                    ? 'Two-factor authentication is already enabled'
+                    : 'Start two-factor setup before confirming a code'
+            });
+        }
+
+        const counter = verifyTotp(decryptSecret(admin.totp_secret), req.body.code);
+        if (counter === null) {
+            return invalidCode(res);
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        await adminsDB.enableTotp(admin.id, counter, recoveryCodes.map(hashRecoveryCode));
+        await audit(req, 'auth.2fa_enabled', { targetId: admin.id });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        res.status(500).json({
+            error: 'Enable failed',
+            message: 'An error occurred while enabling two-factor authentication'
+        });
+    }
+});
+
+// Replace the recovery codes (e.g. after using some). Needs a current code.
+router.post('/2fa/recovery-codes', requireAuth, async (req, res) => {
+    try {
+        const admin = await adminsDB.getById(req.session.admin.id);
+
+        if (!admin.totp_enabled) {
+            return res.status(400).json({
+                error: 'Not enabled',
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!(await verifySecondFactor(admin, { code: req.body.code }))) {
+            return invalidCode(res);
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        await adminsDB.replaceRecoveryCodes(admin.id, recoveryCodes.map(hashRecoveryCode));
+        await audit(req, 'auth.2fa_recovery_codes', { targetId: admin.id });
+
+        res.json({
+            success: true,
+            message: 'New recovery codes generated',
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error('Recovery codes error:', error);
+        res.status(500).json({
+            error: 'Regenerate failed',
+            message: 'An error occurred while generating recovery codes'
+        });
+    }
+});
+
+// Turn two-factor off. Needs the password and a current or recovery code.
+router.post('/2fa/disable', requireAuth, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        const admin = await adminsDB.getById(req.session.admin.id);
+
+        if (!admin.totp_enabled) {
+            return res.status(400).json({
+                error: 'Not enabled',
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!password || !(await bcrypt.compare(password, admin.password_hash))) {
+            return res.status(401).json({
+                error: 'Invalid password',
+                message: 'Password is incorrect'
+            });
+        }
+
+        if (!(await verifySecondFactor(admin, { code, recoveryCode }))) {
+            return invalidCode(res);
+        }
+
+        await adminsDB.disableTotp(admin.id);
+        await audit(req, 'auth.2fa_disabled', { targetId: admin.id });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({
+            error: 'Disable failed',
+            message: 'An error occurred while disabling two-factor authentication'
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,107 @@
+const express = require('express');
+const multer = require('multer');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { requireRole, tokenScopes } = require('../middleware/auth');
+const { audit } = require('../utils/audit');
+const { writeBackupFile, restoreBackup, backupFilename } = require('../utils/backup');
+
+const router = express.Router();
+
+// Backups contain every admin's password hash and API token hashes, so
+// they are owner-only
+router.use(tokenScopes({ read: 'admin', write: 'admin' }));
+
+const MAX_ARCHIVE_SIZE = 2 * 1024 * 1024 * 1024; // 2GB
+
+const upload = multer({
+    dest: os.tmpdir(),
+    limits: {
+        fileSize: MAX_ARCHIVE_SIZE,
+        files: 1
+    }
+});
+
+// Download a full backup archive
+router.get('/', requireRole('owner'), async (req, res) => {
+    const file = path.join(os.tmpdir(), backupFilename());
+
+    try {
+        const { manifest } = await writeBackupFile(file);
+
+        await audit(req, 'backup.create', {
+            after: { files: manifest.files.length, missing: manifest.missing.length }
+        });
+
+        res.download(file, path.basename(file), () => fs.rmSync(file, { force: true }));
+    } catch (error) {
+        fs.rmSync(file, { force: true });
+        console.error('Error creating backup:', error);
+        res.status(500).json({
+            error: 'Backup failed',
+            message: 'An error occurred while creating the backup'
+        });
+    }
+});
+
+// Restore an uploaded backup archive (field "backup"). The archive is checked
+// completely before anything is replaced, and the current state is kept as a
+// pre-restore backup first. All sessions are cleared, so the caller is
+// signed out.
+router.post('/restore', requireRole('owner'), upload.single('backup'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({
+            error: 'No file uploaded',
+            message: 'Please upload a backup archive'
+        });
+    }
+
+    try {
+        const { manifest, safetyBackup } = await restoreBackup(req.file.path);
+
+        await audit(req, 'backup.restore', {
+            after: { createdAt: manifest.createdAt, files: manifest.files.length, safetyBackup: path.basename(safetyBackup) }
+        });
+
+        await new Promise(resolve => req.session.destroy(() => resolve()));
+        res.clearCookie('connect.sid');
+        res.json({
+            success: true,
+            data: { createdAt: manifest.createdAt, files: manifest.files.length, safetyBackup: path.basename(safetyBackup) },
+            message: 'Backup restored. Please log in again'
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_BACKUP') {
+            return res.status(400).json({
+                error: 'Invalid backup',
+                message: `${error.message}. Nothing was changed`
+            });
+        }
+
+        console.error('Error restoring backup:', error);
+        res.status(500).json({
+            error: 'Restore failed',
+            message: 'An error occurred while restoring the backup'
+        });
+    } finally {
+        fs.rmSync(req.file.path, { force: true });
+    }
+});
+
+// Error handling middleware for multer
+router.use((error, req, res, next) => {
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({
+            error: 'File too large',
+            message: 'Backup archives can be at most 2GB'
+        });
+    }
+
+    res.status(400).json({
+        error: 'Upload error',
+        message: error.message || 'An error occurred during upload'
+    });
+});
+
+module.exports = router;
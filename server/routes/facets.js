@@ -0,0 +1,38 @@
+const express = require('express');
+const { termsDB, toTermFilter } = require('../models/taxonomy');
+const { tokenScopes, loadRequestAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(tokenScopes({ read: 'projects:read', write: 'projects:write' }));
+
+// Tags, clients and services with match counts (public endpoint, published
+// content only; ?include=drafts for admins). Takes the same ?tag=&client=
+// &service= filters as /api/projects, so the counts show what picking a
+// value would give alongside the values already picked.
+router.get('/', async (req, res) => {
+    try {
+        const drafts = req.query.include === 'drafts';
+        if (drafts && !(await loadRequestAdmin(req))) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Please log in to view drafts'
+            });
+        }
+
+        const filter = toTermFilter(req.query);
+        res.json({
+            success: true,
+            data: await termsDB.facets({ publishedOnly: !drafts, filter: filter || {} }),
+            filter
+        });
+    } catch (error) {
+        console.error('Error fetching facets:', error);
+        res.status(500).json({
+            error: 'Failed to fetch facets',
+            message: 'An error occurred while fetching facets'
+        });
+    }
+});
+
+module.exports = router;
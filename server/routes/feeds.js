@@ -0,0 +1,58 @@
+const express = require('express');
+const crypto = require('crypto');
+const { projectsDB } = require('../models/database');
+const { termsDB, toTermFilter } = require('../models/taxonomy');
+const { renderFeed } = require('../utils/feeds');
+
+const router = express.Router();
+
+// Readers poll feeds, so they may keep one for a few minutes and then
+// revalidate it with If-None-Match / If-Modified-Since
+const FEED_MAX_AGE = 5 * 60;
+
+// Feeds of published work (public): /feed.xml (RSS), /atom.xml and
+// /feed.json (JSON Feed). Take the same ?tag=&client=&service= filters as
+// /api/projects; a filter on a term that does not exist is a 404.
+function sendFeed(format) {
+    return async (req, res) => {
+        try {
+            const filter = toTermFilter(req.query);
+            const terms = await termsDB.findByFilter(filter);
+            if (filter && terms.length < Object.values(filter).flat().length) {
+                return res.status(404).json({
+                    error: 'Unknown term',
+                    message: 'The feed is filtered on a tag, client or service that does not exist'
+                });
+            }
+
+            const regions = await projectsDB.getAll({ publishedOnly: true, terms: filter });
+            const { body, type, updated } = await renderFeed(format, regions, { req, terms });
+
+            res.set({
+                'Content-Type': `${type}; charset=utf-8`,
+                'Cache-Control': `public, max-age=${FEED_MAX_AGE}`,
+                ETag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"`
+            });
+            if (updated) {
+                res.set('Last-Modified', updated.toUTCString());
+            }
+
+            if (req.fresh) {
+                return res.status(304).end();
+            }
+            res.send(body);
+        } catch (error) {
+            console.error('Error building feed:', error);
+            res.status(500).json({
+                error: 'Failed to build feed',
+                message: 'An error occurred while building the feed'
+            });
+        }
+    };
+}
+
+router.get('/feed.xml', sendFeed('rss'));
+router.get('/atom.xml', sendFeed('atom'));
+router.get('/feed.json', sendFeed('json'));
+
+module.exports = router;
@@ -0,0 +1,210 @@
+const express = require('express');
+const { jobsDB, STATUSES } = require('../models/jobs');
+const { mediaDB } = require('../models/media');
+const { requireAuth, requireRole, tokenScopes } = require('../middleware/auth');
+const { jobEvents, retryJob } = require('../utils/jobs');
+
+const router = express.Router();
+
+router.use(tokenScopes({ read: 'projects:read', write: 'uploads:write' }));
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const HEARTBEAT_INTERVAL = 15000;
+// Jobs run by other processes (the media command) are not on jobEvents, so
+// the events stream also looks for changed jobs in the database this often
+const POLL_INTERVAL = 2000;
+
+// created_at/updated_at format (UTC, 'YYYY-MM-DD HH:MM:SS') of a time
+function sqlTimestamp(time) {
+    return new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Comma-separated ids from the query string, or null when not given
+function parseIds(value) {
+    if (value === undefined) return null;
+
+    const ids = String(value).split(',').map(Number).filter(id => Number.isInteger(id) && id > 0);
+    return new Set(ids);
+}
+
+// Background jobs, newest first, with a count per status. Filter: status;
+// paging with limit/offset.
+router.get('/', requireAuth, async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                message: `status must be one of ${STATUSES.join(', ')}`
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const { items, total } = await jobsDB.list({ status: status || null }, { limit, offset });
+
+        res.json({
+            success: true,
+            data: items,
+            counts: await jobsDB.counts(),
+            total,
+            limit,
+            offset
+        });
+    } catch (error) {
+        console.error('Error listing jobs:', error);
+        res.status(500).json({
+            error: 'Failed to fetch jobs',
+            message: 'An error occurred while fetching background jobs'
+        });
+    }
+});
+
+// Live job updates as Server-Sent Events ("job" events, one JSON job each).
+// Subscribe to jobs by id (?ids=1,2) and/or to the jobs of media items
+// (?media=5,6); with neither, every job is streamed. The current state of
+// the subscribed jobs is sent first. Finished jobs carry the updated media
+// record. Jobs this process runs are sent as they change, jobs run elsewhere
+// within POLL_INTERVAL.
+router.get('/events', requireAuth, async (req, res) => {
+    const ids = parseIds(req.query.ids);
+    const mediaIds = parseIds(req.query.media);
+    const wanted = (job) => (!ids && !mediaIds) || (ids && ids.has(job.id)) || (mediaIds && mediaIds.has(job.media_id));
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Keep proxies such as nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // What was last sent per job, so a change seen both live and by polling
+    // goes out once
+    const sent = new Map();
+
+    const send = async (job) => {
+        if (!wanted(job)) return;
+
+        const state = [job.status, job.progress, job.message, job.attempts, job.updated_at].join('|');
+        if (sent.get(job.id) === state) return;
+        sent.set(job.id, state);
+
+        try {
+            const finished = job.status === 'done' || job.status === 'failed';
+            const media = finished && job.media_id ? await mediaDB.getById(job.media_id) : null;
+            res.write(`event: job\ndata: ${JSON.stringify({ ...job, media })}\n\n`);
+        } catch (error) {
+            console.error('Error sending job event:', error);
+        }
+    };
+
+    jobEvents.on('job', send);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+    // updated_at has whole seconds, so each poll looks a second further back
+    let since = sqlTimestamp(Date.now() - 1000);
+    let polling = false;
+    const poll = setInterval(async () => {
+        if (polling) return;
+        polling = true;
+        try {
+            const next = sqlTimestamp(Date.now() - 1000);
+            for (const job of await jobsDB.updatedSince(since)) {
+                await send(job);
+            }
+            since = next;
+        } catch (error) {
+            console.error('Error polling jobs:', error);
+        } finally {
+            polling = false;
+        }
+    }, POLL_INTERVAL);
+
+    req.on('close', () => {
+        jobEvents.off('job', send);
+        clearInterval(heartbeat);
+        clearInterval(poll);
+    });
+
+    try {
+        const current = [
+            ...(ids ? await jobsDB.getByIds([...ids]) : []),
+            ...(mediaIds ? await jobsDB.latestForMedia([...mediaIds]) : [])
+        ];
+        const seen = new Set();
+        for (const job of current) {
+            if (seen.has(job.id)) continue;
+            seen.add(job.id);
+            await send(job);
+        }
+    } catch (error) {
+        console.error('Error loading job state:', error);
+    }
+});
+
+router.get('/:id', requireAuth, async (req, res) => {
+    try {
+        const job = await jobsDB.getById(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                error: 'Job not found',
+                message: 'The requested job does not exist'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: job
+        });
+    } catch (error) {
+        console.error('Error fetching job:', error);
+        res.status(500).json({
+            error: 'Failed to fetch job',
+            message: 'An error occurred while fetching the job'
+        });
+    }
+});
+
+// Run a failed job again with a fresh set of attempts
+router.post('/:id/retry', requireRole('owner', 'editor', 'contributor'), async (req, res) => {
+    try {
+        const existing = await jobsDB.getById(req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Job not found',
+                message: 'The requested job does not exist'
+            });
+        }
+
+        if (existing.status !== 'failed') {
+            return res.status(409).json({
+                error: 'Job not failed',
+                message: 'Only failed jobs can be retried'
+            });
+        }
+
+        if (existing.media_id) {
+            await mediaDB.updateProcessing(existing.media_id, { status: 'processing' });
+        }
+
+        res.json({
+            success: true,
+            data: await retryJob(existing.id),
+            message: 'Job queued again'
+        });
+    } catch (error) {
+        console.error('Error retrying job:', error);
+        res.status(500).json({
+            error: 'Failed to retry job',
+            message: 'An error occurred while retrying the job'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,294 @@
+const express = require('express');
+const { mediaDB } = require('../models/media');
+const { requireAuth, requireRole, tokenScopes } = require('../middleware/auth');
+const { audit } = require('../utils/audit');
+const { scanMedia, deleteMedia, editImage } = require('../utils/media');
+const { queueMediaProcessing } = require('../utils/mediaJobs');
+
+const router = express.Router();
+
+router.use(tokenScopes({ read: 'projects:read', write: 'uploads:write' }));
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const TYPES = ['image', 'video'];
+
+// Search the media library, newest first. Filters: q (file name), type
+// (image or video), region (media used by that tooltip), url (the item
+// serving that file or variant); paging with limit/offset. Each item carries usage_count, the number of tooltips using it.
+router.get('/', requireAuth, async (req, res) => {
+    try {
+        const { q, type, region, url } = req.query;
+
+        if (type && !TYPES.includes(type)) {
+            return res.status(400).json({
+                error: 'Invalid type',
+                message: 'type must be image or video'
+            });
+        }
+
+        const regionId = region !== undefined ? parseInt(region, 10) : null;
+        if (region !== undefined && !Number.isInteger(regionId)) {
+            return res.status(400).json({
+                error: 'Invalid region',
+                message: 'region must be a tooltip id'
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const { items, total } = await mediaDB.list({ q: q || null, type: type || null, regionId, url: url || null }, { limit, offset });
+
+        res.json({
+            success: true,
+            data: items,
+            total,
+            limit,
+            offset
+        });
+    } catch (error) {
+        console.error('Error listing media:', error);
+        res.status(500).json({
+            error: 'Failed to fetch media',
+            message: 'An error occurred while fetching the media library'
+        });
+    }
+});
+
+// Library totals for the dashboard
+router.get('/stats', requireAuth, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await mediaDB.stats()
+        });
+    } catch (error) {
+        console.error('Error fetching media stats:', error);
+        res.status(500).json({
+            error: 'Failed to fetch media stats',
+            message: 'An error occurred while fetching media statistics'
+        });
+    }
+});
+
+// Files uploaded more than once (same content hash)
+router.get('/duplicates', requireAuth, async (req, res) => {
+    try {
+        const groups = await mediaDB.duplicates();
+
+        res.json({
+            success: true,
+            data: groups,
+            wasted: groups.reduce((sum, group) => sum + group.wasted, 0)
+        });
+    } catch (error) {
+        console.error('Error finding duplicate media:', error);
+        res.status(500).json({
+            error: 'Failed to find duplicates',
+            message: 'An error occurred while looking for duplicate media'
+        });
+    }
+});
+
+// Storage cleanup preview: uploads no tooltip refers to, each with its
+// variants and size. Orphans still used by revision history are marked
+// inHistory and are not counted as reclaimable.
+router.get('/orphans', requireRole('owner', 'editor'), async (req, res) => {
+    try {
+        const report = await scanMedia();
+
+        res.json({
+            success: true,
+            data: report.orphans,
+            scanned: report.scanned,
+            referenced: report.referenced,
+            reclaimableBytes: report.reclaimableBytes,
+            historyBytes: report.historyBytes
+        });
+    } catch (error) {
+        console.error('Error scanning media:', error);
+        res.status(500).json({
+            error: 'Scan failed',
+            message: 'An error occurred while looking for unused media'
+        });
+    }
+});
+
+// Purge uploads picked from the preview: { urls, includeHistory, force }.
+// References are checked again, so anything used since the preview is
+// skipped. force (owners only) deletes files that are still in use.
+router.post('/cleanup', requireRole('owner', 'editor'), async (req, res) => {
+    try {
+        const { urls, includeHistory = false, force = false } = req.body;
+
+        if (!Array.isArray(urls) || urls.length === 0 || !urls.every(url => typeof url === 'string')) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'urls must be a non-empty array of upload URLs'
+            });
+        }
+
+        if (force && req.admin.role !== 'owner') {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Only owners can delete files that are still in use'
+            });
+        }
+
+        const result = await deleteMedia(urls, { includeHistory: includeHistory === true, force: force === true });
+
+        if (result.deleted.length > 0) {
+            await audit(req, 'media.cleanup', {
+                before: { files: result.deleted.flatMap(item => item.files), bytes: result.freedBytes, force: force === true }
+            });
+            console.log(`🧹 Storage cleanup removed ${result.deleted.length} upload(s), ${result.freedBytes} bytes`);
+        }
+
+        res.json({
+            success: true,
+            data: result,
+            message: `Deleted ${result.deleted.length} file(s)` +
+                (result.skipped.length > 0 ? `, skipped ${result.skipped.length}` : '')
+        });
+    } catch (error) {
+        console.error('Error cleaning up media:', error);
+        res.status(500).json({
+            error: 'Cleanup failed',
+            message: 'An error occurred while deleting unused media'
+        });
+    }
+});
+
+// One media item with the tooltips and projects that use it
+router.get('/:id', requireAuth, async (req, res) => {
+    try {
+        const media = await mediaDB.getById(req.params.id);
+
+        if (!media) {
+            return res.status(404).json({
+                error: 'Media not found',
+                message: 'The requested media item does not exist'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { ...media, usage: await mediaDB.usage(media.id) }
+        });
+    } catch (error) {
+        console.error('Error fetching media:', error);
+        res.status(500).json({
+            error: 'Failed to fetch media',
+            message: 'An error occurred while fetching the media item'
+        });
+    }
+});
+
+// Process an item again, e.g. after it failed, ffmpeg was installed or
+// IMAGE_WIDTHS changed. The response comes straight away with the queued
+// job; follow it on /api/jobs/events.
+router.post('/:id/process', requireRole('owner', 'editor', 'contributor'), async (req, res) => {
+    try {
+        const media = await mediaDB.getById(req.params.id);
+
+        if (!media) {
+            return res.status(404).json({
+                error: 'Media not found',
+                message: 'The requested media item does not exist'
+            });
+        }
+
+        if (media.status === 'processing') {
+            return res.status(409).json({
+                error: 'Already processing',
+                message: 'This file is already being processed'
+            });
+        }
+
+        const { media: queued, job } = await queueMediaProcessing(media, req.admin);
+
+        res.json({
+            success: true,
+            data: queued,
+            job,
+            message: 'Processing has started'
+        });
+    } catch (error) {
+        console.error('Error queueing media processing:', error);
+        res.status(500).json({
+            error: 'Failed to process media',
+            message: 'An error occurred while starting processing'
+        });
+    }
+});
+
+const isUnit = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+// Crop, rotate and/or set the focal point of an image: { crop: { x, y, w, h },
+// rotate: 0|90|180|270, focal: { x, y } }, all positions as fractions of the
+// image. The result is a new library item (the original is kept, content
+// still using it is unchanged) whose variants are made by the queued job.
+router.post('/:id/edit', requireRole('owner', 'editor', 'contributor'), async (req, res) => {
+    try {
+        const { crop = null, rotate = 0, focal = null } = req.body;
+
+        const validCrop = crop === null || (typeof crop === 'object' &&
+            ['x', 'y', 'w', 'h'].every(key => isUnit(crop[key])) &&
+            crop.w > 0 && crop.h > 0 && crop.x + crop.w <= 1.0001 && crop.y + crop.h <= 1.0001);
+        const validFocal = focal === null || (typeof focal === 'object' && isUnit(focal.x) && isUnit(focal.y));
+
+        if (!validCrop || !validFocal || ![0, 90, 180, 270].includes(rotate)) {
+            return res.status(400).json({
+                error: 'Invalid edit',
+                message: 'crop and focal must be fractions of the image (0 to 1) and rotate one of 0, 90, 180 or 270'
+            });
+        }
+
+        const media = await mediaDB.getById(req.params.id);
+
+        if (!media) {
+            return res.status(404).json({
+                error: 'Media not found',
+                message: 'The requested media item does not exist'
+            });
+        }
+
+        if (media.type !== 'image') {
+            return res.status(400).json({
+                error: 'Not an image',
+                message: 'Only images can be cropped and rotated'
+            });
+        }
+
+        const edited = await editImage(media, { crop, rotate, focal }, req.admin);
+        const { media: queued, job } = await queueMediaProcessing(edited, req.admin);
+
+        await audit(req, 'media.edit', {
+            targetId: media.id,
+            before: { url: media.url },
+            after: { id: queued.id, url: queued.url, crop, rotate, focal }
+        });
+
+        res.json({
+            success: true,
+            data: queued,
+            job,
+            message: 'The edited image is being processed'
+        });
+    } catch (error) {
+        if (error.code === 'FILE_MISSING') {
+            return res.status(409).json({
+                error: 'File missing',
+                message: error.message
+            });
+        }
+
+        console.error('Error editing media:', error);
+        res.status(500).json({
+            error: 'Failed to edit media',
+            message: 'An error occurred while editing the image'
+        });
+    }
+});
+
+module.exports = router;
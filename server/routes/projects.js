@@ -1,16 +1,51 @@
 const express = require('express');
-const { projectsDB, generateProjectsJSON } = require('../models/database');
-const { requireAuth } = require('../middleware/auth');
+const { projectsDB, revisionsDB, generateProjectsJSON } = require('../models/database');
+const { IMPORT_STRATEGIES } = require('../models/regions');
+const { toTermFilter } = require('../models/taxonomy');
+const { requireAuth, requireRole, tokenScopes, loadRequestAdmin } = require('../middleware/auth');
+const { audit, summarizeRegion } = require('../utils/audit');
+const { attachResponsiveMedia } = require('../utils/media');
+const { validateProjectPayload, isRegionPayload, sendValidationErrors } = require('../validators/projectValidator');
 
 const router = express.Router();
 
-// Get all projects (public endpoint)
+router.use(tokenScopes({ read: 'projects:read', write: 'projects:write' }));
+
+// Drafts are only visible to logged-in admins asking for ?include=drafts
+function wantsDrafts(req) {
+    return req.query.include === 'drafts';
+}
+
+// Contributors may only create drafts and edit regions that are still drafts.
+// Returns an error message or null.
+function contributorError(req, existing = null) {
+    if (req.admin.role !== 'contributor') return null;
+
+    if (existing && existing.status !== 'draft') {
+        return 'Contributors can only edit drafts';
+    }
+    if (req.body.status !== undefined && req.body.status !== 'draft') {
+        return 'Contributors can only save drafts';
+    }
+    return null;
+}
+
+// Get all projects (public endpoint, published content only). Filter with
+// ?tag=&client=&service= (slugs, comma-separated for any of several): only
+// matching projects are returned, in the regions that have any.
 router.get('/', async (req, res) => {
     try {
-        const projects = await projectsDB.getAll();
+        if (wantsDrafts(req) && !(await loadRequestAdmin(req))) {
+            return res.status(401).json({ 
+                error: 'Unauthorized',
+                message: 'Please log in to view drafts'
+            });
+        }
+
+        const projects = await projectsDB.getAll({ publishedOnly: !wantsDrafts(req), terms: toTermFilter(req.query) });
         res.json({
             success: true,
-            data: projects
+            data: await attachResponsiveMedia(projects)
         });
     } catch (error) {
         console.error('Error fetching projects:', error);
@@ -21,11 +56,75 @@ router.get('/', async (req, res) => {
     }
 });
 
-// Get project by ID (public endpoint)
+const SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 50;
+
+// Full-text search (public endpoint, published content only): ?q= with
+// optional limit. Results are ranked, best first, with the matches marked
+// in `highlight` and `snippet` (HTML, everything else escaped).
+router.get('/search', async (req, res) => {
+    try {
+        if (wantsDrafts(req) && !(await loadRequestAdmin(req))) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Please log in to search drafts'
+            });
+        }
+
+        const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        if (!q || q.length > 200) {
+            return res.status(400).json({
+                error: 'Invalid query',
+                message: 'q must be 1 to 200 characters'
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+        const results = await projectsDB.search(q, { limit, publishedOnly: !wantsDrafts(req) });
+
+        res.json({
+            success: true,
+            data: results,
+            query: q
+        });
+    } catch (error) {
+        console.error('Error searching projects:', error);
+        res.status(500).json({
+            error: 'Search failed',
+            message: 'An error occurred while searching projects'
+        });
+    }
+});
+
+// List regions deleted since revisions were introduced (admin only)
+router.get('/revisions/deleted', requireAuth, async (req, res) => {
+    try {
+        const deleted = await revisionsDB.listDeleted();
+        res.json({
+            success: true,
+            data: deleted
+        });
+    } catch (error) {
+        console.error('Error fetching deleted projects:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch deleted projects',
+            message: 'An error occurred while fetching deleted projects'
+        });
+    }
+});
+
+// Get project by ID (public endpoint, published content only)
 router.get('/:id', async (req, res) => {
     try {
+        if (wantsDrafts(req) && !(await loadRequestAdmin(req))) {
+            return res.status(401).json({ 
+                error: 'Unauthorized',
+                message: 'Please log in to view drafts'
+            });
+        }
+
         const { id } = req.params;
-        const project = await projectsDB.getById(parseInt(id));
+        const project = await projectsDB.getById(parseInt(id), { publishedOnly: !wantsDrafts(req) });
         
         if (!project) {
             return res.status(404).json({ 
@@ -47,49 +146,45 @@ router.get('/:id', async (req, res) => {
     }
 });
 
-// Create new project (admin only)
-router.post('/', requireAuth, async (req, res) => {
+// Create new project (contributors and up)
+router.post('/', requireRole('owner', 'editor', 'contributor'), async (req, res) => {
     try {
         const { title, description, image_url, video_url, links, coordinates, name, projects } = req.body;
+        const { publish_at, unpublish_at } = req.body;
 
-        
-        if (name && Array.isArray(projects)) {
-            // New tooltip format
-            if (!name.trim()) {
-                return res.status(400).json({ 
-                    error: 'Missing name',
-                    message: 'Tooltip name is required'
-                });
-            }
+        const errors = validateProjectPayload(req.body);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
 
-            if (projects.length === 0) {
-                return res.status(400).json({ 
-                    error: 'Missing projects',
-                    message: 'At least one project is required'
-                });
-            }
+        const roleError = contributorError(req);
+        if (roleError) {
+            return res.status(403).json({ 
+                error: 'Forbidden',
+                message: roleError
+            });
+        }
 
-            // Validate coordinates if provided
-            if (coordinates) {
-                const { x, y, w, h } = coordinates;
-                if (x < 0 || x > 1 || y < 0 || y > 1 || w < 0 || w > 1 || h < 0 || h > 1) {
-                    return res.status(400).json({ 
-                        error: 'Invalid coordinates',
-                        message: 'Coordinates must be between 0 and 1'
-                    });
-                }
-            }
+        // Contributors' work always starts as a draft
+        const status = req.admin.role === 'contributor' ? 'draft' : req.body.status;
+
+        if (isRegionPayload(req.body)) {
+            // New tooltip format
 
             const projectId = await projectsDB.create({
                 name: name.trim(),
                 projects: projects,
-                coordinates: coordinates || {}
-            });
+                coordinates: coordinates || {},
+                status,
+                publish_at,
+                unpublish_at
+            }, req.admin);
 
             // Regenerate projects.json file
             await generateProjectsJSON();
 
             const newProject = await projectsDB.getById(projectId);
+            await audit(req, 'project.create', { targetId: projectId, after: summarizeRegion(newProject) });
             
             res.status(201).json({
                 success: true,
@@ -99,23 +194,6 @@ router.post('/', requireAuth, async (req, res) => {
 
         } else {
             // Legacy single project format
-            if (!title) {
-                return res.status(400).json({ 
-                    error: 'Missing title',
-                    message: 'Project title is required'
-                });
-            }
-
-            // Validate coordinates if provided
-            if (coordinates) {
-                const { x, y, w, h } = coordinates;
-                if (x < 0 || x > 1 || y < 0 || y > 1 || w < 0 || w > 1 || h < 0 || h > 1) {
-                    return res.status(400).json({ 
-                        error: 'Invalid coordinates',
-                        message: 'Coordinates must be between 0 and 1'
-                    });
-                }
-            }
 
             const projectId = await projectsDB.create({
                 title,
@@ -123,13 +201,17 @@ router.post('/', requireAuth, async (req, res) => {
                 image_url,
                 video_url,
                 links: Array.isArray(links) ? links : [],
-                coordinates: coordinates || {}
-            });
+                coordinates: coordinates || {},
+                status,
+                publish_at,
+                unpublish_at
+            }, req.admin);
 
             // Regenerate projects.json file
             await generateProjectsJSON();
 
             const newProject = await projectsDB.getById(projectId);
+            await audit(req, 'project.create', { targetId: projectId, after: summarizeRegion(newProject) });
             
             res.status(201).json({
                 success: true,
@@ -147,11 +229,18 @@ router.post('/', requireAuth, async (req, res) => {
     }
 });
 
-// Update project (admin only)
-router.put('/:id', requireAuth, async (req, res) => {
+// Update project (contributors may only edit drafts)
+router.put('/:id', requireRole('owner', 'editor', 'contributor'), async (req, res) => {
     try {
         const { id } = req.params;
         const { title, description, image_url, video_url, links, coordinates, name, projects } = req.body;
+        const { publish_at, unpublish_at } = req.body;
+        const status = req.admin.role === 'contributor' ? 'draft' : req.body.status;
+
+        const errors = validateProjectPayload(req.body);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
 
         // Check if project exists
         const existingProject = await projectsDB.getById(parseInt(id));
@@ -162,40 +251,27 @@ router.put('/:id', requireAuth, async (req, res) => {
             });
         }
 
+        const roleError = contributorError(req, existingProject);
+        if (roleError) {
+            return res.status(403).json({ 
+                error: 'Forbidden',
+                message: roleError
+            });
+        }
+
         // Check if this is the new tooltip format (with name and projects array)
         
-        if (name && Array.isArray(projects)) {
+        if (isRegionPayload(req.body)) {
             // New tooltip format
-            if (!name.trim()) {
-                return res.status(400).json({ 
-                    error: 'Missing name',
-                    message: 'Tooltip name is required'
-                });
-            }
-
-            if (projects.length === 0) {
-                return res.status(400).json({ 
-                    error: 'Missing projects',
-                    message: 'At least one project is required'
-                });
-            }
-
-            // Validate coordinates if provided
-            if (coordinates) {
-                const { x, y, w, h } = coordinates;
-                if (x < 0 || x > 1 || y < 0 || y > 1 || w < 0 || w > 1 || h < 0 || h > 1) {
-                    return res.status(400).json({ 
-                        error: 'Invalid coordinates',
-                        message: 'Coordinates must be between 0 and 1'
-                    });
-                }
-            }
 
             const updatedRows = await projectsDB.update(parseInt(id), {
                 name: name.trim(),
                 projects: projects,
-                coordinates: coordinates || {}
-            });
+                coordinates: coordinates || {},
+                status,
+                publish_at,
+                unpublish_at
+            }, req.admin);
 
             if (updatedRows === 0) {
                 return res.status(404).json({ 
@@ -208,6 +284,11 @@ router.put('/:id', requireAuth, async (req, res) => {
             await generateProjectsJSON();
 
             const updatedProject = await projectsDB.getById(parseInt(id));
+            await audit(req, 'project.update', {
+                targetId: id,
+                before: summarizeRegion(existingProject),
+                after: summarizeRegion(updatedProject)
+            });
             
             res.json({
                 success: true,
@@ -217,23 +298,6 @@ router.put('/:id', requireAuth, async (req, res) => {
 
         } else {
             // Legacy single project format
-            if (!title) {
-                return res.status(400).json({ 
-                    error: 'Missing title',
-                    message: 'Project title is required'
-                });
-            }
-
-            // Validate coordinates if provided
-            if (coordinates) {
-                const { x, y, w, h } = coordinates;
-                if (x < 0 || x > 1 || y < 0 || y > 1 || w < 0 || w > 1 || h < 0 || h > 1) {
-                    return res.status(400).json({ 
-                        error: 'Invalid coordinates',
-                        message: 'Coordinates must be between 0 and 1'
-                    });
-                }
-            }
 
             const updatedRows = await projectsDB.update(parseInt(id), {
                 title,
@@ -241,8 +305,11 @@ router.put('/:id', requireAuth, async (req, res) => {
                 image_url,
                 video_url,
                 links: Array.isArray(links) ? links : [],
-                coordinates: coordinates || {}
-            });
+                coordinates: coordinates || {},
+                status,
+                publish_at,
+                unpublish_at
+            }, req.admin);
 
             if (updatedRows === 0) {
                 return res.status(404).json({ 
@@ -255,6 +322,11 @@ router.put('/:id', requireAuth, async (req, res) => {
             await generateProjectsJSON();
 
             const updatedProject = await projectsDB.getById(parseInt(id));
+            await audit(req, 'project.update', {
+                targetId: id,
+                before: summarizeRegion(existingProject),
+                after: summarizeRegion(updatedProject)
+            });
             
             res.json({
                 success: true,
@@ -272,8 +344,8 @@ router.put('/:id', requireAuth, async (req, res) => {
     }
 });
 
-// Delete project (admin only)
-router.delete('/:id', requireAuth, async (req, res) => {
+// Delete project (owners only)
+router.delete('/:id', requireRole('owner'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -286,7 +358,7 @@ router.delete('/:id', requireAuth, async (req, res) => {
             });
         }
 
-        const deletedRows = await projectsDB.delete(parseInt(id));
+        const deletedRows = await projectsDB.delete(parseInt(id), req.admin);
 
         if (deletedRows === 0) {
             return res.status(404).json({ 
@@ -295,6 +367,8 @@ router.delete('/:id', requireAuth, async (req, res) => {
             });
         }
 
+        await audit(req, 'project.delete', { targetId: id, before: summarizeRegion(existingProject) });
+
         // Regenerate projects.json file
         await generateProjectsJSON();
         
@@ -312,8 +386,88 @@ router.delete('/:id', requireAuth, async (req, res) => {
     }
 });
 
-// Bulk operations (admin only)
-router.post('/bulk/delete', requireAuth, async (req, res) => {
+// Revision history (admin only)
+router.get('/:id/revisions', requireAuth, async (req, res) => {
+    try {
+        const revisions = await revisionsDB.list(parseInt(req.params.id));
+        res.json({
+            success: true,
+            data: revisions
+        });
+    } catch (error) {
+        console.error('Error fetching revisions:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch revisions',
+            message: 'An error occurred while fetching the revision history'
+        });
+    }
+});
+
+router.get('/:id/revisions/:rev', requireAuth, async (req, res) => {
+    try {
+        const revision = await revisionsDB.get(parseInt(req.params.id), parseInt(req.params.rev));
+
+        if (!revision) {
+            return res.status(404).json({ 
+                error: 'Revision not found',
+                message: 'The requested revision does not exist'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: revision
+        });
+    } catch (error) {
+        console.error('Error fetching revision:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch revision',
+            message: 'An error occurred while fetching the revision'
+        });
+    }
+});
+
+router.post('/:id/revisions/:rev/restore', requireRole('owner', 'editor'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const revision = await revisionsDB.get(id, parseInt(req.params.rev));
+
+        if (!revision) {
+            return res.status(404).json({ 
+                error: 'Revision not found',
+                message: 'The revision to restore does not exist'
+            });
+        }
+
+        const currentProject = await projectsDB.getById(id);
+        const newRev = await projectsDB.restore(id, revision.snapshot, req.admin);
+
+        // Regenerate projects.json file
+        await generateProjectsJSON();
+
+        const restoredProject = await projectsDB.getById(id);
+        await audit(req, 'project.restore', {
+            targetId: id,
+            before: summarizeRegion(currentProject),
+            after: { ...summarizeRegion(restoredProject), fromRevision: revision.rev }
+        });
+
+        res.json({
+            success: true,
+            message: `Restored revision ${revision.rev} as revision ${newRev}`,
+            data: restoredProject
+        });
+    } catch (error) {
+        console.error('Error restoring revision:', error);
+        res.status(500).json({ 
+            error: 'Failed to restore revision',
+            message: 'An error occurred while restoring the revision'
+        });
+    }
+});
+
+// Bulk operations (owners only)
+router.post('/bulk/delete', requireRole('owner'), async (req, res) => {
     try {
         const { projectIds } = req.body;
 
@@ -325,15 +479,26 @@ router.post('/bulk/delete', requireAuth, async (req, res) => {
         }
 
         let deletedCount = 0;
+        const deleted = [];
         for (const id of projectIds) {
             try {
-                const rows = await projectsDB.delete(parseInt(id));
+                const existingProject = await projectsDB.getById(parseInt(id));
+                const rows = await projectsDB.delete(parseInt(id), req.admin);
                 deletedCount += rows;
+                if (rows > 0) {
+                    deleted.push({ id: parseInt(id), ...summarizeRegion(existingProject) });
+                }
             } catch (err) {
                 console.error(`Error deleting project ${id}:`, err);
             }
         }
 
+        await audit(req, 'project.bulk_delete', {
+            targetId: deleted.map(item => item.id).join(','),
+            before: deleted,
+            after: { deletedCount }
+        });
+
         // Regenerate projects.json file
         await generateProjectsJSON();
         
@@ -370,9 +535,22 @@ router.get('/export/json', requireAuth, async (req, res) => {
     }
 });
 
-router.post('/import/json', requireAuth, async (req, res) => {
+// Import tooltips in the export format (tooltip and legacy items may be
+// mixed). Body: { projects, strategy: 'id' | 'name' | 'new', overwrite, dryRun }.
+// dryRun only reports what would be created, updated, deleted and skipped
+// as a conflict; otherwise the whole import runs in one transaction.
+router.post('/import/json', requireRole('owner', 'editor'), async (req, res) => {
     try {
-        const { projects, overwrite = false } = req.body;
+        const { projects, strategy = 'id', overwrite = false, dryRun = false } = req.body;
+
+        // Overwriting deletes every region the import does not update, which
+        // only owners may do
+        if (overwrite && req.admin.role !== 'owner') {
+            return res.status(403).json({ 
+                error: 'Forbidden',
+                message: 'Only owners can import with overwrite'
+            });
+        }
 
         if (!Array.isArray(projects)) {
             return res.status(400).json({ 
@@ -381,45 +559,53 @@ router.post('/import/json', requireAuth, async (req, res) => {
             });
         }
 
-        // If overwrite is true, clear existing projects
-        if (overwrite) {
-            const existingProjects = await projectsDB.getAll();
-            for (const project of existingProjects) {
-                await projectsDB.delete(project.id);
-            }
+        if (!IMPORT_STRATEGIES.includes(strategy)) {
+            return res.status(400).json({
+                error: 'Invalid strategy',
+                message: `strategy must be one of: ${IMPORT_STRATEGIES.join(', ')}`
+            });
         }
 
-        let importedCount = 0;
-        for (const project of projects) {
-            try {
-                await projectsDB.create({
-                    title: project.title || 'Untitled Project',
-                    description: project.description || '',
-                    image_url: project.image_url || '',
-                    video_url: project.video_url || '',
-                    links: project.links || [],
-                    coordinates: project.coordinates || {}
-                });
-                importedCount++;
-            } catch (err) {
-                console.error('Error importing project:', err);
-            }
+        const errors = projects.flatMap((project, index) => validateProjectPayload(project, `/projects/${index}`));
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
         }
 
-        // Regenerate projects.json file
-        await generateProjectsJSON();
-        
+        const options = { strategy, overwrite: Boolean(overwrite), dryRun: Boolean(dryRun) };
+        const plan = await projectsDB.import(projects, options, req.admin);
+
+        const count = (action) => plan.entries.filter(entry => entry.action === action).length;
+        const summary = {
+            created: count('create'),
+            updated: count('update'),
+            deleted: plan.deletes.length,
+            conflicts: count('conflict')
+        };
+
+        if (!options.dryRun) {
+            await audit(req, 'project.import', {
+                after: { strategy, overwrite: options.overwrite, received: projects.length, ...summary }
+            });
+
+            // Regenerate projects.json file
+            await generateProjectsJSON();
+        }
+
+        const skipped = summary.conflicts > 0 ? `, ${summary.conflicts} skipped as conflicts` : '';
         res.json({
             success: true,
-            message: `Successfully imported ${importedCount} project(s)`,
-            importedCount
+            data: { ...options, summary, ...plan },
+            message: options.dryRun
+                ? `Import would create ${summary.created}, update ${summary.updated} and delete ${summary.deleted} tooltip(s)${skipped}`
+                : `Imported ${summary.created + summary.updated} tooltip(s): ${summary.created} created, ${summary.updated} updated, ${summary.deleted} deleted${skipped}`,
+            importedCount: options.dryRun ? 0 : summary.created + summary.updated
         });
 
     } catch (error) {
         console.error('Error importing projects:', error);
         res.status(500).json({ 
             error: 'Failed to import projects',
-            message: 'An error occurred while importing projects'
+            message: 'An error occurred while importing projects. Nothing was changed'
         });
     }
 });
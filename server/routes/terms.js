@@ -0,0 +1,207 @@
+const express = require('express');
+const { generateProjectsJSON } = require('../models/database');
+const { termsDB } = require('../models/taxonomy');
+const { TERM_TYPES } = require('../models/regions');
+const { requireAuth, requireRole, tokenScopes } = require('../middleware/auth');
+const { audit } = require('../utils/audit');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 100;
+
+// Term changes show on every project using the term, so they need the
+// same scopes as editing projects
+router.use(tokenScopes({ read: 'projects:read', write: 'projects:write' }));
+
+const TERM_ERRORS = {
+    INVALID_NAME: [400, 'Invalid name'],
+    INVALID_MERGE: [400, 'Invalid merge'],
+    DUPLICATE: [409, 'Term exists']
+};
+
+// Respond to a termsDB error; false if it is not one the client caused
+function sendTermError(res, error) {
+    if (!TERM_ERRORS[error.code]) return false;
+
+    const [status, title] = TERM_ERRORS[error.code];
+    res.status(status).json({
+        error: title,
+        message: error.message
+    });
+    return true;
+}
+
+function validName(name) {
+    return typeof name === 'string' && name.trim() && name.length <= MAX_NAME_LENGTH;
+}
+
+// List the vocabularies (?type=tag|client|service for one), with how many
+// projects use each term. Used by the editor's autocomplete.
+router.get('/', requireAuth, async (req, res) => {
+    try {
+        const { type } = req.query;
+        if (type !== undefined && !TERM_TYPES.includes(type)) {
+            return res.status(400).json({
+                error: 'Invalid type',
+                message: `type must be one of: ${TERM_TYPES.join(', ')}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await termsDB.list(type || null),
+            types: TERM_TYPES
+        });
+    } catch (error) {
+        console.error('Error fetching terms:', error);
+        res.status(500).json({
+            error: 'Failed to fetch terms',
+            message: 'An error occurred while fetching terms'
+        });
+    }
+});
+
+// Add a term ({ type, name }) before any project uses it
+router.post('/', requireRole('owner', 'editor'), async (req, res) => {
+    try {
+        const { type, name } = req.body;
+
+        if (!TERM_TYPES.includes(type)) {
+            return res.status(400).json({
+                error: 'Invalid type',
+                message: `type must be one of: ${TERM_TYPES.join(', ')}`
+            });
+        }
+        if (!validName(name)) {
+            return res.status(400).json({
+                error: 'Invalid name',
+                message: `Name is required (up to ${MAX_NAME_LENGTH} characters)`
+            });
+        }
+
+        const term = await termsDB.create(type, name);
+        await audit(req, 'term.create', { targetId: term.id, after: { type: term.type, name: term.name } });
+
+        res.status(201).json({
+            success: true,
+            message: `Added ${term.type} "${term.name}"`,
+            data: term
+        });
+    } catch (error) {
+        if (sendTermError(res, error)) return;
+        console.error('Error creating term:', error);
+        res.status(500).json({
+            error: 'Failed to create term',
+            message: 'An error occurred while creating the term'
+        });
+    }
+});
+
+// Rename a term ({ name }) on every project using it
+router.put('/:id', requireRole('owner', 'editor'), async (req, res) => {
+    try {
+        const { name } = req.body;
+        if (!validName(name)) {
+            return res.status(400).json({
+                error: 'Invalid name',
+                message: `Name is required (up to ${MAX_NAME_LENGTH} characters)`
+            });
+        }
+
+        const before = await termsDB.getById(parseInt(req.params.id));
+        const term = before && await termsDB.rename(before.id, name);
+        if (!term) {
+            return res.status(404).json({
+                error: 'Term not found',
+                message: 'The term does not exist'
+            });
+        }
+
+        if (term.projects > 0) {
+            await generateProjectsJSON();
+        }
+        await audit(req, 'term.rename', {
+            targetId: term.id,
+            before: { type: before.type, name: before.name },
+            after: { type: term.type, name: term.name }
+        });
+
+        res.json({
+            success: true,
+            message: `Renamed to "${term.name}"`,
+            data: term
+        });
+    } catch (error) {
+        if (sendTermError(res, error)) return;
+        console.error('Error renaming term:', error);
+        res.status(500).json({
+            error: 'Failed to rename term',
+            message: 'An error occurred while renaming the term'
+        });
+    }
+});
+
+// Merge a term into another of the same type ({ into: id })
+router.post('/:id/merge', requireRole('owner', 'editor'), async (req, res) => {
+    try {
+        const before = await termsDB.getById(parseInt(req.params.id));
+        const term = before && await termsDB.merge(before.id, parseInt(req.body.into));
+        if (!term) {
+            return res.status(404).json({
+                error: 'Term not found',
+                message: 'Both terms must exist'
+            });
+        }
+
+        await generateProjectsJSON();
+        await audit(req, 'term.merge', {
+            targetId: before.id,
+            before: { type: before.type, name: before.name, projects: before.projects },
+            after: { type: term.type, name: term.name, projects: term.projects }
+        });
+
+        res.json({
+            success: true,
+            message: `Merged "${before.name}" into "${term.name}"`,
+            data: term
+        });
+    } catch (error) {
+        if (sendTermError(res, error)) return;
+        console.error('Error merging terms:', error);
+        res.status(500).json({
+            error: 'Failed to merge terms',
+            message: 'An error occurred while merging the terms'
+        });
+    }
+});
+
+// Delete a term, taking it off every project using it
+router.delete('/:id', requireRole('owner', 'editor'), async (req, res) => {
+    try {
+        const term = await termsDB.delete(parseInt(req.params.id));
+        if (!term) {
+            return res.status(404).json({
+                error: 'Term not found',
+                message: 'The term does not exist'
+            });
+        }
+
+        if (term.projects > 0) {
+            await generateProjectsJSON();
+        }
+        await audit(req, 'term.delete', { targetId: term.id, before: { type: term.type, name: term.name, projects: term.projects } });
+
+        res.json({
+            success: true,
+            message: `Deleted ${term.type} "${term.name}"${term.projects > 0 ? ` from ${term.projects} project(s)` : ''}`
+        });
+    } catch (error) {
+        console.error('Error deleting term:', error);
+        res.status(500).json({
+            error: 'Failed to delete term',
+            message: 'An error occurred while deleting the term'
+        });
+    }
+});
+
+module.exports = router;
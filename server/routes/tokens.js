@@ -0,0 +1,113 @@
+const express = require('express');
+const { apiTokensDB, TOKEN_SCOPES } = require('../models/apiTokens');
+const { requireAuth } = require('../middleware/auth');
+const { audit } = require('../utils/audit');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 100;
+
+// Token management needs a real login; a token cannot mint or revoke tokens
+router.use(requireAuth);
+
+// List the current admin's tokens
+router.get('/', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await apiTokensDB.listForAdmin(req.admin.id),
+            scopes: TOKEN_SCOPES
+        });
+    } catch (error) {
+        console.error('Error fetching API tokens:', error);
+        res.status(500).json({
+            error: 'Failed to fetch tokens',
+            message: 'An error occurred while fetching API tokens'
+        });
+    }
+});
+
+// Create a token ({ name, scopes, expires_at? }). The token is only returned here.
+router.post('/', async (req, res) => {
+    try {
+        const { name, scopes, expires_at } = req.body;
+
+        if (!name || typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+            return res.status(400).json({
+                error: 'Invalid name',
+                message: `Token name is required (up to ${MAX_NAME_LENGTH} characters)`
+            });
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !TOKEN_SCOPES.includes(scope))) {
+            return res.status(400).json({
+                error: 'Invalid scopes',
+                message: `Scopes must be a non-empty list of: ${TOKEN_SCOPES.join(', ')}`
+            });
+        }
+
+        let expiresAt = null;
+        if (expires_at) {
+            const date = new Date(expires_at);
+            if (isNaN(date.getTime()) || date <= new Date()) {
+                return res.status(400).json({
+                    error: 'Invalid expiry',
+                    message: 'expires_at must be a valid date in the future'
+                });
+            }
+            // Same format as CURRENT_TIMESTAMP so SQLite can compare them
+            expiresAt = date.toISOString().replace('T', ' ').slice(0, 19);
+        }
+
+        const { token, record } = await apiTokensDB.create({
+            adminId: req.admin.id,
+            name: name.trim(),
+            scopes: [...new Set(scopes)],
+            expiresAt
+        });
+
+        await audit(req, 'token.create', { targetId: record.id, after: { name: record.name, scopes: record.scopes, expires_at: record.expires_at } });
+
+        res.status(201).json({
+            success: true,
+            message: 'API token created. Copy it now, it will not be shown again',
+            data: record,
+            token
+        });
+    } catch (error) {
+        console.error('Error creating API token:', error);
+        res.status(500).json({
+            error: 'Failed to create token',
+            message: 'An error occurred while creating the API token'
+        });
+    }
+});
+
+// Revoke one of the current admin's tokens
+router.delete('/:id', async (req, res) => {
+    try {
+        const record = await apiTokensDB.revoke(parseInt(req.params.id), req.admin.id);
+
+        if (!record) {
+            return res.status(404).json({
+                error: 'Token not found',
+                message: 'The API token does not exist'
+            });
+        }
+
+        await audit(req, 'token.revoke', { targetId: record.id, before: { name: record.name, scopes: record.scopes } });
+
+        res.json({
+            success: true,
+            message: `API token "${record.name}" revoked`
+        });
+    } catch (error) {
+        console.error('Error revoking API token:', error);
+        res.status(500).json({
+            error: 'Failed to revoke token',
+            message: 'An error occurred while revoking the API token'
+        });
+    }
+});
+
+module.exports = router;
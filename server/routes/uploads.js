@@ -1,12 +1,22 @@
 const express = require('express');
 const multer = require('multer');
-const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireRole, tokenScopes } = require('../middleware/auth');
+const { audit } = require('../utils/audit');
+const { mediaDB } = require('../models/media');
+const {
+    registerUpload, uploadUrl, responsiveImage, responsiveVideo, deleteMedia, findUsage, UPLOAD_EXTENSIONS
+} = require('../utils/media');
+const { queueMediaProcessing } = require('../utils/mediaJobs');
+const { describeSession, createUploadSession, writeChunk, completeUpload, abortUpload } = require('../utils/resumable');
+const { uploadSessionsDB } = require('../models/uploadSessions');
+const config = require('../config/environment');
 
 const router = express.Router();
 
+router.use(tokenScopes({ read: 'projects:read', write: 'uploads:write' }));
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
@@ -27,21 +37,18 @@ const storage = multer.diskStorage({
         cb(null, uploadPath);
     },
     filename: function (req, file, cb) {
-        // Generate unique filename with timestamp
+        // Generate unique filename with timestamp; the extension follows the
+        // checked MIME type, not the name the client sent
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const ext = path.extname(file.originalname);
-        cb(null, file.fieldname + '-' + uniqueSuffix + ext);
+        cb(null, file.fieldname + '-' + uniqueSuffix + UPLOAD_EXTENSIONS[file.mimetype]);
     }
 });
 
+const ALLOWED_MIME_TYPES = Object.keys(UPLOAD_EXTENSIONS);
+
 // File filter
 const fileFilter = (req, file, cb) => {
-    const allowedMimeTypes = [
-        'image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/gif',
-        'video/mp4', 'video/webm', 'video/ogg', 'video/avi', 'video/mov'
-    ];
-    
-    if (allowedMimeTypes.includes(file.mimetype)) {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
         cb(null, true);
     } else {
         cb(new Error('Invalid file type. Only images and videos are allowed.'), false);
@@ -58,8 +65,43 @@ const upload = multer({
     }
 });
 
+// Anyone who can edit content (contributors included) can upload
+const canUpload = requireRole('owner', 'editor', 'contributor');
+
+// Response shape for an uploaded file: the original, its variants, the
+// responsive ladder with intrinsic size and blur placeholder, the media
+// library record and the background job making the variants. Uploads are
+// answered before processing, so variants are null and media.status is
+// 'processing' until the job is done; follow it on /api/jobs/events.
+function uploadedFileData(file, media, job = null) {
+    const variant = (name) => media.variants[name] ? {
+        filename: path.basename(media.variants[name].url),
+        url: media.variants[name].url
+    } : null;
+
+    return {
+        original: {
+            filename: file.filename,
+            url: media.url,
+            size: file.size,
+            mimetype: file.mimetype
+        },
+        optimized: variant('optimized'),
+        thumbnail: variant('thumbnail'),
+        responsive: responsiveImage(media),
+        video: responsiveVideo(media),
+        media,
+        job: job ? { id: job.id, status: job.status } : null
+    };
+}
+
+// Register an upload in the media library and queue its processing
+async function acceptUpload(file, admin) {
+    return queueMediaProcessing(await registerUpload(file, {}, admin), admin);
+}
+
 // Image upload endpoint
-router.post('/image', requireAuth, upload.single('image'), async (req, res) => {
+router.post('/image', canUpload, upload.single('image'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -68,61 +110,17 @@ router.post('/image', requireAuth, upload.single('image'), async (req, res) => {
             });
         }
 
-        const originalPath = req.file.path;
-        const filename = req.file.filename;
-        const fileExt = path.extname(filename);
-        
-        // Create optimized versions
-        const optimizedFilename = filename.replace(fileExt, '-optimized.webp');
-        const thumbnailFilename = filename.replace(fileExt, '-thumb.webp');
-        
-        const optimizedPath = path.join(req.file.destination, optimizedFilename);
-        const thumbnailPath = path.join(req.file.destination, thumbnailFilename);
-
-        try {
-            // Create optimized version (max 1920px width, 80% quality)
-            await sharp(originalPath)
-                .resize(1920, null, { 
-                    withoutEnlargement: true,
-                    fit: 'inside'
-                })
-                .webp({ quality: 80 })
-                .toFile(optimizedPath);
-
-            // Create thumbnail (300px width)
-            await sharp(originalPath)
-                .resize(300, 200, {
-                    fit: 'cover',
-                    position: 'center'
-                })
-                .webp({ quality: 70 })
-                .toFile(thumbnailPath);
-
-        } catch (sharpError) {
-            console.error('Image processing error:', sharpError);
-            // Continue without optimized versions if processing fails
-        }
+        const { media, job } = await acceptUpload(req.file, req.admin);
 
-        const baseUrl = `/uploads/images/`;
+        await audit(req, 'upload.image', {
+            targetId: req.file.filename,
+            after: { filename: req.file.filename, size: req.file.size, mimetype: req.file.mimetype }
+        });
         
         res.json({
             success: true,
-            message: 'Image uploaded successfully',
-            data: {
-                original: {
-                    filename: filename,
-                    url: baseUrl + filename,
-                    size: req.file.size
-                },
-                optimized: fs.existsSync(optimizedPath) ? {
-                    filename: optimizedFilename,
-                    url: baseUrl + optimizedFilename
-                } : null,
-                thumbnail: fs.existsSync(thumbnailPath) ? {
-                    filename: thumbnailFilename,
-                    url: baseUrl + thumbnailFilename
-                } : null
-            }
+            message: 'Image uploaded successfully, processing has started',
+            data: uploadedFileData(req.file, media, job)
         });
 
     } catch (error) {
@@ -135,7 +133,7 @@ router.post('/image', requireAuth, upload.single('image'), async (req, res) => {
 });
 
 // Video upload endpoint
-router.post('/video', requireAuth, upload.single('video'), async (req, res) => {
+router.post('/video', canUpload, upload.single('video'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -144,16 +142,24 @@ router.post('/video', requireAuth, upload.single('video'), async (req, res) => {
             });
         }
 
-        const baseUrl = `/uploads/videos/`;
+        const { media, job } = await acceptUpload(req.file, req.admin);
+
+        await audit(req, 'upload.video', {
+            targetId: req.file.filename,
+            after: { filename: req.file.filename, size: req.file.size, mimetype: req.file.mimetype }
+        });
         
         res.json({
             success: true,
-            message: 'Video uploaded successfully',
+            message: 'Video uploaded successfully, processing has started',
             data: {
                 filename: req.file.filename,
-                url: baseUrl + req.file.filename,
+                url: media.url,
                 size: req.file.size,
-                mimetype: req.file.mimetype
+                mimetype: req.file.mimetype,
+                status: media.status,
+                media,
+                job: { id: job.id, status: job.status }
             }
         });
 
@@ -167,7 +173,7 @@ router.post('/video', requireAuth, upload.single('video'), async (req, res) => {
 });
 
 // Multiple files upload
-router.post('/multiple', requireAuth, upload.array('files', 5), async (req, res) => {
+router.post('/multiple', canUpload, upload.array('files', 5), async (req, res) => {
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({
@@ -179,71 +185,18 @@ router.post('/multiple', requireAuth, upload.array('files', 5), async (req, res)
         const uploadedFiles = [];
 
         for (const file of req.files) {
-            const baseUrl = file.mimetype.startsWith('image/') 
-                ? `/uploads/images/` 
-                : `/uploads/videos/`;
-
-            let fileData = {
-                original: {
-                    filename: file.filename,
-                    url: baseUrl + file.filename,
-                    size: file.size,
-                    mimetype: file.mimetype
-                }
-            };
-
-            // Process images
-            if (file.mimetype.startsWith('image/')) {
-                try {
-                    const originalPath = file.path;
-                    const filename = file.filename;
-                    const fileExt = path.extname(filename);
-                    
-                    const optimizedFilename = filename.replace(fileExt, '-optimized.webp');
-                    const thumbnailFilename = filename.replace(fileExt, '-thumb.webp');
-                    
-                    const optimizedPath = path.join(file.destination, optimizedFilename);
-                    const thumbnailPath = path.join(file.destination, thumbnailFilename);
-
-                    // Create optimized version
-                    await sharp(originalPath)
-                        .resize(1920, null, { 
-                            withoutEnlargement: true,
-                            fit: 'inside'
-                        })
-                        .webp({ quality: 80 })
-                        .toFile(optimizedPath);
-
-                    // Create thumbnail
-                    await sharp(originalPath)
-                        .resize(300, 200, {
-                            fit: 'cover',
-                            position: 'center'
-                        })
-                        .webp({ quality: 70 })
-                        .toFile(thumbnailPath);
-
-                    fileData.optimized = {
-                        filename: optimizedFilename,
-                        url: baseUrl + optimizedFilename
-                    };
-                    
-                    fileData.thumbnail = {
-                        filename: thumbnailFilename,
-                        url: baseUrl + thumbnailFilename
-                    };
-
-                } catch (sharpError) {
-                    console.error('Image processing error for', file.filename, ':', sharpError);
-                }
-            }
-
-            uploadedFiles.push(fileData);
+            const { media, job } = await acceptUpload(file, req.admin);
+            uploadedFiles.push(uploadedFileData(file, media, job));
         }
 
+        await audit(req, 'upload.multiple', {
+            targetId: req.files.map(file => file.filename).join(','),
+            after: req.files.map(file => ({ filename: file.filename, size: file.size, mimetype: file.mimetype }))
+        });
+
         res.json({
             success: true,
-            message: `Successfully uploaded ${req.files.length} file(s)`,
+            message: `Successfully uploaded ${req.files.length} file(s), processing has started`,
             data: uploadedFiles
         });
 
@@ -256,10 +209,192 @@ router.post('/multiple', requireAuth, upload.array('files', 5), async (req, res)
     }
 });
 
-// Delete uploaded file
-router.delete('/file/:type/:filename', requireAuth, (req, res) => {
+// Resumable uploads for files over the 50MB single request limit (up to
+// MAX_UPLOAD_MB): open a session, PUT the file in order as chunks of at most
+// chunkSize bytes, then complete it. After a dropped connection GET the
+// session and continue from `received`.
+const RESUMABLE_ERRORS = {
+    TOO_LARGE: [413, 'File too large'],
+    OFFSET_MISMATCH: [409, 'Offset mismatch'],
+    INVALID_CHUNK: [400, 'Invalid chunk'],
+    CHECKSUM_MISMATCH: [422, 'Checksum mismatch'],
+    INCOMPLETE: [409, 'Upload incomplete']
+};
+
+function sendResumableError(res, error) {
+    const [status, name] = RESUMABLE_ERRORS[error.code];
+    res.status(status).json({
+        error: name,
+        message: error.message,
+        ...(error.received !== undefined && { received: error.received })
+    });
+}
+
+// The caller's own session, or a 404
+async function findUploadSession(req, res) {
+    const session = await uploadSessionsDB.getById(req.params.id);
+
+    if (!session || session.admin_id !== req.admin.id) {
+        res.status(404).json({
+            error: 'Upload not found',
+            message: 'The upload does not exist or has expired'
+        });
+        return null;
+    }
+    return session;
+}
+
+// Open a session: { filename, size, mimetype }
+router.post('/resumable', canUpload, async (req, res) => {
+    try {
+        const { filename, size, mimetype } = req.body;
+
+        if (typeof filename !== 'string' || !filename.trim() || !Number.isInteger(size) || size <= 0) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'filename and size (bytes) are required'
+            });
+        }
+
+        if (!ALLOWED_MIME_TYPES.includes(mimetype)) {
+            return res.status(400).json({
+                error: 'Invalid file type',
+                message: 'Only images and videos are allowed.'
+            });
+        }
+
+        const session = await createUploadSession({ originalName: filename.trim(), mimeType: mimetype, size }, req.admin);
+
+        res.status(201).json({
+            success: true,
+            data: describeSession(session)
+        });
+    } catch (error) {
+        if (RESUMABLE_ERRORS[error.code]) {
+            return sendResumableError(res, error);
+        }
+        console.error('Error starting resumable upload:', error);
+        res.status(500).json({
+            error: 'Upload failed',
+            message: 'An error occurred while starting the upload'
+        });
+    }
+});
+
+// Where to continue: `received` bytes are stored
+router.get('/resumable/:id', canUpload, async (req, res) => {
+    try {
+        const session = await findUploadSession(req, res);
+        if (!session) return;
+
+        res.json({
+            success: true,
+            data: describeSession(session)
+        });
+    } catch (error) {
+        console.error('Error fetching resumable upload:', error);
+        res.status(500).json({
+            error: 'Failed to fetch upload',
+            message: 'An error occurred while fetching the upload'
+        });
+    }
+});
+
+// Append a chunk. Headers: Upload-Offset (must equal `received`) and
+// X-Chunk-SHA256 (hex digest of the chunk, checked when present). A 409
+// carries the offset to continue from; a 422 means the chunk arrived
+// damaged and should be sent again.
+router.put('/resumable/:id', canUpload, express.raw({ type: () => true, limit: config.uploadChunkSize }), async (req, res) => {
+    try {
+        const session = await findUploadSession(req, res);
+        if (!session) return;
+
+        const offset = Number(req.get('Upload-Offset'));
+        if (!Number.isInteger(offset) || !Buffer.isBuffer(req.body)) {
+            return res.status(400).json({
+                error: 'Invalid chunk',
+                message: 'Send the chunk as the request body with an Upload-Offset header'
+            });
+        }
+
+        const updated = await writeChunk(session, offset, req.body, req.get('X-Chunk-SHA256') || null);
+
+        res.json({
+            success: true,
+            data: describeSession(updated)
+        });
+    } catch (error) {
+        if (RESUMABLE_ERRORS[error.code]) {
+            return sendResumableError(res, error);
+        }
+        console.error('Error writing upload chunk:', error);
+        res.status(500).json({
+            error: 'Upload failed',
+            message: 'An error occurred while storing the chunk'
+        });
+    }
+});
+
+// Move the finished file into uploads/ and queue its processing. Responds
+// like /multiple does for one file.
+router.post('/resumable/:id/complete', canUpload, async (req, res) => {
+    try {
+        const session = await findUploadSession(req, res);
+        if (!session) return;
+
+        const file = await completeUpload(session);
+        const { media, job } = await acceptUpload(file, req.admin);
+
+        await audit(req, 'upload.resumable', {
+            targetId: file.filename,
+            after: { filename: file.filename, originalName: file.originalname, size: file.size, mimetype: file.mimetype }
+        });
+
+        res.json({
+            success: true,
+            message: `${file.originalname} uploaded successfully, processing has started`,
+            data: uploadedFileData(file, media, job)
+        });
+    } catch (error) {
+        if (RESUMABLE_ERRORS[error.code]) {
+            return sendResumableError(res, error);
+        }
+        console.error('Error completing resumable upload:', error);
+        res.status(500).json({
+            error: 'Upload failed',
+            message: 'An error occurred while finishing the upload'
+        });
+    }
+});
+
+// Cancel an upload and drop what was received
+router.delete('/resumable/:id', canUpload, async (req, res) => {
+    try {
+        const session = await findUploadSession(req, res);
+        if (!session) return;
+
+        await abortUpload(session);
+
+        res.json({
+            success: true,
+            message: 'Upload cancelled'
+        });
+    } catch (error) {
+        console.error('Error cancelling resumable upload:', error);
+        res.status(500).json({
+            error: 'Failed to cancel upload',
+            message: 'An error occurred while cancelling the upload'
+        });
+    }
+});
+
+// Delete an uploaded file together with its optimized/thumbnail variants.
+// Files that content or revision history still refers to are refused with
+// 409 unless ?force=true (owners only).
+router.delete('/file/:type/:filename', requireRole('owner', 'editor'), async (req, res) => {
     try {
         const { type, filename } = req.params;
+        const force = req.query.force === 'true';
         
         if (!['images', 'videos'].includes(type)) {
             return res.status(400).json({
@@ -268,32 +403,42 @@ router.delete('/file/:type/:filename', requireAuth, (req, res) => {
             });
         }
 
-        const filePath = path.join(__dirname, '..', '..', 'uploads', type, filename);
-        
-        if (!fs.existsSync(filePath)) {
+        if (force && req.admin.role !== 'owner') {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Only owners can delete files that are still in use'
+            });
+        }
+
+        const url = uploadUrl(type === 'images' ? 'image' : 'video', filename);
+        const { deleted, skipped, freedBytes } = await deleteMedia([url], { force, includeHistory: force });
+
+        if (skipped.length > 0 && skipped[0].reason === 'not found') {
             return res.status(404).json({
                 error: 'File not found',
                 message: 'The specified file does not exist'
             });
         }
 
-        // Delete main file
-        fs.unlinkSync(filePath);
-
-        // Delete related files (optimized, thumbnail) for images
-        if (type === 'images') {
-            const fileExt = path.extname(filename);
-            const baseName = filename.replace(fileExt, '');
-            
-            const optimizedFile = path.join(__dirname, '..', '..', 'uploads', type, baseName + '-optimized.webp');
-            const thumbnailFile = path.join(__dirname, '..', '..', 'uploads', type, baseName + '-thumb.webp');
-            
-            if (fs.existsSync(optimizedFile)) fs.unlinkSync(optimizedFile);
-            if (fs.existsSync(thumbnailFile)) fs.unlinkSync(thumbnailFile);
+        if (skipped.length > 0) {
+            return res.status(409).json({
+                error: 'File in use',
+                message: skipped[0].reason === 'in use'
+                    ? 'This file is still used by published or draft content. Remove it from the tooltips first'
+                    : 'This file is only used by revision history; deleting it breaks restoring those revisions',
+                reason: skipped[0].reason,
+                usage: await findUsage(url)
+            });
         }
 
+        await audit(req, 'upload.delete', {
+            targetId: `${type}/${filename}`,
+            before: { type, filename, files: deleted[0].files, bytes: freedBytes, referenced: deleted[0].referenced, force }
+        });
+
         res.json({
             success: true,
+            data: deleted[0],
             message: 'File deleted successfully'
         });
 
@@ -306,8 +451,8 @@ router.delete('/file/:type/:filename', requireAuth, (req, res) => {
     }
 });
 
-// List uploaded files
-router.get('/files/:type', requireAuth, (req, res) => {
+// List uploaded files (originals only; see /api/media for search and paging)
+router.get('/files/:type', requireAuth, async (req, res) => {
     try {
         const { type } = req.params;
         
@@ -318,37 +463,16 @@ router.get('/files/:type', requireAuth, (req, res) => {
             });
         }
 
-        const uploadsPath = path.join(__dirname, '..', '..', 'uploads', type);
-        
-        if (!fs.existsSync(uploadsPath)) {
-            return res.json({
-                success: true,
-                data: []
-            });
-        }
-
-        const files = fs.readdirSync(uploadsPath)
-            .filter(file => {
-                // Exclude optimized and thumbnail versions from listing
-                return !file.includes('-optimized') && !file.includes('-thumb');
-            })
-            .map(filename => {
-                const filePath = path.join(uploadsPath, filename);
-                const stats = fs.statSync(filePath);
-                
-                return {
-                    filename,
-                    url: `/uploads/${type}/${filename}`,
-                    size: stats.size,
-                    created: stats.birthtime,
-                    modified: stats.mtime
-                };
-            })
-            .sort((a, b) => new Date(b.created) - new Date(a.created));
+        const { items } = await mediaDB.list({ type: type === 'images' ? 'image' : 'video' }, { limit: -1 });
 
         res.json({
             success: true,
-            data: files
+            data: items.map(media => ({
+                filename: media.filename,
+                url: media.url,
+                size: media.size,
+                created: media.created_at
+            }))
         });
 
     } catch (error) {
@@ -360,8 +484,15 @@ router.get('/files/:type', requireAuth, (req, res) => {
     }
 });
 
-// Error handling middleware for multer
+// Error handling middleware for multer and oversized chunks
 router.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({
+            error: 'Chunk too large',
+            message: `Chunks can be at most ${config.uploadChunkSize} bytes`
+        });
+    }
+
     if (error instanceof multer.MulterError) {
         if (error.code === 'LIMIT_FILE_SIZE') {
             return res.status(400).json({
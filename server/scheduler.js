@@ -0,0 +1,93 @@
+const { projectsDB, generateProjectsJSON } = require('./models/database');
+const { writeBackupFile, pruneBackups } = require('./utils/backup');
+
+// Publishes and unpublishes scheduled content while the server is running.
+// projects.json is a static file, so it is regenerated whenever anything
+// changes state. The first run happens at startup to catch up on anything
+// that came due while the server was down.
+
+const CHECK_INTERVAL = 60 * 1000; // 1 minute
+// Longest delay a timer takes; Node runs anything longer after 1 ms
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+let timer = null;
+let backupTimer = null;
+
+async function runScheduler() {
+    try {
+        const { published, unpublished } = await projectsDB.applySchedule();
+
+        if (published + unpublished > 0) {
+            console.log(`🕒 Scheduler published ${published} and unpublished ${unpublished} item(s)`);
+            await generateProjectsJSON();
+        }
+    } catch (error) {
+        console.error('❌ Scheduled publishing failed:', error);
+    }
+}
+
+function startScheduler(interval = CHECK_INTERVAL) {
+    if (timer) return;
+
+    runScheduler();
+    timer = setInterval(runScheduler, interval);
+}
+
+function stopScheduler() {
+    clearInterval(timer);
+    timer = null;
+}
+
+// Scheduled backups into the backup directory, keeping the newest
+// `retention` archives
+async function runBackup(retention) {
+    try {
+        const { file, manifest } = await writeBackupFile();
+        const removed = pruneBackups(retention);
+
+        console.log(`💾 Backup written to ${file} (${manifest.files.length} file(s))`);
+        if (removed.length > 0) {
+            console.log(`🧹 Removed ${removed.length} old backup(s)`);
+        }
+        if (manifest.missing.length > 0) {
+            console.warn(`⚠️ ${manifest.missing.length} referenced upload(s) are missing from disk`);
+        }
+    } catch (error) {
+        console.error('❌ Scheduled backup failed:', error);
+    }
+}
+
+// Wait until `at` (epoch ms) in steps a timer can take, then run fn
+function runAt(at, fn) {
+    const delay = Math.min(Math.max(at - Date.now(), 0), MAX_TIMER_DELAY);
+    backupTimer = setTimeout(() => (Date.now() >= at ? fn() : runAt(at, fn)), delay);
+}
+
+// Each backup is scheduled when the previous one has finished, so a slow
+// backup never overlaps the next and any interval (even weeks) is kept
+function startBackupScheduler(intervalHours, retention) {
+    if (backupTimer || !(intervalHours > 0)) return;
+
+    const interval = intervalHours * 60 * 60 * 1000;
+    const scheduleNext = () => runAt(Date.now() + interval, async () => {
+        await runBackup(retention);
+        if (backupTimer) scheduleNext();
+    });
+
+    scheduleNext();
+    console.log(`💾 Backing up every ${intervalHours} hour(s), keeping ${retention}`);
+}
+
+function stopBackupScheduler() {
+    clearTimeout(backupTimer);
+    backupTimer = null;
+}
+
+module.exports = {
+    startScheduler,
+    stopScheduler,
+    runScheduler,
+    startBackupScheduler,
+    stopBackupScheduler,
+    runBackup
+};
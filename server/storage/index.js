@@ -0,0 +1,50 @@
+const path = require('path');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+const config = require('../config/environment');
+
+// The storage driver for uploads, chosen by STORAGE_DRIVER. Every driver has
+// the same interface:
+//   put(key, file, { contentType })  store a local file under key
+//   get(key)                         readable stream (error code NOT_FOUND)
+//   delete(key)                      remove, missing files are fine
+//   list(prefix)                     [{ key, size, modified }]
+//   url(key) / keyFromUrl(url)       public URL of a key and back
+// Keys look like images/x.jpg. Uploads are always received and processed in
+// uploads/; with a remote driver the finished files are copied to the bucket
+// and served from there, and uploads/ only keeps working copies.
+const UPLOADS_DIR = path.join(__dirname, '..', '..', 'uploads');
+
+const MIME_TYPES = {
+    '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.gif': 'image/gif',
+    '.avif': 'image/avif', '.mp4': 'video/mp4', '.webm': 'video/webm', '.ogg': 'video/ogg', '.avi': 'video/avi',
+    '.mov': 'video/mov'
+};
+
+// uploads/ as a storage; also the source when migrating to a bucket
+const localStorage = createLocalStorage({ dir: UPLOADS_DIR });
+
+function createStorage(driver = config.storageDriver) {
+    switch (driver) {
+        case 'local':
+            return localStorage;
+        case 's3':
+            return createS3Storage(config.s3);
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected local or s3)`);
+    }
+}
+
+const storage = createStorage();
+
+function contentType(key) {
+    return MIME_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+module.exports = {
+    UPLOADS_DIR,
+    MIME_TYPES,
+    storage,
+    localStorage,
+    contentType
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+// Files in a directory on this server, served by express.static under
+// `baseUrl`. Keys are paths relative to the directory, e.g. images/x.jpg.
+function createLocalStorage({ dir, baseUrl = '/uploads' }) {
+    const resolve = (key) => {
+        const file = path.join(dir, key);
+        if (!file.startsWith(dir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return file;
+    };
+
+    return {
+        name: 'local',
+        remote: false,
+
+        // Store a file (a local path) under `key`
+        put: async (key, source) => {
+            const target = resolve(key);
+            if (path.resolve(source) === target) return;
+
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.copyFile(source, target);
+        },
+
+        // Readable stream of a stored file
+        get: async (key) => {
+            const file = resolve(key);
+            if (!fs.existsSync(file)) {
+                const error = new Error(`Not found in storage: ${key}`);
+                error.code = 'NOT_FOUND';
+                throw error;
+            }
+            return fs.createReadStream(file);
+        },
+
+        delete: async (key) => {
+            await fs.promises.rm(resolve(key), { force: true });
+        },
+
+        // Every file under `prefix` (e.g. "images/"), as [{ key, size, modified }]
+        list: async (prefix = '') => {
+            const files = [];
+            const walk = (relative) => {
+                const full = path.join(dir, relative);
+                if (!fs.existsSync(full)) return;
+
+                for (const entry of fs.readdirSync(full, { withFileTypes: true })) {
+                    // Partial resumable uploads and other dot-directories are not files yet
+                    if (entry.name.startsWith('.')) continue;
+
+                    const key = relative ? `${relative}/${entry.name}` : entry.name;
+                    if (entry.isDirectory()) {
+                        walk(key);
+                    } else if (entry.isFile() && key.startsWith(prefix)) {
+                        const stat = fs.statSync(path.join(dir, key));
+                        files.push({ key, size: stat.size, modified: stat.mtime });
+                    }
+                }
+            };
+            walk(prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '');
+            return files.sort((a, b) => a.key.localeCompare(b.key));
+        },
+
+        baseUrl,
+
+        // Public URL of a stored file
+        url: (key) => `${baseUrl}/${key}`,
+
+        // The key of one of this storage's URLs, or null
+        keyFromUrl: (url) => url.startsWith(`${baseUrl}/`) ? url.slice(baseUrl.length + 1) : null
+    };
+}
+
+module.exports = {
+    createLocalStorage
+};
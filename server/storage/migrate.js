@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { withTransaction, all, run } = require('../db/connection');
+const { initializeDatabase, generateProjectsJSON } = require('../models/database');
+const { UPLOADS_DIR, storage, localStorage, contentType } = require('./index');
+
+// Command line entry point:
+//   npm run storage:migrate [-- --dry-run]
+//       copy every upload in uploads/ to the configured bucket (files already
+//       there with the same size are skipped), then point all stored URLs at
+//       it: tooltips, sections, the media library and revision history.
+//       Local files are kept as working copies. --dry-run only reports.
+//   npm run storage:check
+//       write, read back and delete a test file with the configured driver
+
+// Columns that hold upload URLs, on their own or inside JSON
+const URL_COLUMNS = [
+    ['region_projects', 'image_url'],
+    ['region_projects', 'video_url'],
+    ['region_projects', 'direct_video_url'],
+    ['project_media', 'url'],
+    ['project_media', 'thumbnail'],
+    ['project_sections', 'video_url'],
+    ['section_photos', 'url'],
+    ['media', 'url'],
+    ['media', 'variants'],
+    ['revisions', 'snapshot']
+];
+
+// A local upload URL at the start of a value or after a quote (in JSON), so
+// public URLs that happen to contain /uploads/ are left alone
+const LOCAL_URL = /(^|["'\s(])\/uploads\/(?=(?:images|videos)\/)/g;
+
+function rewriteUrls(value) {
+    return value.replace(LOCAL_URL, (match, before) => `${before}${storage.baseUrl}/`);
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)}MB` : `${Math.round(bytes / 1024)}KB`;
+}
+
+async function copyUploads(dryRun) {
+    const local = [...await localStorage.list('images/'), ...await localStorage.list('videos/')];
+    const remote = new Map();
+    for (const prefix of ['images/', 'videos/']) {
+        (await storage.list(prefix)).forEach(file => remote.set(file.key, file));
+    }
+
+    const pending = local.filter(file => !remote.has(file.key) || remote.get(file.key).size !== file.size);
+    const bytes = pending.reduce((sum, file) => sum + file.size, 0);
+    console.log(`🔄 ${pending.length} of ${local.length} upload(s) to copy (${formatBytes(bytes)})`);
+
+    if (!dryRun) {
+        for (const [index, file] of pending.entries()) {
+            await storage.put(file.key, path.join(UPLOADS_DIR, file.key), { contentType: contentType(file.key) });
+            console.log(`✅ [${index + 1}/${pending.length}] ${file.key}`);
+        }
+    }
+    return pending.length;
+}
+
+// Rewrite /uploads/... URLs in one transaction; returns changes per column
+async function rewriteDatabase(dryRun) {
+    return withTransaction(async (db) => {
+        const changes = [];
+
+        for (const [table, column] of URL_COLUMNS) {
+            const rows = await all(db, `SELECT rowid AS id, ${column} AS value FROM ${table} WHERE ${column} LIKE '%/uploads/%'`);
+            let changed = 0;
+
+            for (const row of rows) {
+                const value = rewriteUrls(row.value);
+                if (value === row.value) continue;
+
+                changed++;
+                if (!dryRun) {
+                    await run(db, `UPDATE ${table} SET ${column} = ? WHERE rowid = ?`, [value, row.id]);
+                }
+            }
+            if (changed > 0) {
+                changes.push({ table, column, changed });
+            }
+        }
+
+        return changes;
+    });
+}
+
+async function main() {
+    const [command, ...flags] = process.argv.slice(2);
+
+    switch (command) {
+        case 'migrate': {
+            if (!storage.remote) {
+                throw new Error('Set STORAGE_DRIVER=s3 and the S3_* settings first; uploads are already local');
+            }
+
+            const dryRun = flags.includes('--dry-run');
+            await initializeDatabase();
+
+            console.log(`🔄 Migrating uploads to ${storage.baseUrl}${dryRun ? ' (dry run)' : ''}`);
+            const copied = await copyUploads(dryRun);
+
+            const changes = await rewriteDatabase(dryRun);
+            changes.forEach(({ table, column, changed }) => console.log(`   ${table}.${column}: ${changed} row(s)`));
+            const rows = changes.reduce((sum, change) => sum + change.changed, 0);
+
+            if (dryRun) {
+                console.log(`✅ Dry run: would copy ${copied} file(s) and update ${rows} row(s)`);
+                break;
+            }
+
+            await generateProjectsJSON();
+            console.log(`✅ Copied ${copied} file(s) and updated ${rows} row(s); uploads/ is kept as a working copy`);
+            break;
+        }
+
+        case 'check': {
+            const key = `images/.storage-check-${crypto.randomBytes(6).toString('hex')}.txt`;
+            const content = `storage check ${new Date().toISOString()}`;
+            const file = path.join(os.tmpdir(), path.basename(key));
+            fs.writeFileSync(file, content);
+
+            try {
+                await storage.put(key, file, { contentType: 'text/plain' });
+                const stream = await storage.get(key);
+                const chunks = [];
+                for await (const chunk of stream) chunks.push(chunk);
+                await storage.delete(key);
+
+                if (Buffer.concat(chunks).toString() !== content) {
+                    throw new Error('The file read back differs from the one written');
+                }
+            } finally {
+                fs.rmSync(file, { force: true });
+            }
+
+            console.log(`✅ ${storage.name} storage works; files are served from ${storage.baseUrl}`);
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown command "${command}" (expected migrate or check)`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Storage command failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// Files in an S3-compatible bucket (AWS S3, Cloudflare R2, MinIO, ...),
+// talking to the REST API directly with Signature Version 4. Keys are the
+// same as for local storage (images/x.jpg), below an optional `prefix` in
+// the bucket; files are served from `publicUrl` (a CDN, custom domain or
+// public bucket URL).
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+
+function sha256Hex(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+// RFC 3986 encoding as SigV4 expects it; slashes are kept in paths
+function encodeRfc3986(value, keepSlashes = false) {
+    const encoded = encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return keepSlashes ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+function canonicalQuery(query) {
+    return Object.keys(query).sort()
+        .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(String(query[name]))}`)
+        .join('&');
+}
+
+// The Authorization header for a request. `headers` must include host,
+// x-amz-date and x-amz-content-sha256; all of them are signed.
+function signRequest({ method, path, query = {}, headers, region, accessKeyId, secretAccessKey }) {
+    const amzDate = headers['x-amz-date'];
+    const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = names.map(name => `${name}:${String(lowerHeaders[name]).trim().replace(/\s+/g, ' ')}\n`).join('');
+    const signedHeaders = names.join(';');
+    const canonicalRequest = [
+        method,
+        encodeRfc3986(path, true),
+        canonicalQuery(query),
+        canonicalHeaders,
+        signedHeaders,
+        lowerHeaders['x-amz-content-sha256']
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(
+        (key, part) => hmac(key, part),
+        hmac(hmac(`AWS4${secretAccessKey}`, amzDate.slice(0, 8)), region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+function decodeXml(value) {
+    return value
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function xmlValue(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXml(match[1]) : null;
+}
+
+function readBody(stream) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+        stream.on('error', reject);
+    });
+}
+
+function createS3Storage({ endpoint, region = 'auto', bucket, accessKeyId, secretAccessKey, publicUrl, prefix = '', forcePathStyle = false }) {
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey || !publicUrl) {
+        throw new Error('S3 storage needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY and S3_PUBLIC_URL');
+    }
+
+    const base = new URL(endpoint);
+    const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+    const client = base.protocol === 'http:' ? http : https;
+    const baseUrl = `${publicUrl.replace(/\/+$/, '')}/${prefix}`.replace(/\/+$/, '');
+
+    const bucketPath = forcePathStyle ? `/${bucket}/` : '/';
+    const objectPath = (key) => `${bucketPath}${prefix}${key}`;
+
+    // Send a signed request; resolves with the response once its headers
+    // arrive. Non-2xx responses are turned into errors (code NOT_FOUND for 404).
+    const request = (method, path, { query = {}, headers = {}, body = null } = {}) => {
+        const signedHeaders = {
+            host,
+            'x-amz-date': new Date().toISOString().replace(/[:-]|\.\d{3}/g, ''),
+            'x-amz-content-sha256': body ? UNSIGNED_PAYLOAD : EMPTY_SHA256,
+            ...headers
+        };
+        const authorization = signRequest({ method, path, query, headers: signedHeaders, region, accessKeyId, secretAccessKey });
+        const search = canonicalQuery(query);
+
+        return new Promise((resolve, reject) => {
+            const req = client.request({
+                protocol: base.protocol,
+                hostname: forcePathStyle ? base.hostname : `${bucket}.${base.hostname}`,
+                port: base.port || undefined,
+                method,
+                path: encodeRfc3986(path, true) + (search ? `?${search}` : ''),
+                headers: { ...signedHeaders, authorization }
+            }, async (res) => {
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve(res);
+                    return;
+                }
+
+                const xml = await readBody(res).catch(() => '');
+                const error = new Error(`S3 ${method} ${path} failed with ${res.statusCode}${xmlValue(xml, 'Code') ? ` (${xmlValue(xml, 'Code')})` : ''}`);
+                error.code = res.statusCode === 404 ? 'NOT_FOUND' : 'STORAGE_ERROR';
+                error.status = res.statusCode;
+                reject(error);
+            });
+
+            req.on('error', reject);
+            if (body && typeof body.pipe === 'function') {
+                body.on('error', (error) => req.destroy(error));
+                body.pipe(req);
+            } else {
+                req.end(body || undefined);
+            }
+        });
+    };
+
+    return {
+        name: 's3',
+        remote: true,
+
+        // Upload a local file under `key`. Stored names are unique, so the
+        // files can be cached for good.
+        put: async (key, source, { contentType = 'application/octet-stream' } = {}) => {
+            const { size } = await fs.promises.stat(source);
+            const res = await request('PUT', objectPath(key), {
+                headers: {
+                    'content-length': String(size),
+                    'content-type': contentType,
+                    'cache-control': 'public, max-age=31536000, immutable'
+                },
+                body: fs.createReadStream(source)
+            });
+            res.resume();
+        },
+
+        get: (key) => request('GET', objectPath(key)),
+
+        delete: async (key) => {
+            try {
+                (await request('DELETE', objectPath(key))).resume();
+            } catch (error) {
+                if (error.code !== 'NOT_FOUND') throw error;
+            }
+        },
+
+        // Every object under `prefix`, as [{ key, size, modified }]
+        list: async (listPrefix = '') => {
+            const files = [];
+            let token = null;
+
+            do {
+                const query = { 'list-type': '2', prefix: prefix + listPrefix };
+                if (token) query['continuation-token'] = token;
+
+                const xml = await readBody(await request('GET', bucketPath, { query }));
+                for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                    files.push({
+                        key: xmlValue(entry, 'Key').slice(prefix.length),
+                        size: Number(xmlValue(entry, 'Size')),
+                        modified: new Date(xmlValue(entry, 'LastModified'))
+                    });
+                }
+                token = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+            } while (token);
+
+            return files.sort((a, b) => a.key.localeCompare(b.key));
+        },
+
+        baseUrl,
+
+        url: (key) => `${baseUrl}/${key}`,
+
+        keyFromUrl: (url) => url.startsWith(`${baseUrl}/`) ? url.slice(baseUrl.length + 1) : null
+    };
+}
+
+module.exports = {
+    createS3Storage,
+    signRequest
+};
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Just enough of the tar (ustar) format for backup archives: gzipped regular
+// files with relative paths. Archives open with any tar tool
+// (`tar -xzf backup.tar.gz`).
+const BLOCK = 512;
+
+function writeString(header, value, offset, length) {
+    header.write(value, offset, Math.min(Buffer.byteLength(value), length));
+}
+
+function writeOctal(header, value, offset, length) {
+    writeString(header, value.toString(8).padStart(length - 1, '0') + '\0', offset, length);
+}
+
+// Long paths go into the 155 byte prefix field, split at a slash
+function splitName(name) {
+    if (Buffer.byteLength(name) <= 100) return { name, prefix: '' };
+
+    const slash = name.lastIndexOf('/', 155);
+    if (slash > 0 && Buffer.byteLength(name.slice(slash + 1)) <= 100) {
+        return { name: name.slice(slash + 1), prefix: name.slice(0, slash) };
+    }
+    throw new Error(`Path too long for archive: ${name}`);
+}
+
+function tarHeader(name, size, mtime) {
+    const header = Buffer.alloc(BLOCK);
+    const parts = splitName(name);
+
+    writeString(header, parts.name, 0, 100);
+    writeOctal(header, 0o644, 100, 8);
+    writeOctal(header, 0, 108, 8);
+    writeOctal(header, 0, 116, 8);
+    writeOctal(header, size, 124, 12);
+    writeOctal(header, Math.floor(mtime / 1000), 136, 12);
+    header.fill(' ', 148, 156);
+    header.write('0', 156);
+    header.write('ustar\u000000', 257);
+    writeString(header, parts.prefix, 345, 155);
+
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    writeString(header, checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+    return header;
+}
+
+function padding(size) {
+    return Buffer.alloc((BLOCK - (size % BLOCK)) % BLOCK);
+}
+
+// Entries are { name, data } (a Buffer) or { name, file } (a path on disk)
+async function* tarStream(entries) {
+    for (const entry of entries) {
+        if (entry.data) {
+            yield tarHeader(entry.name, entry.data.length, Date.now());
+            yield entry.data;
+            yield padding(entry.data.length);
+            continue;
+        }
+
+        const { size, mtimeMs } = await fs.promises.stat(entry.file);
+        yield tarHeader(entry.name, size, mtimeMs);
+        if (size > 0) {
+            yield* fs.createReadStream(entry.file, { end: size - 1 });
+        }
+        yield padding(size);
+    }
+    yield Buffer.alloc(BLOCK * 2);
+}
+
+// Write a .tar.gz of the entries to a writable stream
+function writeTarGz(entries, output) {
+    return pipeline(Readable.from(tarStream(entries)), zlib.createGzip(), output);
+}
+
+function readString(header, offset, length) {
+    const value = header.subarray(offset, offset + length);
+    const end = value.indexOf(0);
+    return value.subarray(0, end === -1 ? length : end).toString();
+}
+
+// Relative path inside the archive, or an error for anything that could
+// escape the destination directory
+function safeName(name) {
+    const normalized = path.posix.normalize(name);
+    if (!normalized || path.posix.isAbsolute(normalized) || normalized.split('/').includes('..')) {
+        throw new Error(`Unsafe path in archive: ${name}`);
+    }
+    return normalized;
+}
+
+// Extract a .tar.gz into destDir. Only regular files and directories are
+// accepted; returns the relative paths of the files.
+async function extractTarGz(archivePath, destDir) {
+    const names = [];
+    let buffer = Buffer.alloc(0);
+    let current = null; // file being written: { fd, remaining, skip }
+
+    for await (const chunk of fs.createReadStream(archivePath).pipe(zlib.createGunzip())) {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        while (true) {
+            if (current) {
+                const data = Math.min(current.remaining, buffer.length);
+                fs.writeSync(current.fd, buffer, 0, data);
+                current.remaining -= data;
+
+                const skip = Math.min(current.skip, buffer.length - data);
+                current.skip -= skip;
+                buffer = buffer.subarray(data + skip);
+
+                if (current.remaining > 0 || current.skip > 0) break;
+                fs.closeSync(current.fd);
+                current = null;
+            }
+
+            if (buffer.length < BLOCK) break;
+
+            const header = buffer.subarray(0, BLOCK);
+            buffer = buffer.subarray(BLOCK);
+            if (header.every(byte => byte === 0)) continue;
+
+            // Directories (as written by tar itself) are created as needed
+            const type = String.fromCharCode(header[156]);
+            if (type === '5') continue;
+            if (type !== '0' && type !== '\0') {
+                throw new Error(`Unsupported entry type "${type}" in archive`);
+            }
+
+            const prefix = readString(header, 345, 155);
+            const name = safeName(prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100));
+            const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+            const target = path.join(destDir, name);
+
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            names.push(name);
+            current = { fd: fs.openSync(target, 'w'), remaining: size, skip: padding(size).length };
+        }
+    }
+
+    if (current) {
+        fs.closeSync(current.fd);
+        throw new Error('Archive is truncated');
+    }
+    return names;
+}
+
+module.exports = {
+    writeTarGz,
+    extractTarGz
+};
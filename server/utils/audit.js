@@ -0,0 +1,41 @@
+const { auditDB } = require('../models/audit');
+
+// Record an admin action in the audit log. `actor` defaults to the session
+// admin; pass it explicitly for logins and logouts. Failures are logged but
+// never thrown, so auditing cannot break the request being audited.
+async function audit(req, action, { targetId = null, before, after, actor } = {}) {
+    const admin = actor || req.admin || (req.session && req.session.admin) || {};
+    const summary = before === undefined && after === undefined
+        ? null
+        : { before: before === undefined ? null : before, after: after === undefined ? null : after };
+
+    try {
+        await auditDB.record({
+            adminId: admin.id || null,
+            username: admin.username || null,
+            action,
+            targetId: targetId === null ? null : String(targetId),
+            ip: req.ip,
+            userAgent: req.get('User-Agent') || null,
+            summary
+        });
+    } catch (error) {
+        console.error(`❌ Failed to write audit log entry for ${action}:`, error);
+    }
+}
+
+// Short description of a region for before/after summaries
+function summarizeRegion(region) {
+    if (!region) return null;
+
+    return {
+        name: region.name || region.title,
+        projects: Array.isArray(region.projects) ? region.projects.length : 1,
+        status: region.status
+    };
+}
+
+module.exports = {
+    audit,
+    summarizeRegion
+};
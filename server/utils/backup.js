@@ -0,0 +1,281 @@
+const fs = require('fs');
+const path = require('path');
+const { DB_PATH, openDatabase, close, exec, all, get, run, withDatabase } = require('../db/connection');
+const { status } = require('../db/migrator');
+const { initializeDatabase, generateProjectsJSON } = require('../models/database');
+const { writeTarGz, extractTarGz } = require('./archive');
+const { UPLOAD_URL, ensureLocal, publishFiles, sha256File, syncMediaLibrary } = require('./media');
+const { storage } = require('../storage');
+const config = require('../config/environment');
+
+// Full-site backups: one .tar.gz holding a consistent SQLite snapshot
+// (projects.db, without sessions), projects.json, every upload the content or
+// its revision history points to, and manifest.json with a SHA-256 checksum
+// per file.
+const FORMAT = 'turfmapp-backup';
+const FORMAT_VERSION = 1;
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const DATA_DIR = path.join(ROOT_DIR, 'data');
+const PROJECTS_JSON = path.join(DATA_DIR, 'projects.json');
+
+const ARCHIVE_PATH = /^(manifest\.json|projects\.db|projects\.json|uploads\/(images|videos)\/[^/]+)$/;
+const BACKUP_FILE = /^turfmapp-backup-[\dTZ-]+\.tar\.gz$/;
+
+// Errors in an uploaded or named archive are the caller's fault, not ours
+function invalidBackup(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_BACKUP';
+    return error;
+}
+
+function makeTempDir(prefix) {
+    return fs.mkdtempSync(path.join(DATA_DIR, `.${prefix}-`));
+}
+
+// Every upload URL in the snapshot, including ones only revisions use
+// so that restoring an old revision still finds its media, plus all files of
+// the media items they belong to (original, responsive variants, video
+// posters and transcodes) so the public site renders as before
+async function referencedUploads(db) {
+    const rows = await all(db, `
+        SELECT image_url AS value FROM region_projects
+        UNION ALL SELECT video_url FROM region_projects
+        UNION ALL SELECT direct_video_url FROM region_projects
+        UNION ALL SELECT url FROM project_media
+        UNION ALL SELECT thumbnail FROM project_media
+        UNION ALL SELECT video_url FROM project_sections
+        UNION ALL SELECT url FROM section_photos
+        UNION ALL SELECT snapshot FROM revisions
+    `);
+
+    const urls = new Set();
+    rows.forEach(({ value }) => {
+        (String(value || '').match(UPLOAD_URL) || []).forEach(url => urls.add(url));
+    });
+
+    const media = await all(db, 'SELECT url, variants FROM media');
+    media.forEach(item => {
+        const files = [item.url, ...Object.values(JSON.parse(item.variants || '{}')).map(variant => variant.url)];
+        if (files.some(url => urls.has(url))) {
+            files.forEach(url => urls.add(url));
+        }
+    });
+    return [...urls].sort();
+}
+
+// Write a backup archive to a writable stream. Returns the manifest.
+async function createBackup(output) {
+    const staging = makeTempDir('backup');
+
+    try {
+        // VACUUM INTO copies the database as of a single transaction, so the
+        // snapshot is consistent even while the server keeps writing
+        const snapshot = path.join(staging, 'projects.db');
+        await withDatabase(db => run(db, 'VACUUM INTO ?', [snapshot]));
+
+        const db = await openDatabase({ file: snapshot });
+        let urls;
+        let schemaVersion;
+        try {
+            // Sessions are not content and would let anyone holding the
+            // archive sign in; VACUUM drops the deleted rows from the file
+            await exec(db, 'DELETE FROM sessions; VACUUM;');
+
+            urls = await referencedUploads(db);
+            schemaVersion = (await get(db, 'SELECT MAX(version) AS version FROM schema_migrations')).version;
+        } finally {
+            await close(db);
+        }
+
+        const entries = [{ name: 'projects.db', file: snapshot }];
+        if (fs.existsSync(PROJECTS_JSON)) {
+            entries.push({ name: 'projects.json', file: PROJECTS_JSON });
+        }
+
+        // Files only in remote storage are fetched into uploads/ first
+        const missing = [];
+        for (const url of urls) {
+            const file = await ensureLocal(url);
+            if (file && fs.statSync(file).isFile()) {
+                entries.push({ name: path.relative(ROOT_DIR, file).split(path.sep).join('/'), file });
+            } else {
+                missing.push(url);
+            }
+        }
+
+        const files = [];
+        for (const entry of entries) {
+            files.push({
+                path: entry.name,
+                size: fs.statSync(entry.file).size,
+                sha256: await sha256File(entry.file)
+            });
+        }
+
+        const manifest = {
+            format: FORMAT,
+            version: FORMAT_VERSION,
+            createdAt: new Date().toISOString(),
+            schemaVersion,
+            files,
+            missing
+        };
+
+        const manifestEntry = { name: 'manifest.json', data: Buffer.from(JSON.stringify(manifest, null, 2)) };
+        await writeTarGz([manifestEntry, ...entries], output);
+        return manifest;
+    } finally {
+        fs.rmSync(staging, { recursive: true, force: true });
+    }
+}
+
+function backupFilename(prefix = 'turfmapp-backup') {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').replace(/-\d{3}Z$/, 'Z');
+    return `${prefix}-${stamp}.tar.gz`;
+}
+
+// Write a backup archive into the backup directory (or to `file`) and return
+// its path. The archive only appears under its final name once complete.
+async function writeBackupFile(file = path.join(config.backupDir, backupFilename())) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const partial = `${file}.partial`;
+
+    try {
+        const manifest = await createBackup(fs.createWriteStream(partial));
+        fs.renameSync(partial, file);
+        return { file, manifest };
+    } catch (error) {
+        fs.rmSync(partial, { force: true });
+        throw error;
+    }
+}
+
+// Extract an archive into a staging directory and check it completely:
+// known format, a schema this code can migrate, every file listed with the
+// right size and checksum, and a database that passes an integrity check.
+// Returns { dir, manifest }; the caller removes dir.
+async function verifyBackup(archivePath) {
+    const dir = makeTempDir('restore');
+
+    try {
+        let names;
+        try {
+            names = await extractTarGz(archivePath, dir);
+        } catch (error) {
+            throw invalidBackup(`Could not read archive: ${error.message}`);
+        }
+
+        if (!names.includes('manifest.json')) {
+            throw invalidBackup('Archive has no manifest.json');
+        }
+
+        let manifest;
+        try {
+            manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+        } catch (error) {
+            throw invalidBackup('manifest.json is not valid JSON');
+        }
+
+        if (manifest.format !== FORMAT || manifest.version !== FORMAT_VERSION || !Array.isArray(manifest.files)) {
+            throw invalidBackup('Not a Turfmapp backup archive');
+        }
+
+        const latest = Math.max(...(await status()).map(migration => migration.version));
+        if (manifest.schemaVersion > latest) {
+            throw invalidBackup(`Backup uses database schema ${manifest.schemaVersion}, this version only knows up to ${latest}`);
+        }
+
+        const listed = new Set(manifest.files.map(file => file.path));
+        const unexpected = names.find(name => name !== 'manifest.json' && (!listed.has(name) || !ARCHIVE_PATH.test(name)));
+        if (unexpected) {
+            throw invalidBackup(`Unexpected file in archive: ${unexpected}`);
+        }
+        if (!listed.has('projects.db')) {
+            throw invalidBackup('Archive has no database');
+        }
+
+        for (const entry of manifest.files) {
+            const file = path.join(dir, entry.path);
+            if (!names.includes(entry.path) || !fs.existsSync(file)) {
+                throw invalidBackup(`Missing file: ${entry.path}`);
+            }
+            if (fs.statSync(file).size !== entry.size || await sha256File(file) !== entry.sha256) {
+                throw invalidBackup(`Checksum mismatch: ${entry.path}`);
+            }
+        }
+
+        const db = await openDatabase({ file: path.join(dir, 'projects.db') });
+        try {
+            const { integrity_check: result } = await get(db, 'PRAGMA integrity_check');
+            if (result !== 'ok') {
+                throw invalidBackup(`Database integrity check failed: ${result}`);
+            }
+        } finally {
+            await close(db);
+        }
+
+        return { dir, manifest };
+    } catch (error) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        throw error;
+    }
+}
+
+// Verify an archive, keep a backup of the current state, then swap the
+// database and uploads in. Uploads not in the archive are left alone, and
+// sessions are cleared (archives made before they were left out have them).
+// With remote storage the uploads are published to the bucket as well.
+// Older schemas are migrated, uploads missing from the media library are
+// registered and projects.json is regenerated.
+async function restoreBackup(archivePath) {
+    const { dir, manifest } = await verifyBackup(archivePath);
+
+    try {
+        const safety = await writeBackupFile(path.join(config.backupDir, backupFilename('turfmapp-pre-restore')));
+
+        const uploads = manifest.files.filter(file => file.path.startsWith('uploads/'));
+        for (const entry of uploads) {
+            const target = path.join(ROOT_DIR, entry.path);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.copyFileSync(path.join(dir, entry.path), target);
+        }
+        await publishFiles(uploads.map(entry => storage.url(entry.path.slice('uploads/'.length))));
+
+        // Rename is atomic, so connections see either the old or new database
+        fs.renameSync(path.join(dir, 'projects.db'), DB_PATH);
+
+        await initializeDatabase();
+        await withDatabase(db => run(db, 'DELETE FROM sessions'));
+        await syncMediaLibrary();
+        await generateProjectsJSON();
+
+        return { manifest, safetyBackup: safety.file };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// Delete the oldest scheduled/manual backups beyond the retention count.
+// Pre-restore safety backups are never pruned automatically.
+function pruneBackups(keep = config.backupRetention) {
+    if (!fs.existsSync(config.backupDir)) return [];
+
+    const backups = fs.readdirSync(config.backupDir)
+        .filter(name => BACKUP_FILE.test(name))
+        .sort()
+        .reverse();
+
+    const removed = backups.slice(keep);
+    removed.forEach(name => fs.rmSync(path.join(config.backupDir, name), { force: true }));
+    return removed;
+}
+
+module.exports = {
+    createBackup,
+    writeBackupFile,
+    verifyBackup,
+    restoreBackup,
+    pruneBackups,
+    backupFilename
+};
@@ -0,0 +1,220 @@
+const { mediaDB } = require('../models/media');
+const { contentType } = require('../storage');
+const { TERM_FIELDS } = require('../models/regions');
+const {
+    SITE_NAME, escapeHtml, plainText, siteUrl, absoluteUrl, projectsOf, regionName, workPath, projectSummary
+} = require('./seo');
+
+// RSS 2.0, Atom and JSON Feed versions of the published work: one entry per
+// project (a legacy single-project region is one), newest first, dated by
+// when it went live if it was scheduled, else by the project's `date` when it
+// reads as one and else by when it was added.
+
+const FEED_LIMIT = 50;
+const FEED_DESCRIPTION = 'New work from Turfmapp';
+
+const FEED_TYPES = {
+    rss: 'application/rss+xml',
+    atom: 'application/atom+xml',
+    json: 'application/feed+json'
+};
+
+// A stored time as a Date: SQLite's CURRENT_TIMESTAMP (UTC without a zone)
+// or an ISO timestamp. Null if there is none.
+function parseTimestamp(value) {
+    if (!value) return null;
+    const text = String(value);
+    const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// The free-text project date as a Date when it is one ("2024", "2024-03",
+// "March 2024"); anything without a year is not
+function parseProjectDate(value) {
+    const text = String(value || '').trim();
+    if (!/\b\d{4}\b/.test(text)) return null;
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// What the project detail opens with: the direct video, the first media
+// item, the video or the image (a YouTube video cannot be enclosed)
+function heroUrl(project) {
+    const first = (project.media || [])[0];
+    return project.directVideoUrl || (first && first.url) || project.video_url || project.image_url || null;
+}
+
+// When a scheduled project went live: the later of its own and its region's
+// publish_at (both have to be live). Null if neither was scheduled, or for a
+// publish_at still to come on an item published by hand.
+function wentLive(region, project) {
+    const now = new Date();
+    const times = [region.publish_at, project.publish_at]
+        .map(parseTimestamp)
+        .filter(date => date && date <= now);
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+// Enclosure of the hero media: its optimized image or web MP4 when it is in
+// the media library and processed, else the file as it is (size unknown)
+function enclosure(url, media, base) {
+    const file = (fileUrl, size, type) => ({
+        url: absoluteUrl(fileUrl, base),
+        length: size || 0,
+        type: type || contentType(new URL(fileUrl, `${base}/`).pathname)
+    });
+
+    if (!media) return file(url, 0, null);
+
+    const variant = media.type === 'image' ? media.variants.optimized : media.variants.mp4;
+    return variant
+        ? file(variant.url, variant.size, null)
+        : file(media.url, media.size, media.mime_type);
+}
+
+function termNames(project) {
+    return Object.values(TERM_FIELDS).flatMap(field => (project[field] || []).map(term => term.name));
+}
+
+// Feed entries for published regions (as projectsDB.getAll returns them)
+async function feedEntries(regions, base) {
+    const items = regions.flatMap(region => projectsOf(region).map(project => ({ region, project })));
+    const heroes = [...new Set(items.map(({ project }) => heroUrl(project)).filter(Boolean))];
+    const library = new Map((await mediaDB.findByUrls(heroes)).map(({ matched_url: url, media }) => [url, media]));
+
+    return items.map(({ region, project }) => {
+        const legacy = !Array.isArray(region.projects);
+        const added = parseTimestamp(project.created_at) || parseTimestamp(region.created_at) || new Date();
+        const published = wentLive(region, project) || parseProjectDate(project.date) || added;
+        const updated = parseTimestamp(region.updated_at) || added;
+        const url = absoluteUrl(workPath(region, legacy ? null : project), base);
+        const hero = heroUrl(project);
+
+        return {
+            id: url,
+            url,
+            title: project.title || regionName(region),
+            summary: projectSummary(project),
+            published,
+            updated: updated > published ? updated : published,
+            categories: [...new Set([...(legacy ? [] : [region.name]), ...termNames(project)])],
+            enclosure: hero ? enclosure(hero, library.get(hero), base) : null
+        };
+    })
+        .sort((a, b) => b.published - a.published)
+        .slice(0, FEED_LIMIT);
+}
+
+function rssFeed(feed) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '<channel>',
+        `  <title>${escapeHtml(feed.title)}</title>`,
+        `  <link>${escapeHtml(feed.home)}</link>`,
+        `  <description>${escapeHtml(FEED_DESCRIPTION)}</description>`,
+        '  <language>en</language>',
+        `  <atom:link href="${escapeHtml(feed.self)}" rel="self" type="${FEED_TYPES.rss}"/>`,
+        feed.updated ? `  <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>` : null,
+        ...feed.entries.map(entry => [
+            '  <item>',
+            `    <title>${escapeHtml(entry.title)}</title>`,
+            `    <link>${escapeHtml(entry.url)}</link>`,
+            `    <guid isPermaLink="true">${escapeHtml(entry.id)}</guid>`,
+            `    <pubDate>${entry.published.toUTCString()}</pubDate>`,
+            entry.summary ? `    <description>${escapeHtml(entry.summary)}</description>` : null,
+            ...entry.categories.map(name => `    <category>${escapeHtml(name)}</category>`),
+            entry.enclosure
+                ? `    <enclosure url="${escapeHtml(entry.enclosure.url)}" length="${entry.enclosure.length}" type="${escapeHtml(entry.enclosure.type)}"/>`
+                : null,
+            '  </item>'
+        ].filter(Boolean).join('\n')),
+        '</channel>',
+        '</rss>',
+        ''
+    ].filter(line => line !== null).join('\n');
+}
+
+function atomFeed(feed) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <title>${escapeHtml(feed.title)}</title>`,
+        `  <subtitle>${escapeHtml(FEED_DESCRIPTION)}</subtitle>`,
+        `  <id>${escapeHtml(feed.self)}</id>`,
+        `  <link rel="self" type="${FEED_TYPES.atom}" href="${escapeHtml(feed.self)}"/>`,
+        `  <link rel="alternate" type="text/html" href="${escapeHtml(feed.home)}"/>`,
+        `  <updated>${(feed.updated || new Date(0)).toISOString()}</updated>`,
+        `  <author><name>${SITE_NAME}</name></author>`,
+        ...feed.entries.map(entry => [
+            '  <entry>',
+            `    <title>${escapeHtml(entry.title)}</title>`,
+            `    <id>${escapeHtml(entry.id)}</id>`,
+            `    <link rel="alternate" type="text/html" href="${escapeHtml(entry.url)}"/>`,
+            `    <published>${entry.published.toISOString()}</published>`,
+            `    <updated>${entry.updated.toISOString()}</updated>`,
+            entry.summary ? `    <summary>${escapeHtml(entry.summary)}</summary>` : null,
+            ...entry.categories.map(name => `    <category term="${escapeHtml(name)}"/>`),
+            entry.enclosure
+                ? `    <link rel="enclosure" type="${escapeHtml(entry.enclosure.type)}" length="${entry.enclosure.length}" href="${escapeHtml(entry.enclosure.url)}"/>`
+                : null,
+            '  </entry>'
+        ].filter(Boolean).join('\n')),
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+function jsonFeed(feed) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.home,
+        feed_url: feed.self,
+        description: FEED_DESCRIPTION,
+        language: 'en',
+        authors: [{ name: SITE_NAME }],
+        items: feed.entries.map(entry => ({
+            id: entry.id,
+            url: entry.url,
+            title: entry.title,
+            summary: entry.summary || undefined,
+            content_text: entry.summary || entry.title,
+            date_published: entry.published.toISOString(),
+            date_modified: entry.updated.toISOString(),
+            tags: entry.categories.length > 0 ? entry.categories : undefined,
+            image: entry.enclosure && entry.enclosure.type.startsWith('image/') ? entry.enclosure.url : undefined,
+            attachments: entry.enclosure
+                ? [{ url: entry.enclosure.url, mime_type: entry.enclosure.type, size_in_bytes: entry.enclosure.length || undefined }]
+                : undefined
+        }))
+    }, null, 2);
+}
+
+const RENDERERS = { rss: rssFeed, atom: atomFeed, json: jsonFeed };
+
+// A feed of the given regions in `format` (rss, atom or json), as
+// { body, type, updated }. `terms` are the terms they were filtered on, named
+// in the title ("Turfmapp: Nike, Football"); `updated` is when the newest
+// entry last changed, for Last-Modified.
+async function renderFeed(format, regions, { req, terms = [] } = {}) {
+    const base = siteUrl();
+    const entries = await feedEntries(regions, base);
+    const names = terms.map(term => term.name);
+    const updated = entries.reduce((latest, entry) => (!latest || entry.updated > latest ? entry.updated : latest), null);
+
+    const feed = {
+        title: names.length > 0 ? `${SITE_NAME}: ${plainText(names.join(', '), 100)}` : SITE_NAME,
+        home: `${base}/`,
+        self: absoluteUrl(req.originalUrl, base),
+        updated,
+        entries
+    };
+
+    return { body: RENDERERS[format](feed), type: FEED_TYPES[format], updated };
+}
+
+module.exports = {
+    FEED_TYPES,
+    renderFeed
+};
@@ -0,0 +1,182 @@
+const EventEmitter = require('events');
+const { jobsDB } = require('../models/jobs');
+const config = require('../config/environment');
+
+// Background job runner on top of the jobs table. Handlers are registered per
+// job type; workers claim due jobs up to config.jobConcurrency at once (and
+// each type's own limit), report progress, and retry failures with an
+// exponential backoff. Every change is emitted on jobEvents as 'job'.
+const POLL_INTERVAL = 2000;
+const RETRY_DELAY = 5000;
+
+const handlers = new Map();
+const running = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+let active = 0;
+let timer = null;
+let filling = false;
+let refill = false;
+
+// An error that retrying will not fix (missing file, missing ffmpeg)
+function permanentError(message) {
+    const error = new Error(message);
+    error.code = 'JOB_PERMANENT';
+    return error;
+}
+
+// handler: { run(payload, job, progress), failed(payload, error), concurrency }.
+// run() may return a message for the finished job; failed() is called once
+// the last attempt failed.
+function registerJobHandler(type, handler) {
+    handlers.set(type, { concurrency: Infinity, failed: async () => {}, ...handler });
+    running.set(type, 0);
+}
+
+function emit(job) {
+    if (job) jobEvents.emit('job', job);
+    return job;
+}
+
+async function enqueueJob(type, payload, { mediaId = null, createdBy = null } = {}) {
+    if (!handlers.has(type)) {
+        throw new Error(`Unknown job type "${type}"`);
+    }
+
+    const job = emit(await jobsDB.enqueue(type, payload, { mediaId, createdBy, maxAttempts: config.jobMaxAttempts }));
+    wake();
+    return job;
+}
+
+async function retryJob(id) {
+    const job = emit(await jobsDB.retry(id));
+    if (job) wake();
+    return job;
+}
+
+function wake() {
+    if (timer) setImmediate(fillSlots);
+}
+
+// Claim jobs until every slot is busy or nothing is due
+async function fillSlots() {
+    if (filling) {
+        refill = true;
+        return;
+    }
+    filling = true;
+
+    try {
+        do {
+            refill = false;
+            while (active < config.jobConcurrency) {
+                const types = [...handlers]
+                    .filter(([type, handler]) => running.get(type) < handler.concurrency)
+                    .map(([type]) => type);
+                const job = await jobsDB.claimNext(types);
+                if (!job) break;
+                runJob(job);
+            }
+        } while (refill);
+    } catch (error) {
+        console.error('❌ Job queue error:', error);
+    } finally {
+        filling = false;
+    }
+}
+
+async function runJob(job) {
+    const handler = handlers.get(job.type);
+    active++;
+    running.set(job.type, running.get(job.type) + 1);
+    emit(job);
+
+    const progress = async (fraction, message = null) => {
+        emit(await jobsDB.progress(job.id, Math.min(Math.max(fraction, 0), 1), message));
+    };
+
+    try {
+        const message = await handler.run(job.payload, job, progress);
+        emit(await jobsDB.complete(job.id, typeof message === 'string' ? message : null));
+    } catch (error) {
+        const retry = error.code !== 'JOB_PERMANENT' && job.attempts < job.max_attempts;
+        const retryAt = retry ? Date.now() + RETRY_DELAY * 2 ** (job.attempts - 1) : null;
+
+        console.error(`❌ Job ${job.id} (${job.type}) failed${retry ? ', will retry' : ''}:`, error.message);
+        if (!retry) {
+            await handler.failed(job.payload, error).catch(failure => console.error('Job failure handler error:', failure));
+        }
+        emit(await jobsDB.fail(job.id, error.message, retryAt).catch(() => null));
+    } finally {
+        active--;
+        running.set(job.type, running.get(job.type) - 1);
+        wake();
+    }
+}
+
+// Start processing: jobs a stopped process left running are queued again
+// and old finished jobs are dropped, then due jobs are claimed as they are
+// queued and on a timer (for retries and jobs queued by other processes,
+// e.g. the media command)
+async function startJobWorkers({ requeue = true } = {}) {
+    if (timer) return;
+
+    if (requeue) {
+        const requeued = await jobsDB.requeueRunning();
+        if (requeued > 0) {
+            console.log(`🔄 Resuming ${requeued} interrupted job(s)`);
+        }
+        await jobsDB.prune();
+    }
+
+    timer = setInterval(fillSlots, POLL_INTERVAL);
+    timer.unref();
+    wake();
+}
+
+function stopJobWorkers() {
+    clearInterval(timer);
+    timer = null;
+}
+
+// Resolve once every one of the given jobs is done or failed, whichever
+// process ran it. onUpdate sees each job as it finishes.
+function waitForJobs(ids, onUpdate = () => {}) {
+    const pending = new Set(ids);
+
+    return new Promise((resolve, reject) => {
+        const check = async () => {
+            try {
+                const jobs = await jobsDB.getByIds([...pending]);
+                jobs.filter(job => job.status === 'done' || job.status === 'failed').forEach(job => {
+                    pending.delete(job.id);
+                    onUpdate(job);
+                });
+                // Jobs removed in the meantime (their media was deleted)
+                const found = new Set(jobs.map(job => job.id));
+                [...pending].filter(id => !found.has(id)).forEach(id => pending.delete(id));
+
+                if (pending.size === 0) {
+                    resolve();
+                } else {
+                    setTimeout(check, POLL_INTERVAL / 2);
+                }
+            } catch (error) {
+                reject(error);
+            }
+        };
+        check();
+    });
+}
+
+module.exports = {
+    jobEvents,
+    permanentError,
+    registerJobHandler,
+    enqueueJob,
+    retryJob,
+    startJobWorkers,
+    stopJobWorkers,
+    waitForJobs
+};
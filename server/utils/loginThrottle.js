@@ -0,0 +1,149 @@
+const { loginThrottleDB } = require('../models/loginThrottle');
+
+// Brute-force protection for logins, counted separately per client IP and per
+// username. After a few free attempts every further failure doubles the wait
+// before the next try (up to MAX_DELAY_SECONDS); too many failures lock the
+// key for LOCKOUT_MINUTES. Counters are forgotten after RESET_MINUTES without
+// a failure, and a username's counter is cleared by a successful login.
+//
+// An attempt is counted when it is let through (claimLoginAttempt), in the
+// same transaction as the check, so parallel requests cannot all pass before
+// any failure is written. A correct password gives the attempt back.
+const RULES = {
+    user: { freeAttempts: 3, lockAfter: 10 },
+    ip: { freeAttempts: 10, lockAfter: 50 }
+};
+const MAX_DELAY_SECONDS = 60;
+const LOCKOUT_MINUTES = 15;
+const RESET_MINUTES = 15;
+
+function throttleKeys(req, username) {
+    const keys = [{ key: `ip:${req.ip}`, rule: RULES.ip }];
+    if (username) {
+        keys.push({ key: `user:${String(username).toLowerCase()}`, rule: RULES.user });
+    }
+    return keys;
+}
+
+function delaySeconds(failures, rule) {
+    if (failures < rule.freeAttempts) return 0;
+    return Math.min(2 ** (failures - rule.freeAttempts), MAX_DELAY_SECONDS);
+}
+
+function isStale(row, now) {
+    return !row.last_failed_at || now - row.last_failed_at > RESET_MINUTES * 60 * 1000;
+}
+
+// Seconds until this client may try again for this username, or 0 if it may
+// try now. `locked` tells a lockout apart from a progressive delay.
+function throttleFor(keys, rows, now) {
+    let retryAfter = 0;
+    let locked = false;
+
+    for (const { key, rule } of keys) {
+        const row = rows.find(r => r.key === key);
+        if (!row) continue;
+
+        if (row.locked_until && row.locked_until > now) {
+            retryAfter = Math.max(retryAfter, Math.ceil((row.locked_until - now) / 1000));
+            locked = true;
+            continue;
+        }
+
+        if (isStale(row, now)) continue;
+
+        const waitUntil = row.last_failed_at + delaySeconds(row.failures, rule) * 1000;
+        if (waitUntil > now) {
+            retryAfter = Math.max(retryAfter, Math.ceil((waitUntil - now) / 1000));
+        }
+    }
+
+    return { retryAfter, locked };
+}
+
+// Check whether this client may try this username now and, if so, count the
+// attempt as a failure until a correct password gives it back. Returns
+// { retryAfter, locked } as for sendThrottled; retryAfter is 0 if allowed.
+async function claimLoginAttempt(req, username) {
+    const keys = throttleKeys(req, username);
+    const now = Date.now();
+
+    const throttle = await loginThrottleDB.update(keys.map(k => k.key), (rows) => {
+        const result = throttleFor(keys, rows, now);
+        if (result.retryAfter > 0) return { result };
+
+        const saves = keys.map(({ key }) => {
+            const row = rows.find(r => r.key === key);
+            return {
+                key,
+                failures: row && !isStale(row, now) ? row.failures + 1 : 1,
+                lastFailedAt: now,
+                lockedUntil: row && row.locked_until > now ? row.locked_until : null
+            };
+        });
+        return { saves, result };
+    });
+
+    await loginThrottleDB.prune(now - RESET_MINUTES * 60 * 1000);
+    return throttle;
+}
+
+// The claimed attempt failed: lock the keys that reached their limit.
+// Returns the keys that just became locked.
+async function recordLoginFailure(req, username) {
+    const keys = throttleKeys(req, username);
+    const now = Date.now();
+
+    return loginThrottleDB.update(keys.map(k => k.key), (rows) => {
+        const locking = keys.filter(({ key, rule }) => {
+            const row = rows.find(r => r.key === key);
+            return row && row.failures >= rule.lockAfter;
+        });
+
+        return {
+            saves: locking.map(({ key }) => ({
+                key,
+                failures: 0,
+                lastFailedAt: now,
+                lockedUntil: now + LOCKOUT_MINUTES * 60 * 1000
+            })),
+            result: locking.map(({ key }) => key)
+        };
+    });
+}
+
+// The password was right (the login may still need its second factor), so
+// the claimed attempt is not a failure
+function releaseLoginAttempt(req, username) {
+    return loginThrottleDB.refund(throttleKeys(req, username).map(k => k.key));
+}
+
+// A successful login clears the username's counter and gives back its
+// attempt. The IP counter is otherwise left to expire so one valid account
+// cannot be used to reset it.
+async function clearLoginFailures(req, username) {
+    await loginThrottleDB.refund([`ip:${req.ip}`]);
+    await loginThrottleDB.clear(`user:${String(username).toLowerCase()}`);
+}
+
+// 429 response for a throttled login, with Retry-After
+function sendThrottled(res, { retryAfter, locked }) {
+    const wait = retryAfter >= 60 ? `${Math.ceil(retryAfter / 60)} minute(s)` : `${retryAfter} second(s)`;
+
+    res.setHeader('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        error: locked ? 'Temporarily locked' : 'Too many attempts',
+        message: locked
+            ? `Too many failed login attempts. Sign-in is locked, try again in ${wait}`
+            : `Too many failed login attempts. Please wait ${wait} before trying again`,
+        retryAfter
+    });
+}
+
+module.exports = {
+    claimLoginAttempt,
+    recordLoginFailure,
+    releaseLoginAttempt,
+    clearLoginFailures,
+    sendThrottled
+};
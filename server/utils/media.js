@@ -0,0 +1,802 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { mediaDB } = require('../models/media');
+const { permanentError } = require('./jobs');
+const { UPLOADS_DIR, MIME_TYPES, storage, contentType } = require('../storage');
+const config = require('../config/environment');
+
+// Upload processing and the link between stored files and the media table.
+// Files are processed in uploads/ and then published to the storage driver
+// (see ../storage); URLs in the content are the driver's public URLs.
+const TYPE_DIRS = { image: 'images', video: 'videos' };
+
+// Accepted upload types and the extension each is stored with. The extension
+// decides how /uploads serves the file, so it comes from the (allowlisted)
+// type and never from the client's file name.
+const UPLOAD_EXTENSIONS = {
+    'image/jpeg': '.jpg', 'image/jpg': '.jpg', 'image/png': '.png', 'image/webp': '.webp', 'image/gif': '.gif',
+    'video/mp4': '.mp4', 'video/webm': '.webm', 'video/ogg': '.ogg', 'video/avi': '.avi', 'video/mov': '.mov'
+};
+const UPLOAD_KEY = /^(images|videos)\/[^/\\]+$/;
+
+// Derived files are named after the original: the optimized/thumbnail pair
+// and the responsive ladder (name-640w.avif, name-640w.webp, ...) for
+// images, poster, preview and transcodes for videos (see ./video)
+const VARIANT_SUFFIXES = { optimized: '-optimized.webp', thumbnail: '-thumb.webp' };
+const VIDEO_SUFFIXES = { poster: '-poster.jpg', preview: '-preview.mp4', mp4: '-web.mp4', webm: '-web.webm' };
+const DERIVED_FILE = /-(optimized|thumb)\.webp$|-\d+w\.(avif|webp)$|-(poster\.jpg|preview\.mp4|web\.(mp4|webm))$/;
+
+// Responsive formats, best first (the order of <source> elements)
+const LADDER_FORMATS = {
+    avif: { mimeType: 'image/avif', options: { quality: 50 } },
+    webp: { mimeType: 'image/webp', options: { quality: 80 } }
+};
+const PLACEHOLDER_WIDTH = 16;
+const THUMBNAIL = { width: 300, height: 200 };
+const ROTATIONS = [0, 90, 180, 270];
+
+// Upload URLs inside content fields or revision JSON, relative or absolute,
+// local (/uploads/...) or on the storage driver's public URL
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const UPLOAD_URL = new RegExp(
+    `(?:${storage.remote ? `${escapeRegExp(storage.baseUrl)}|` : ''}/uploads)/(?:images|videos)/[^"'\\s?#)\\\\]+`,
+    'g'
+);
+
+function sha256File(file) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(file)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+// Storage key (images/x.jpg) of an upload URL, local or public, or null
+function uploadKey(url) {
+    let key;
+    try {
+        const decoded = decodeURIComponent(url);
+        key = decoded.startsWith('/uploads/') ? decoded.slice('/uploads/'.length) : storage.keyFromUrl(decoded);
+    } catch (error) {
+        return null;
+    }
+    return key && UPLOAD_KEY.test(key) && !key.endsWith('/..') ? key : null;
+}
+
+// Public URL for a file in uploads/images or uploads/videos
+function uploadUrl(type, filename) {
+    return storage.url(`${TYPE_DIRS[type]}/${filename}`);
+}
+
+// Path of the working copy in uploads/ for an upload URL, or null
+function uploadPath(url) {
+    const key = uploadKey(url);
+    return key ? path.join(UPLOADS_DIR, key) : null;
+}
+
+// Working copy of an upload, fetched from remote storage if it is not in
+// uploads/ (e.g. on a fresh server). Null when the file is nowhere.
+async function ensureLocal(url) {
+    const file = uploadPath(url);
+    if (!file) return null;
+    if (fs.existsSync(file)) return file;
+    if (!storage.remote) return null;
+
+    let source;
+    try {
+        source = await storage.get(uploadKey(url));
+    } catch (error) {
+        if (error.code === 'NOT_FOUND') return null;
+        throw error;
+    }
+
+    const partial = `${file}.${process.pid}.download`;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    await new Promise((resolve, reject) => {
+        source.pipe(fs.createWriteStream(partial)).on('finish', resolve).on('error', reject);
+        source.on('error', reject);
+    }).catch(error => {
+        fs.rmSync(partial, { force: true });
+        throw error;
+    });
+    fs.renameSync(partial, file);
+    return file;
+}
+
+// Copy finished files from uploads/ to remote storage; nothing to do when
+// uploads/ is the storage
+async function publishFiles(urls) {
+    if (!storage.remote) return;
+
+    for (const url of urls) {
+        const key = uploadKey(url);
+        if (key) {
+            await storage.put(key, path.join(UPLOADS_DIR, key), { contentType: contentType(key) });
+        }
+    }
+}
+
+// Remove a stored file and its working copy
+async function removeFile(key) {
+    await storage.delete(key);
+    if (storage.remote) {
+        fs.rmSync(path.join(UPLOADS_DIR, key), { force: true });
+    }
+}
+
+function extractUploadUrls(values, urls = new Set()) {
+    values.forEach(value => {
+        (String(value || '').match(UPLOAD_URL) || []).forEach(url => {
+            try {
+                urls.add(decodeURIComponent(url));
+            } catch (error) {
+                urls.add(url);
+            }
+        });
+    });
+    return urls;
+}
+
+// A file name without its extension, which derived names are built on (names
+// without an extension, such as older resumable uploads, are kept whole)
+function fileBase(filename) {
+    return path.basename(filename, path.extname(filename));
+}
+
+function variantFilename(filename, variant) {
+    return fileBase(filename) + VARIANT_SUFFIXES[variant];
+}
+
+function ladderFilename(filename, width, format) {
+    return `${fileBase(filename)}-${width}w.${format}`;
+}
+
+// Ladder widths for an image: the configured widths, capped at the image's
+// own width so nothing is enlarged
+function ladderWidths(width) {
+    return [...new Set(config.imageWidths.map(target => width ? Math.min(target, width) : target))];
+}
+
+// Duration in seconds from an MP4/MOV movie header (moov/mvhd), or null
+function mp4Duration(file) {
+    let fd;
+    try {
+        fd = fs.openSync(file, 'r');
+        const header = Buffer.alloc(16);
+
+        const findBox = (start, end, type) => {
+            let offset = start;
+            while (offset + 8 <= end) {
+                fs.readSync(fd, header, 0, 16, offset);
+                let size = header.readUInt32BE(0);
+                let headerSize = 8;
+
+                if (size === 1) {
+                    size = Number(header.readBigUInt64BE(8));
+                    headerSize = 16;
+                } else if (size === 0) {
+                    size = end - offset;
+                }
+                if (size < headerSize) return null;
+
+                if (header.toString('latin1', 4, 8) === type) {
+                    return { start: offset + headerSize, end: offset + size };
+                }
+                offset += size;
+            }
+            return null;
+        };
+
+        const moov = findBox(0, fs.fstatSync(fd).size, 'moov');
+        const mvhd = moov && findBox(moov.start, moov.end, 'mvhd');
+        if (!mvhd) return null;
+
+        const data = Buffer.alloc(32);
+        fs.readSync(fd, data, 0, 32, mvhd.start);
+        const version1 = data[0] === 1;
+        const timescale = data.readUInt32BE(version1 ? 20 : 12);
+        const duration = version1 ? Number(data.readBigUInt64BE(24)) : data.readUInt32BE(16);
+
+        return timescale ? Math.round(duration / timescale * 1000) / 1000 : null;
+    } catch (error) {
+        return null;
+    } finally {
+        if (fd !== undefined) fs.closeSync(fd);
+    }
+}
+
+// Size, content hash, dimensions (images) and duration (MP4/MOV videos)
+async function describeFile(file, type) {
+    const info = {
+        size: fs.statSync(file).size,
+        hash: await sha256File(file),
+        width: null,
+        height: null,
+        duration: null,
+        placeholder: null
+    };
+
+    if (type === 'image') {
+        try {
+            const { width, height } = await sharp(file).metadata();
+            Object.assign(info, { width, height, placeholder: await createPlaceholder(file) });
+        } catch (error) {
+            console.error('Could not read image dimensions for', path.basename(file), ':', error.message);
+        }
+    } else {
+        info.duration = mp4Duration(file);
+    }
+
+    return info;
+}
+
+async function describeVariant(file, url) {
+    const variant = { url, size: fs.statSync(file).size };
+    try {
+        const { width, height } = await sharp(file).metadata();
+        Object.assign(variant, { width, height });
+    } catch (error) {
+        // Dimensions are optional
+    }
+    return variant;
+}
+
+// A blurred 16px wide WebP of an image as a data: URI, or null
+async function createPlaceholder(file) {
+    try {
+        const buffer = await sharp(file)
+            .resize(PLACEHOLDER_WIDTH, null, { fit: 'inside' })
+            .blur()
+            .webp({ quality: 40 })
+            .toBuffer();
+        return `data:image/webp;base64,${buffer.toString('base64')}`;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Resize an image to every ladder width in every format, naming the files
+// after `filename`. Variants are keyed "<format>-<width>" (e.g. "avif-640").
+// A format the installed sharp cannot encode is skipped without losing the
+// others. onProgress(fraction) is called after each file.
+async function createResponsiveVariants(file, filename = path.basename(file), onProgress = () => {}) {
+    const dir = path.dirname(file);
+    const variants = {};
+
+    const { width } = await sharp(file).metadata();
+    const widths = ladderWidths(width);
+    const formats = Object.entries(LADDER_FORMATS);
+    let done = 0;
+
+    for (const [format, { options }] of formats) {
+        try {
+            for (const target of widths) {
+                const name = ladderFilename(filename, target, format);
+                const info = await sharp(file)
+                    .resize(target, null, { withoutEnlargement: true, fit: 'inside' })[format](options)
+                    .toFile(path.join(dir, name));
+
+                variants[`${format}-${target}`] = {
+                    url: uploadUrl('image', name),
+                    size: info.size,
+                    width: info.width,
+                    height: info.height,
+                    format
+                };
+                await onProgress(++done / (widths.length * formats.length));
+            }
+        } catch (error) {
+            console.error(`Could not create ${format} variants for`, filename, ':', error.message);
+        }
+    }
+
+    return variants;
+}
+
+// A sharp pipeline cutting the thumbnail out of an image: around the focal
+// point ({ x, y } in 0..1) if there is one, otherwise from the center
+async function thumbnailPipeline(file, focal = null) {
+    if (!focal) {
+        return sharp(file).resize(THUMBNAIL.width, THUMBNAIL.height, { fit: 'cover', position: 'center' });
+    }
+
+    const { width, height } = await sharp(file).metadata();
+    const scale = Math.max(THUMBNAIL.width / width, THUMBNAIL.height / height);
+    const resized = { width: Math.max(Math.round(width * scale), THUMBNAIL.width), height: Math.max(Math.round(height * scale), THUMBNAIL.height) };
+    const offset = (point, size, target) => Math.min(Math.max(Math.round(point * size - target / 2), 0), size - target);
+
+    return sharp(file)
+        .resize(resized.width, resized.height, { fit: 'fill' })
+        .extract({
+            left: offset(focal.x, resized.width, THUMBNAIL.width),
+            top: offset(focal.y, resized.height, THUMBNAIL.height),
+            width: THUMBNAIL.width,
+            height: THUMBNAIL.height
+        });
+}
+
+// Create the optimized (max 1920px wide, 80% quality) and thumbnail (300x200,
+// cut around `focal` if given) WebP versions of an uploaded image, then the
+// responsive ladder. Throws when the image cannot be processed;
+// onProgress(fraction, message) follows along.
+async function createImageVariants(file, onProgress = () => {}, { focal = null } = {}) {
+    const filename = path.basename(file);
+    const dir = path.dirname(file);
+    const variants = {};
+
+    await onProgress(0, 'Optimizing');
+    const optimized = variantFilename(filename, 'optimized');
+    await sharp(file)
+        .resize(1920, null, {
+            withoutEnlargement: true,
+            fit: 'inside'
+        })
+        .webp({ quality: 80 })
+        .toFile(path.join(dir, optimized));
+    variants.optimized = await describeVariant(path.join(dir, optimized), uploadUrl('image', optimized));
+
+    await onProgress(0.15, 'Creating thumbnail');
+    const thumbnail = variantFilename(filename, 'thumbnail');
+    await (await thumbnailPipeline(file, focal))
+        .webp({ quality: 70 })
+        .toFile(path.join(dir, thumbnail));
+    variants.thumbnail = await describeVariant(path.join(dir, thumbnail), uploadUrl('image', thumbnail));
+
+    await onProgress(0.25, 'Creating responsive sizes');
+    const ladder = await createResponsiveVariants(file, filename, done => onProgress(0.25 + done * 0.7, 'Creating responsive sizes'));
+    Object.assign(variants, ladder);
+
+    return variants;
+}
+
+// Store a multer upload and record it in the media table
+async function registerUpload(file, variants, uploader) {
+    const type = file.mimetype.startsWith('image/') ? 'image' : 'video';
+    const info = await describeFile(file.path, type);
+    const url = uploadUrl(type, file.filename);
+    await publishFiles([url]);
+
+    return mediaDB.create({
+        type,
+        filename: file.filename,
+        url,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        ...info,
+        variants
+    }, uploader);
+}
+
+// A new library image made from `media`: rotated by `rotate` degrees
+// clockwise (after EXIF orientation), cropped to `crop` ({ x, y, w, h } in
+// 0..1 of the rotated image) and with thumbnails cut around `focal`. Stored
+// files never change, so the edit is a new file (without either, a copy
+// with the new focal point); queue its processing to make the variants.
+async function editImage(media, { crop = null, rotate = 0, focal = null } = {}, uploader = null) {
+    if (!ROTATIONS.includes(rotate)) {
+        throw new Error(`rotate must be one of ${ROTATIONS.join(', ')}`);
+    }
+
+    const source = await ensureLocal(media.url);
+    if (!source) {
+        const error = new Error('The original file of this image is missing');
+        error.code = 'FILE_MISSING';
+        throw error;
+    }
+
+    const ext = path.extname(media.filename).toLowerCase();
+    const filename = `files-${Date.now()}-${Math.round(Math.random() * 1E9)}${ext}`;
+    const target = path.join(UPLOADS_DIR, TYPE_DIRS.image, filename);
+
+    if (!crop && rotate === 0) {
+        await fs.promises.copyFile(source, target);
+    } else {
+        const oriented = await sharp(source).rotate().toBuffer();
+        let image = sharp(await sharp(oriented).rotate(rotate).toBuffer());
+
+        if (crop) {
+            const { width, height } = await image.metadata();
+            const left = Math.min(Math.round(crop.x * width), width - 1);
+            const top = Math.min(Math.round(crop.y * height), height - 1);
+            image = image.extract({
+                left,
+                top,
+                width: Math.max(Math.min(Math.round(crop.w * width), width - left), 1),
+                height: Math.max(Math.min(Math.round(crop.h * height), height - top), 1)
+            });
+        }
+        await image.toFile(target);
+    }
+
+    const edited = await registerUpload({
+        path: target,
+        filename,
+        originalname: media.original_name,
+        mimetype: media.mime_type || contentType(filename),
+        size: (await fs.promises.stat(target)).size
+    }, {}, uploader);
+    return focal ? mediaDB.setFocal(edited.id, focal) : edited;
+}
+
+// Register files on disk that the media table does not know yet: uploads from
+// before the table existed, restored backups, or files copied in by hand.
+// Variants are recognised by their names. Only for local storage; with a
+// bucket, uploads/ holds working copies (see npm run storage:migrate).
+async function syncMediaLibrary() {
+    if (storage.remote) return 0;
+
+    const known = await mediaDB.allUrls();
+    let added = 0;
+
+    for (const [type, dir] of Object.entries(TYPE_DIRS)) {
+        const fullDir = path.join(UPLOADS_DIR, dir);
+        if (!fs.existsSync(fullDir)) continue;
+
+        const names = fs.readdirSync(fullDir);
+        for (const filename of names) {
+            const url = `/uploads/${dir}/${filename}`;
+            const file = path.join(fullDir, filename);
+            if (known.has(url) || DERIVED_FILE.test(filename) || !fs.statSync(file).isFile()) continue;
+
+            const variants = {};
+            if (type === 'image') {
+                for (const variant of Object.keys(VARIANT_SUFFIXES)) {
+                    const variantFile = path.join(fullDir, variantFilename(filename, variant));
+                    if (fs.existsSync(variantFile)) {
+                        variants[variant] = await describeVariant(variantFile, `/uploads/${dir}/${path.basename(variantFile)}`);
+                    }
+                }
+
+                const base = fileBase(filename);
+                for (const name of names) {
+                    const match = name.startsWith(`${base}-`) && name.slice(base.length).match(/^-(\d+)w\.(avif|webp)$/);
+                    if (match) {
+                        const variant = await describeVariant(path.join(fullDir, name), `/uploads/${dir}/${name}`);
+                        variants[`${match[2]}-${match[1]}`] = { width: Number(match[1]), ...variant, format: match[2] };
+                    }
+                }
+            } else {
+                const base = fileBase(filename);
+                for (const [variant, suffix] of Object.entries(VIDEO_SUFFIXES)) {
+                    const variantFile = path.join(fullDir, base + suffix);
+                    if (fs.existsSync(variantFile)) {
+                        variants[variant] = { url: `/uploads/${dir}/${base + suffix}`, size: fs.statSync(variantFile).size };
+                    }
+                }
+            }
+
+            await mediaDB.create({
+                type,
+                filename,
+                url,
+                mimeType: MIME_TYPES[path.extname(filename).toLowerCase()] || null,
+                ...(await describeFile(file, type)),
+                variants,
+                createdAt: fs.statSync(file).mtime.toISOString().replace('T', ' ').slice(0, 19)
+            });
+            added++;
+        }
+    }
+
+    if (added > 0) {
+        console.log(`📚 Added ${added} existing upload(s) to the media library`);
+    }
+    return added;
+}
+
+// What the public site needs to render an image responsively: intrinsic
+// size, blur placeholder and one srcset per format, best format first.
+// Null for media without a ladder or placeholder.
+function responsiveImage(media) {
+    if (media.type !== 'image') return null;
+
+    const sources = Object.entries(LADDER_FORMATS).map(([format, { mimeType }]) => {
+        const ladder = Object.values(media.variants)
+            .filter(variant => variant.format === format && variant.width)
+            .sort((a, b) => a.width - b.width);
+
+        return ladder.length > 0
+            ? { type: mimeType, srcset: ladder.map(variant => `${variant.url} ${variant.width}w`).join(', ') }
+            : null;
+    }).filter(Boolean);
+
+    if (sources.length === 0 && !media.placeholder) return null;
+
+    return {
+        width: media.width,
+        height: media.height,
+        placeholder: media.placeholder,
+        sources
+    };
+}
+
+// What the public site needs to play a processed video: poster, muted
+// preview loop and the transcodes, best format first. Null until processing
+// has produced something.
+function responsiveVideo(media) {
+    if (media.type !== 'video') return null;
+
+    const { poster, preview, mp4, webm } = media.variants;
+    if (!poster && !mp4) return null;
+
+    return {
+        width: media.width,
+        height: media.height,
+        duration: media.duration,
+        poster: poster ? poster.url : null,
+        preview: preview ? preview.url : null,
+        sources: [
+            webm && { type: 'video/webm', src: webm.url },
+            mp4 && { type: 'video/mp4', src: mp4.url }
+        ].filter(Boolean)
+    };
+}
+
+// Add `images` and `videos` maps to every project of the given regions (and
+// to legacy single-project regions) for the public site. They are keyed by
+// the URL as the content uses it (original, optimized or thumbnail) and hold
+// responsiveImage / responsiveVideo data.
+async function attachResponsiveMedia(regions) {
+    const projectUrls = (project) => [
+        project.image_url,
+        project.video_url,
+        project.directVideoUrl,
+        ...(project.media || []).flatMap(item => [item.url, item.thumbnail]),
+        ...(project.sections || []).flatMap(section => [...(section.photos || []), section.videoUrl])
+    ].filter(Boolean);
+
+    const targets = regions.flatMap(region => Array.isArray(region.projects) ? region.projects : [region]);
+    const matches = await mediaDB.findByUrls([...new Set(targets.flatMap(projectUrls))]);
+
+    const images = {};
+    const videos = {};
+    matches.forEach(({ matched_url: url, media }) => {
+        const image = responsiveImage(media);
+        const video = responsiveVideo(media);
+        if (image) images[url] = image;
+        if (video) videos[url] = video;
+    });
+
+    targets.forEach(project => {
+        project.images = {};
+        project.videos = {};
+        projectUrls(project).forEach(url => {
+            if (images[url]) project.images[url] = images[url];
+            if (videos[url]) project.videos[url] = videos[url];
+        });
+    });
+    return regions;
+}
+
+// (Re)create every derived file of an image in the library: optimized and
+// thumbnail WebPs, the responsive ladder and the blur placeholder, then mark
+// it ready. When the original is gone only the ladder is made, from the
+// optimized copy. Ladder entries from an older IMAGE_WIDTHS are dropped.
+// The new files are published to storage before the record points at them.
+async function processImage(media, onProgress = () => {}) {
+    const original = uploadPath(media.url);
+    let source = null;
+    for (const url of [media.url, media.variants.optimized && media.variants.optimized.url].filter(Boolean)) {
+        source = await ensureLocal(url);
+        if (source) break;
+    }
+
+    if (!source) {
+        throw permanentError('The uploaded file is missing');
+    }
+
+    const { width, height } = await sharp(source).metadata();
+    const made = source === original
+        ? await createImageVariants(source, onProgress, { focal: media.focal })
+        : await createResponsiveVariants(source, media.filename, done => onProgress(done * 0.95, 'Creating responsive sizes'));
+
+    if (Object.keys(made).length === 0) {
+        throw new Error('No variants could be created');
+    }
+
+    await onProgress(0.95, 'Creating placeholder');
+    await publishFiles(Object.values(made).map(variant => variant.url));
+    const variants = Object.fromEntries(Object.entries(media.variants).filter(([, variant]) => !variant.format));
+    Object.assign(variants, made);
+
+    await mediaDB.updateVariants(media.id, {
+        variants,
+        placeholder: await createPlaceholder(source),
+        // Dimensions of the original, unless only the optimized copy is left
+        width: source === original ? width : null,
+        height: source === original ? height : null
+    });
+    return mediaDB.updateProcessing(media.id, { status: 'ready' });
+}
+
+// Whether an image lacks the responsive ladder or placeholder (uploaded
+// before they existed)
+function needsImageBackfill(media) {
+    const hasLadder = Object.values(media.variants).some(variant => variant.format);
+    return !hasLadder || !media.placeholder;
+}
+
+// Every upload with its derived files: media library records first, then
+// any other stored file grouped with its variants by name. Only files that
+// exist in storage are listed.
+async function mediaGroups() {
+    const { items } = await mediaDB.list({}, { limit: -1 });
+    const stored = new Map();
+    for (const dir of Object.values(TYPE_DIRS)) {
+        (await storage.list(`${dir}/`)).forEach(file => stored.set(file.key, file));
+    }
+    const groups = [];
+    const grouped = new Set();
+
+    const existing = (url) => {
+        const key = uploadKey(url);
+        return key && stored.has(key) ? { url, key, size: stored.get(key).size } : null;
+    };
+
+    items.forEach(media => {
+        const urls = [media.url, ...Object.values(media.variants).map(variant => variant.url)];
+        urls.forEach(url => grouped.add(url));
+
+        const files = urls.map(existing).filter(Boolean);
+        if (files.length > 0) {
+            groups.push({ url: media.url, type: media.type, mediaId: media.id, name: media.original_name || media.filename, files });
+        }
+    });
+
+    for (const [type, dir] of Object.entries(TYPE_DIRS)) {
+        const byBase = new Map();
+        for (const key of [...stored.keys()].filter(key => key.startsWith(`${dir}/`))) {
+            const filename = key.slice(dir.length + 1);
+            const url = uploadUrl(type, filename);
+            const file = existing(url);
+            if (grouped.has(url) || !file) continue;
+
+            const base = DERIVED_FILE.test(filename) ? filename.replace(DERIVED_FILE, '') : filename.replace(/\.[^.]+$/, '');
+            if (!byBase.has(base)) {
+                byBase.set(base, { url, type, mediaId: null, name: filename, files: [] });
+                groups.push(byBase.get(base));
+            }
+
+            const group = byBase.get(base);
+            group.files.push(file);
+            if (!DERIVED_FILE.test(filename)) {
+                Object.assign(group, { url, name: filename });
+            }
+        }
+    }
+
+    return groups;
+}
+
+// Whether any file of a group is referenced: 'content' (live tooltips,
+// drafts included), 'history' (only revisions, e.g. deleted tooltips that can
+// still be restored) or null
+function referenceState(group, references) {
+    const urls = group.files.map(file => file.url);
+    if (urls.some(url => references.content.has(url))) return 'content';
+    if (urls.some(url => references.history.has(url))) return 'history';
+    return null;
+}
+
+async function loadReferences() {
+    const values = await mediaDB.referenceValues();
+    return {
+        content: extractUploadUrls(values.content),
+        history: extractUploadUrls(values.history)
+    };
+}
+
+// Find uploads nothing refers to. Files only revisions refer to are listed
+// too (inHistory) but not counted as reclaimable.
+async function scanMedia() {
+    const [references, groups] = await Promise.all([loadReferences(), mediaGroups()]);
+    const orphans = [];
+    let referenced = 0;
+
+    groups.forEach(group => {
+        const state = referenceState(group, references);
+        if (state === 'content') {
+            referenced++;
+            return;
+        }
+
+        orphans.push({
+            url: group.url,
+            type: group.type,
+            name: group.name,
+            mediaId: group.mediaId,
+            inHistory: state === 'history',
+            files: group.files.map(({ url, size }) => ({ url, size })),
+            bytes: group.files.reduce((sum, file) => sum + file.size, 0)
+        });
+    });
+
+    const bytes = (list) => list.reduce((sum, orphan) => sum + orphan.bytes, 0);
+    return {
+        scanned: groups.length,
+        referenced,
+        orphans,
+        reclaimableBytes: bytes(orphans.filter(orphan => !orphan.inHistory)),
+        historyBytes: bytes(orphans.filter(orphan => orphan.inHistory))
+    };
+}
+
+// Delete the groups for the given URLs (original or variant). Each group is
+// checked against fresh references first: anything still referenced is
+// skipped unless `force`, and files only revisions use need `includeHistory`.
+async function deleteMedia(urls, { force = false, includeHistory = false } = {}) {
+    const [references, groups] = await Promise.all([loadReferences(), mediaGroups()]);
+    const deleted = [];
+    const skipped = [];
+
+    for (const url of new Set(urls)) {
+        const group = groups.find(candidate => candidate.files.some(file => file.url === url));
+        if (!group) {
+            skipped.push({ url, reason: 'not found' });
+            continue;
+        }
+        if (deleted.some(item => item.url === group.url)) continue;
+
+        const state = referenceState(group, references);
+        if (!force && (state === 'content' || (state === 'history' && !includeHistory))) {
+            skipped.push({ url, reason: state === 'content' ? 'in use' : 'used by revision history' });
+            continue;
+        }
+
+        for (const file of group.files) {
+            await removeFile(file.key);
+        }
+        if (group.mediaId) {
+            await mediaDB.delete(group.mediaId);
+        }
+
+        deleted.push({
+            url: group.url,
+            files: group.files.map(file => file.url),
+            bytes: group.files.reduce((sum, file) => sum + file.size, 0),
+            referenced: state
+        });
+    }
+
+    return {
+        deleted,
+        skipped,
+        freedBytes: deleted.reduce((sum, item) => sum + item.bytes, 0)
+    };
+}
+
+// Tooltips and fields using a file, for "in use" errors
+async function findUsage(url) {
+    const group = (await mediaGroups()).find(candidate => candidate.files.some(file => file.url === url));
+    return group && group.mediaId ? mediaDB.usage(group.mediaId) : [];
+}
+
+module.exports = {
+    UPLOADS_DIR,
+    UPLOAD_URL,
+    uploadKey,
+    uploadUrl,
+    uploadPath,
+    fileBase,
+    ensureLocal,
+    publishFiles,
+    sha256File,
+    responsiveImage,
+    responsiveVideo,
+    attachResponsiveMedia,
+    processImage,
+    needsImageBackfill,
+    scanMedia,
+    deleteMedia,
+    findUsage,
+    TYPE_DIRS,
+    UPLOAD_EXTENSIONS,
+    createImageVariants,
+    editImage,
+    registerUpload,
+    syncMediaLibrary
+};
@@ -0,0 +1,117 @@
+const { mediaDB } = require('../models/media');
+const { jobsDB } = require('../models/jobs');
+const { generateProjectsJSON } = require('../models/database');
+const { processImage, needsImageBackfill } = require('./media');
+const { processVideo, needsVideoBackfill } = require('./video');
+const { registerJobHandler, enqueueJob, permanentError } = require('./jobs');
+
+// Media work that runs on the job queue: image variants and video
+// processing, for new uploads, retries and backfills alike
+const JOB_TYPES = { image: 'image.variants', video: 'video.process' };
+const REGENERATE_DELAY = 1000;
+
+// projects.json carries srcsets and posters; regenerate it once a burst of
+// finished jobs is over rather than after every one
+let regenerateTimer = null;
+
+function regenerateProjectsJSON() {
+    clearTimeout(regenerateTimer);
+    regenerateTimer = setTimeout(() => {
+        generateProjectsJSON().catch(error => console.error('Error regenerating projects.json:', error));
+    }, REGENERATE_DELAY);
+    regenerateTimer.unref();
+}
+
+async function loadMedia({ mediaId }) {
+    const media = await mediaDB.getById(mediaId);
+    if (!media) {
+        throw permanentError('The media item no longer exists');
+    }
+    return media;
+}
+
+// Once the last attempt failed the editor shows the reason on the item
+function markFailed({ mediaId }, error) {
+    return mediaDB.updateProcessing(mediaId, { status: 'failed', error: error.message });
+}
+
+registerJobHandler(JOB_TYPES.image, {
+    run: async (payload, job, progress) => {
+        const media = await loadMedia(payload);
+        console.log(`🔄 Processing image ${media.filename}`);
+        await processImage(media, progress);
+        regenerateProjectsJSON();
+        return 'Variants created';
+    },
+    failed: markFailed
+});
+
+registerJobHandler(JOB_TYPES.video, {
+    // ffmpeg already uses every core it can get
+    concurrency: 1,
+    run: async (payload, job, progress) => {
+        const media = await loadMedia(payload);
+        console.log(`🔄 Processing video ${media.filename}`);
+        await processVideo(media, progress);
+        regenerateProjectsJSON();
+        return 'Poster, preview and transcodes created';
+    },
+    failed: markFailed
+});
+
+// Mark a media item as processing and queue the job for its type. `admin`
+// is who asked for it, if anyone. Returns { media, job }.
+async function queueMediaProcessing(media, admin = null) {
+    const queued = await mediaDB.updateProcessing(media.id, { status: 'processing' });
+    const job = await enqueueJob(JOB_TYPES[media.type], { mediaId: media.id }, {
+        mediaId: media.id,
+        createdBy: admin ? admin.id : null
+    });
+    return { media: queued, job };
+}
+
+// Media left processing without an unfinished job (e.g. queued in memory
+// before the job queue existed) are queued again
+async function resumeMediaProcessing() {
+    const processing = await mediaDB.listByStatus('processing');
+    const jobs = await jobsDB.latestForMedia(processing.map(media => media.id));
+    const active = new Set(jobs.filter(job => job.status === 'queued' || job.status === 'running').map(job => job.media_id));
+
+    const orphaned = processing.filter(media => !active.has(media.id));
+    for (const media of orphaned) {
+        await queueMediaProcessing(media);
+    }
+    if (orphaned.length > 0) {
+        console.log(`🔄 Queued processing of ${orphaned.length} media item(s)`);
+    }
+    return orphaned.length;
+}
+
+// Queue processing for library items that lack their derived files (or, with
+// `force`, for every item). Items already processing are left alone.
+// Returns { queued: [{ media, job }], skipped }.
+async function queueBackfill({ force = false, types = ['image', 'video'] } = {}) {
+    const needsBackfill = { image: needsImageBackfill, video: needsVideoBackfill };
+    const result = { queued: [], skipped: 0 };
+
+    for (const type of types) {
+        const { items } = await mediaDB.list({ type }, { limit: -1 });
+
+        for (const media of items) {
+            if (media.status === 'processing' || (!force && !needsBackfill[type](media))) {
+                result.skipped++;
+                continue;
+            }
+            result.queued.push(await queueMediaProcessing(media));
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    JOB_TYPES,
+    queueMediaProcessing,
+    resumeMediaProcessing,
+    queueBackfill
+};
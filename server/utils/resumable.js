@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { uploadSessionsDB } = require('../models/uploadSessions');
+const { UPLOADS_DIR, TYPE_DIRS, UPLOAD_EXTENSIONS } = require('./media');
+const config = require('../config/environment');
+
+// Resumable uploads for files too large for one request: the client opens an
+// upload session, sends the file in order as chunks (each with its SHA-256),
+// asks for the received offset after a dropped connection and continues
+// from there, then completes the session, which moves the file into
+// uploads/images or uploads/videos.
+const PARTIAL_DIR = path.join(UPLOADS_DIR, '.partial');
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+// Sessions a chunk is being written to right now
+const writing = new Set();
+
+// Errors the client caused; routes turn the code into a status
+function uploadError(code, message, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+}
+
+function partialPath(id) {
+    return path.join(PARTIAL_DIR, id);
+}
+
+// Session details for the client
+function describeSession(session) {
+    return {
+        id: session.id,
+        filename: session.original_name,
+        mimetype: session.mime_type,
+        size: session.size,
+        chunkSize: session.chunk_size,
+        received: session.received,
+        complete: session.received === session.size
+    };
+}
+
+async function createUploadSession({ originalName, mimeType, size }, admin) {
+    if (size > config.maxUploadSize) {
+        throw uploadError('TOO_LARGE', `Files can be at most ${Math.round(config.maxUploadSize / 1024 / 1024)}MB`);
+    }
+
+    fs.mkdirSync(PARTIAL_DIR, { recursive: true });
+    const id = crypto.randomBytes(16).toString('hex');
+    fs.writeFileSync(partialPath(id), '');
+
+    return uploadSessionsDB.create({
+        id,
+        adminId: admin ? admin.id : null,
+        originalName,
+        mimeType,
+        size,
+        chunkSize: config.uploadChunkSize
+    });
+}
+
+// Append one chunk at `offset`, which must be exactly where the last chunk
+// ended. `checksum` is the chunk's hex SHA-256 if the client sent one.
+// Returns the updated session.
+async function writeChunk(session, offset, data, checksum = null) {
+    if (offset !== session.received) {
+        throw uploadError('OFFSET_MISMATCH', `Expected the chunk at offset ${session.received}`, { received: session.received });
+    }
+    if (data.length === 0 || data.length > session.chunk_size || offset + data.length > session.size) {
+        throw uploadError('INVALID_CHUNK', `Chunks must be 1 to ${session.chunk_size} bytes and end within the file`);
+    }
+    if (checksum && crypto.createHash('sha256').update(data).digest('hex') !== checksum.toLowerCase()) {
+        throw uploadError('CHECKSUM_MISMATCH', 'The chunk does not match its checksum; send it again');
+    }
+
+    if (writing.has(session.id)) {
+        throw uploadError('OFFSET_MISMATCH', 'Another chunk is being written', { received: session.received });
+    }
+    writing.add(session.id);
+
+    try {
+        // Bytes past `received` are from a chunk that never got recorded (e.g.
+        // a crash between writing and saving the offset)
+        const file = partialPath(session.id);
+        await fs.promises.truncate(file, offset);
+        await fs.promises.appendFile(file, data);
+
+        const received = offset + data.length;
+        if (!(await uploadSessionsDB.advance(session.id, offset, received))) {
+            throw uploadError('OFFSET_MISMATCH', 'Another chunk was written at the same time', { received: session.received });
+        }
+        return { ...session, received };
+    } finally {
+        writing.delete(session.id);
+    }
+}
+
+// Move a fully received upload into place. Returns a multer-like file
+// ({ path, filename, originalname, mimetype, size }) for registerUpload.
+async function completeUpload(session) {
+    if (session.received !== session.size) {
+        throw uploadError('INCOMPLETE', `Only ${session.received} of ${session.size} bytes were received`, { received: session.received });
+    }
+
+    if (writing.has(session.id)) {
+        throw uploadError('OFFSET_MISMATCH', 'A chunk is still being written', { received: session.received });
+    }
+    writing.add(session.id);
+
+    const type = session.mime_type.startsWith('image/') ? 'image' : 'video';
+    const filename = `files-${Date.now()}-${Math.round(Math.random() * 1E9)}${UPLOAD_EXTENSIONS[session.mime_type]}`;
+    const dir = path.join(UPLOADS_DIR, TYPE_DIRS[type]);
+    const target = path.join(dir, filename);
+
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        await fs.promises.rename(partialPath(session.id), target);
+        await uploadSessionsDB.delete(session.id);
+    } finally {
+        writing.delete(session.id);
+    }
+
+    return {
+        path: target,
+        filename,
+        originalname: session.original_name,
+        mimetype: session.mime_type,
+        size: session.size
+    };
+}
+
+async function abortUpload(session) {
+    await uploadSessionsDB.delete(session.id);
+    fs.rmSync(partialPath(session.id), { force: true });
+}
+
+// Drop sessions without activity for config.uploadSessionHours, and partial
+// files no session knows
+async function pruneUploadSessions() {
+    const stale = await uploadSessionsDB.listStale(config.uploadSessionHours);
+    for (const session of stale) {
+        await abortUpload(session);
+    }
+
+    if (fs.existsSync(PARTIAL_DIR)) {
+        // Listed before the sessions so a session opened meanwhile is kept
+        const names = fs.readdirSync(PARTIAL_DIR);
+        const known = await uploadSessionsDB.allIds();
+        names
+            .filter(name => !known.has(name))
+            .forEach(name => fs.rmSync(path.join(PARTIAL_DIR, name), { force: true }));
+    }
+
+    if (stale.length > 0) {
+        console.log(`🧹 Removed ${stale.length} abandoned upload(s)`);
+    }
+    return stale.length;
+}
+
+let cleanupTimer = null;
+
+function startUploadCleanup() {
+    if (cleanupTimer) return;
+
+    pruneUploadSessions().catch(error => console.error('❌ Upload cleanup failed:', error));
+    cleanupTimer = setInterval(() => {
+        pruneUploadSessions().catch(error => console.error('❌ Upload cleanup failed:', error));
+    }, CLEANUP_INTERVAL);
+    cleanupTimer.unref();
+}
+
+module.exports = {
+    describeSession,
+    createUploadSession,
+    writeChunk,
+    completeUpload,
+    abortUpload,
+    startUploadCleanup
+};
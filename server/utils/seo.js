@@ -0,0 +1,403 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/environment');
+
+// Server-rendered pages for search engines and link previews (Slack,
+// LinkedIn, iMessage...): index.html with the title, description, Open
+// Graph/Twitter tags and JSON-LD of the page, the content as plain HTML and
+// the projects inline, so the map starts without fetching them. Also writes
+// sitemap.xml and robots.txt whenever projects.json is regenerated.
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const TEMPLATE_FILE = path.join(ROOT_DIR, 'index.html');
+const SITEMAP_FILE = path.join(ROOT_DIR, 'data', 'sitemap.xml');
+const ROBOTS_FILE = path.join(ROOT_DIR, 'data', 'robots.txt');
+
+const SITE_NAME = 'Turfmapp';
+const HOME_TITLE = 'Turfmapp Interactive Portfolio';
+const HOME_DESCRIPTION = 'Explore the Turfmapp portfolio on an interactive world map.';
+const DESCRIPTION_LENGTH = 200;
+// Preview image width to aim for (the size link unfurlers recommend)
+const PREVIEW_WIDTH = 1200;
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// One line of plain text, cut at a word near `max` characters
+function plainText(value, max = DESCRIPTION_LENGTH) {
+    const text = String(value || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    if (text.length <= max) return text;
+    return `${text.slice(0, max).replace(/\s+\S*$/, '')}…`;
+}
+
+// Paragraphs of a text field, split on blank lines
+function paragraphs(value) {
+    return String(value || '').split(/\n\s*\n/).map(part => part.trim()).filter(Boolean)
+        .map(part => `<p>${escapeHtml(part).replace(/\n/g, '<br>')}</p>`)
+        .join('');
+}
+
+// Where the site is served from (SITE_URL, see config/environment)
+function siteUrl() {
+    return config.siteUrl;
+}
+
+function absoluteUrl(url, base) {
+    try {
+        return new URL(url, `${base}/`).href;
+    } catch (error) {
+        return null;
+    }
+}
+
+// The projects of a region; a legacy single-project region is its own project
+function projectsOf(region) {
+    return Array.isArray(region.projects) ? region.projects : [region];
+}
+
+function regionName(region) {
+    return region.name || region.title || '';
+}
+
+function workPath(region, project = null) {
+    const regionPath = `/work/${encodeURIComponent(region.slug)}`;
+    return project && project.slug ? `${regionPath}/${encodeURIComponent(project.slug)}` : regionPath;
+}
+
+function projectSummary(project) {
+    const main = project.mainDescription || {};
+    const section = (project.sections || []).find(item => item.body);
+    return plainText(main.body || project.description || (section && section.body) || main.title);
+}
+
+// The responsive ladder entry closest to PREVIEW_WIDTH (the smallest at
+// least that wide, else the largest), WebP first as unfurlers read it more
+// widely than AVIF
+function previewVariant(image) {
+    const source = image.sources.find(item => item.type === 'image/webp') || image.sources[0];
+    if (!source) return null;
+
+    const ladder = source.srcset.split(',')
+        .map(entry => entry.trim().split(/\s+/))
+        .map(([url, width]) => ({ url, width: parseInt(width) }))
+        .sort((a, b) => a.width - b.width);
+    const pick = ladder.find(entry => entry.width >= PREVIEW_WIDTH) || ladder[ladder.length - 1];
+
+    return {
+        url: pick.url,
+        type: source.type,
+        width: pick.width,
+        height: image.width && image.height ? Math.round(pick.width * image.height / image.width) : null
+    };
+}
+
+// Preview image of a project, from the optimized media when it has been
+// processed: the first media item, cover image or section photo, else a
+// video poster. Unprocessed images are used as they are.
+function projectImage(project) {
+    const images = project.images || {};
+    const videos = project.videos || {};
+    const media = project.media || [];
+    const alt = (url) => {
+        const item = media.find(entry => entry.url === url || entry.thumbnail === url);
+        return (item && item.alt) || project.title || '';
+    };
+
+    const imageUrls = [
+        ...media.filter(item => item.type === 'image').map(item => item.url),
+        project.image_url,
+        ...(project.sections || []).flatMap(section => section.photos || [])
+    ].filter(Boolean);
+
+    for (const url of imageUrls) {
+        const variant = images[url] && previewVariant(images[url]);
+        if (variant) return { ...variant, alt: alt(url) };
+    }
+
+    const videoUrls = [...media.filter(item => item.type === 'video').map(item => item.url), project.video_url, project.directVideoUrl];
+    for (const url of videoUrls.filter(Boolean)) {
+        const video = videos[url];
+        if (video && video.poster) {
+            return { url: video.poster, width: video.width || null, height: video.height || null, alt: alt(url) };
+        }
+    }
+
+    return imageUrls.length > 0 ? { url: imageUrls[0], alt: alt(imageUrls[0]) } : null;
+}
+
+function projectCredits(project) {
+    const names = (terms) => (terms || []).map(term => term.name);
+    return {
+        clients: names(project.clients).length > 0 ? names(project.clients) : [project.under].filter(Boolean),
+        services: names(project.services).length > 0 ? names(project.services) : [project.service].filter(Boolean)
+    };
+}
+
+// CreativeWork JSON-LD of a project
+function projectJsonLd(region, project, url, image, base) {
+    const { services } = projectCredits(project);
+    const keywords = [...(project.tags || []).map(tag => tag.name), ...services];
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'CreativeWork',
+        name: project.title,
+        description: projectSummary(project) || undefined,
+        url,
+        image: image ? absoluteUrl(image.url, base) : undefined,
+        creator: { '@type': 'Organization', name: SITE_NAME, url: `${base}/` },
+        keywords: keywords.length > 0 ? keywords.join(', ') : undefined,
+        dateCreated: /^\d{4}(-\d{2}(-\d{2})?)?$/.test(project.date || '') ? project.date : undefined,
+        isPartOf: Array.isArray(region.projects)
+            ? { '@type': 'CreativeWork', name: region.name, url: absoluteUrl(workPath(region), base) }
+            : undefined
+    };
+}
+
+function projectArticle(project, heading = 'h1') {
+    const { clients, services } = projectCredits(project);
+    const credits = [clients.join(', '), services.join(', '), project.date].filter(Boolean);
+    const main = project.mainDescription || {};
+
+    return [
+        `<${heading}>${escapeHtml(project.title)}</${heading}>`,
+        credits.length > 0 ? `<p>${escapeHtml(credits.join(' · '))}</p>` : '',
+        main.title ? `<h2>${escapeHtml(main.title)}</h2>` : '',
+        paragraphs(main.body || project.description),
+        ...(project.sections || []).map(section => [
+            '<section>',
+            section.title ? `<h2>${escapeHtml(section.title)}</h2>` : '',
+            paragraphs(section.body),
+            '</section>'
+        ].join('')),
+        (project.links || []).length > 0
+            ? `<ul>${project.links.map(link => `<li><a href="${escapeHtml(link.url)}">${escapeHtml(link.text || link.url)}</a></li>`).join('')}</ul>`
+            : ''
+    ].join('');
+}
+
+function projectList(region, projects) {
+    return `<ul>${projects.map(project => `<li><a href="${escapeHtml(workPath(region, project))}">${escapeHtml(project.title)}</a></li>`).join('')}</ul>`;
+}
+
+function homePage(regions, base) {
+    return {
+        title: HOME_TITLE,
+        description: HOME_DESCRIPTION,
+        url: `${base}/`,
+        type: 'website',
+        image: null,
+        jsonLd: { '@context': 'https://schema.org', '@type': 'WebSite', name: SITE_NAME, url: `${base}/` },
+        body: [
+            `<h1>${escapeHtml(HOME_TITLE)}</h1>`,
+            '<ul>',
+            ...regions.map(region => [
+                `<li><a href="${escapeHtml(workPath(region))}">${escapeHtml(regionName(region))}</a>`,
+                Array.isArray(region.projects) ? projectList(region, region.projects) : '',
+                '</li>'
+            ].join('')),
+            '</ul>'
+        ].join('')
+    };
+}
+
+function regionPage(region, base) {
+    const projects = projectsOf(region);
+    const url = absoluteUrl(workPath(region), base);
+    const image = projects.map(projectImage).find(Boolean) || null;
+
+    if (!Array.isArray(region.projects)) {
+        return {
+            title: `${region.title} | ${SITE_NAME}`,
+            description: projectSummary(region) || HOME_DESCRIPTION,
+            url,
+            type: 'article',
+            image,
+            jsonLd: projectJsonLd(region, region, url, image, base),
+            body: projectArticle(region)
+        };
+    }
+
+    const titles = projects.map(project => project.title).filter(Boolean);
+    const description = (projects.length === 1 && projectSummary(projects[0]))
+        || plainText(`${projects.length === 1 ? 'Project' : `${projects.length} projects`}: ${titles.join(', ')}`);
+
+    return {
+        title: `${region.name} | ${SITE_NAME}`,
+        description: description || HOME_DESCRIPTION,
+        url,
+        type: 'website',
+        image,
+        jsonLd: {
+            '@context': 'https://schema.org',
+            '@type': 'CreativeWork',
+            name: region.name,
+            description: description || undefined,
+            url,
+            image: image ? absoluteUrl(image.url, base) : undefined,
+            creator: { '@type': 'Organization', name: SITE_NAME, url: `${base}/` },
+            hasPart: projects.map(project => {
+                const projectImageInfo = projectImage(project);
+                return {
+                    '@type': 'CreativeWork',
+                    name: project.title,
+                    url: absoluteUrl(workPath(region, project), base),
+                    image: projectImageInfo ? absoluteUrl(projectImageInfo.url, base) : undefined
+                };
+            })
+        },
+        body: `<h1>${escapeHtml(region.name)}</h1>${projects.map(project => `<article>${projectArticle(project, 'h2')}</article>`).join('')}`
+    };
+}
+
+function projectPage(region, project, base) {
+    const url = absoluteUrl(workPath(region, project), base);
+    const image = projectImage(project);
+    const others = region.projects.filter(other => other !== project);
+
+    return {
+        title: `${project.title}${project.title === region.name ? '' : ` · ${region.name}`} | ${SITE_NAME}`,
+        description: projectSummary(project) || plainText(`${project.title}, part of ${region.name}`),
+        url,
+        type: 'article',
+        image,
+        jsonLd: projectJsonLd(region, project, url, image, base),
+        body: [
+            `<article>${projectArticle(project)}</article>`,
+            others.length > 0 ? `<nav><h2>More from ${escapeHtml(region.name)}</h2>${projectList(region, others)}</nav>` : ''
+        ].join('')
+    };
+}
+
+// The page for a path: `/`, `/work/:regionSlug` or `/work/:regionSlug/:projectSlug`.
+// Unknown slugs get the home page with `found: false` (and noindex).
+function pageFor(regions, { regionSlug = null, projectSlug = null } = {}, base) {
+    if (!regionSlug) return { ...homePage(regions, base), found: true };
+
+    const region = regions.find(item => item.slug === String(regionSlug).toLowerCase());
+    if (region && !projectSlug) return { ...regionPage(region, base), found: true };
+
+    const project = region && Array.isArray(region.projects)
+        && region.projects.find(item => item.slug === String(projectSlug).toLowerCase());
+    if (project) return { ...projectPage(region, project, base), found: true };
+
+    return { ...homePage(regions, base), found: false };
+}
+
+function metaTags(page, base) {
+    const image = page.image && absoluteUrl(page.image.url, base);
+    const tags = [
+        ['name', 'description', page.description],
+        page.found ? null : ['name', 'robots', 'noindex'],
+        ['property', 'og:site_name', SITE_NAME],
+        ['property', 'og:type', page.type],
+        ['property', 'og:title', page.title],
+        ['property', 'og:description', page.description],
+        ['property', 'og:url', page.url],
+        image && ['property', 'og:image', image],
+        image && page.image.type && ['property', 'og:image:type', page.image.type],
+        image && page.image.width && ['property', 'og:image:width', page.image.width],
+        image && page.image.height && ['property', 'og:image:height', page.image.height],
+        image && page.image.alt && ['property', 'og:image:alt', page.image.alt],
+        ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+        ['name', 'twitter:title', page.title],
+        ['name', 'twitter:description', page.description],
+        image && ['name', 'twitter:image', image],
+        image && page.image.alt && ['name', 'twitter:image:alt', page.image.alt]
+    ].filter(Boolean);
+
+    return [
+        `<title>${escapeHtml(page.title)}</title>`,
+        ...tags.map(([attribute, name, content]) => `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`),
+        `<link rel="canonical" href="${escapeHtml(page.url)}">`,
+        `<script type="application/ld+json">${inlineJson(page.jsonLd)}</script>`
+    ].join('\n    ');
+}
+
+// JSON that is safe inside a <script> element
+function inlineJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// The portfolio page for a request, as { status, html }. `regions` are the
+// published regions with their responsive media, as /api/projects returns
+// them; the map uses them instead of fetching the API again.
+async function renderPage(req, regions, slugs = {}) {
+    const base = siteUrl();
+    const page = pageFor(regions, slugs, base);
+    const template = await fs.promises.readFile(TEMPLATE_FILE, 'utf8');
+
+    const html = template
+        .replace(/<title>[\s\S]*?<\/title>/, () => metaTags(page, base))
+        .replace(/<body>/, () => [
+            '<body>',
+            `    <main id="ssrContent" class="sr-only">${page.body}</main>`,
+            `    <script id="initialData" type="application/json">${inlineJson({ success: true, data: regions })}</script>`
+        ].join('\n'));
+
+    return { status: page.found ? 200 : 404, html };
+}
+
+// Only dates, which is all the timestamps here are precise to
+function lastModified(value) {
+    const match = String(value || '').match(/^\d{4}-\d{2}-\d{2}/);
+    return match ? match[0] : null;
+}
+
+// data/sitemap.xml and data/robots.txt for the published regions (as
+// projectsDB.getAll returns them). URLs use SITE_URL.
+function writeSeoFiles(regions) {
+    const base = siteUrl();
+
+    const dates = regions.map(region => lastModified(region.updated_at)).filter(Boolean).sort();
+    const entries = [{ loc: `${base}/`, lastmod: dates[dates.length - 1] }];
+    regions.forEach(region => {
+        if (!region.slug) return;
+
+        const lastmod = lastModified(region.updated_at);
+        entries.push({ loc: absoluteUrl(workPath(region), base), lastmod });
+        if (Array.isArray(region.projects)) {
+            region.projects.filter(project => project.slug)
+                .forEach(project => entries.push({ loc: absoluteUrl(workPath(region, project), base), lastmod }));
+        }
+    });
+
+    const sitemap = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...entries.map(({ loc, lastmod }) => `  <url><loc>${escapeHtml(loc)}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}</url>`),
+        '</urlset>',
+        ''
+    ].join('\n');
+
+    const robots = [
+        'User-agent: *',
+        'Disallow: /admin',
+        'Disallow: /api/',
+        '',
+        `Sitemap: ${base}/sitemap.xml`,
+        ''
+    ].join('\n');
+
+    fs.writeFileSync(SITEMAP_FILE, sitemap);
+    fs.writeFileSync(ROBOTS_FILE, robots);
+    console.log(`🗺️ Generated sitemap.xml (${entries.length} URLs) and robots.txt`);
+}
+
+module.exports = {
+    SITE_NAME,
+    SITEMAP_FILE,
+    ROBOTS_FILE,
+    escapeHtml,
+    plainText,
+    siteUrl,
+    absoluteUrl,
+    projectsOf,
+    regionName,
+    workPath,
+    projectSummary,
+    renderPage,
+    writeSeoFiles
+};
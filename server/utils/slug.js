@@ -0,0 +1,15 @@
+// URL-safe slug of a name: lowercase letters and digits (any script, accents
+// dropped) joined by single hyphens, e.g. "Café Court #2" -> "cafe-court-2"
+function slugify(value, maxLength = 80) {
+    return String(value || '')
+        .normalize('NFKD')
+        .replace(/\p{M}+/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .slice(0, maxLength)
+        .replace(/^-+|-+$/g, '');
+}
+
+module.exports = {
+    slugify
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const config = require('../config/environment');
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1, 6 digits, 30 second steps, base32 secrets.
+const ISSUER = 'Turfmapp CMS';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32.indexOf(char);
+        if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(code).padStart(DIGITS, '0');
+}
+
+// Check a code against the current step and one step either side (clock
+// drift). Returns the matching counter, or null. Codes at or before
+// `lastCounter` were already used and are rejected.
+function verifyTotp(secret, code, { lastCounter = null, window = 1, now = Date.now() } = {}) {
+    const clean = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(clean)) return null;
+
+    const current = Math.floor(now / 1000 / STEP_SECONDS);
+    for (let counter = current - window; counter <= current + window; counter++) {
+        if (lastCounter !== null && counter <= lastCounter) continue;
+
+        const expected = Buffer.from(hotp(secret, counter));
+        if (crypto.timingSafeEqual(expected, Buffer.from(clean))) {
+            return counter;
+        }
+    }
+    return null;
+}
+
+// otpauth:// URL that authenticator apps read from the enrollment QR code
+function otpauthUrl(secret, username) {
+    const label = encodeURIComponent(`${ISSUER}:${username}`);
+    const params = new URLSearchParams({ secret, issuer: ISSUER, digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+// Stored secrets are encrypted (AES-256-GCM) with a key kept outside the
+// database, so a copy of it or of a backup cannot be used to make codes
+const ENCRYPTED_PREFIX = 'v1:';
+
+function encryptionKey() {
+    return crypto.createHash('sha256').update(config.totpKey).digest();
+}
+
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return ENCRYPTED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+// The secret as stored; plain secrets (from a backup made before they were
+// encrypted) are returned as they are
+function decryptSecret(stored) {
+    if (!stored || !stored.startsWith(ENCRYPTED_PREFIX)) return stored;
+
+    const data = Buffer.from(stored.slice(ENCRYPTED_PREFIX.length), 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), data.subarray(0, 12));
+    decipher.setAuthTag(data.subarray(12, 28));
+    try {
+        return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8');
+    } catch (error) {
+        throw new Error('Could not decrypt a two-factor secret; was TOTP_ENCRYPTION_KEY or secrets/totp-key changed?');
+    }
+}
+
+// One-time recovery codes like 'k3f9-x2ma'. Only their hashes are stored.
+function generateRecoveryCodes(count = 10) {
+    return Array.from({ length: count }, () => {
+        const code = base32Encode(crypto.randomBytes(5)).toLowerCase();
+        return `${code.slice(0, 4)}-${code.slice(4, 8)}`;
+    });
+}
+
+function hashRecoveryCode(code) {
+    const clean = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(clean).digest('hex');
+}
+
+module.exports = {
+    generateSecret,
+    verifyTotp,
+    otpauthUrl,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    encryptSecret,
+    decryptSecret
+};
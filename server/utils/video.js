@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { mediaDB } = require('../models/media');
+const { ensureLocal, uploadUrl, publishFiles, fileBase } = require('./media');
+const { permanentError } = require('./jobs');
+const config = require('../config/environment');
+
+// Video processing with the locally installed ffmpeg: probe, poster frame,
+// short muted preview loop and web-friendly transcodes (H.264 MP4 with
+// faststart, optionally VP9 WebM). Files are written next to the upload's
+// working copy and published to storage one by one.
+const OUTPUTS = {
+    poster: '-poster.jpg',
+    preview: '-preview.mp4',
+    mp4: '-web.mp4',
+    webm: '-web.webm'
+};
+const PREVIEW_SECONDS = 4;
+const PREVIEW_WIDTH = 480;
+const POSTER_MAX_WIDTH = 1920;
+
+function runCommand(command, args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        const stdout = [];
+        let stderr = '';
+
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => {
+            // Only the end is useful, and ffmpeg can be very chatty
+            stderr = (stderr + chunk).slice(-2000);
+        });
+        child.on('error', reject);
+        child.on('close', code => {
+            if (code === 0) {
+                resolve(Buffer.concat(stdout).toString());
+            } else {
+                const lastLine = stderr.trim().split('\n').pop();
+                reject(new Error(`${path.basename(command)} exited with code ${code}${lastLine ? `: ${lastLine}` : ''}`));
+            }
+        });
+    });
+}
+
+function ffmpeg(args) {
+    return runCommand(config.ffmpegPath, ['-hide_banner', '-loglevel', 'error', '-y', ...args]);
+}
+
+let available = null;
+
+// Whether ffmpeg and ffprobe can be run; checked once
+function ffmpegAvailable() {
+    if (!available) {
+        available = Promise.all([
+            runCommand(config.ffmpegPath, ['-version']),
+            runCommand(config.ffprobePath, ['-version'])
+        ]).then(() => true, () => false);
+    }
+    return available;
+}
+
+// Duration (seconds), resolution and codecs of a video
+async function probeVideo(file) {
+    const output = await runCommand(config.ffprobePath, [
+        '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', file
+    ]);
+    const { format = {}, streams = [] } = JSON.parse(output);
+    const video = streams.find(stream => stream.codec_type === 'video');
+    const audio = streams.find(stream => stream.codec_type === 'audio');
+
+    if (!video) {
+        throw new Error('No video stream found');
+    }
+
+    return {
+        duration: parseFloat(format.duration || video.duration) || null,
+        width: video.width || null,
+        height: video.height || null,
+        codec: video.codec_name || null,
+        audioCodec: audio ? audio.codec_name : null
+    };
+}
+
+// Make every output for one video, saving progress as it goes so a failure
+// keeps what was already made. onProgress(fraction, message) follows the
+// steps.
+async function processVideo(media, onProgress = () => {}) {
+    const file = await ensureLocal(media.url);
+    if (!file) {
+        throw permanentError('The uploaded file is missing');
+    }
+    if (!(await ffmpegAvailable())) {
+        throw permanentError('ffmpeg is not installed on the server');
+    }
+
+    const base = fileBase(media.filename);
+    const output = (name) => ({
+        file: path.join(path.dirname(file), base + OUTPUTS[name]),
+        url: uploadUrl('video', base + OUTPUTS[name])
+    });
+    const variants = { ...media.variants };
+    const record = async (name, target, extra = {}) => {
+        await publishFiles([target.url]);
+        variants[name] = { url: target.url, size: fs.statSync(target.file).size, ...extra };
+        return mediaDB.updateProcessing(media.id, { status: 'processing', variants });
+    };
+
+    const steps = config.videoWebm ? 5 : 4;
+    await onProgress(0, 'Probing');
+    const info = await probeVideo(file);
+    await mediaDB.updateProcessing(media.id, { status: 'processing', ...info });
+
+    // A frame a little way in avoids black fade-ins
+    const frameAt = info.duration ? Math.min(1, info.duration / 10) : 0;
+
+    await onProgress(1 / steps, 'Creating poster');
+    const poster = output('poster');
+    await ffmpeg([
+        '-ss', String(frameAt), '-i', file, '-frames:v', '1',
+        '-vf', `scale='min(${POSTER_MAX_WIDTH},iw)':-2`, '-q:v', '3', poster.file
+    ]);
+    await record('poster', poster);
+
+    await onProgress(2 / steps, 'Creating preview');
+    const preview = output('preview');
+    await ffmpeg([
+        '-ss', String(frameAt), '-t', String(PREVIEW_SECONDS), '-i', file, '-an',
+        '-vf', `scale='min(${PREVIEW_WIDTH},iw)':-2`, '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '28',
+        '-pix_fmt', 'yuv420p', '-movflags', '+faststart', preview.file
+    ]);
+    await record('preview', preview, { duration: Math.min(PREVIEW_SECONDS, info.duration || PREVIEW_SECONDS) });
+
+    // H.264 with AAC (or no) audio only needs its index moved to the front;
+    // everything else is re-encoded
+    await onProgress(3 / steps, 'Transcoding MP4');
+    const mp4 = output('mp4');
+    const copyable = info.codec === 'h264' && (!info.audioCodec || info.audioCodec === 'aac');
+    await ffmpeg(copyable
+        ? ['-i', file, '-c', 'copy', '-movflags', '+faststart', mp4.file]
+        : [
+            '-i', file, '-c:v', 'libx264', '-preset', 'medium', '-crf', '23', '-pix_fmt', 'yuv420p',
+            '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2', '-c:a', 'aac', '-b:a', '128k',
+            '-movflags', '+faststart', mp4.file
+        ]);
+    await record('mp4', mp4, { codec: 'h264' });
+
+    if (config.videoWebm) {
+        await onProgress(4 / steps, 'Transcoding WebM');
+        const webm = output('webm');
+        await ffmpeg([
+            '-i', file, '-c:v', 'libvpx-vp9', '-crf', '33', '-b:v', '0', '-row-mt', '1',
+            '-c:a', 'libopus', '-b:a', '96k', webm.file
+        ]);
+        await record('webm', webm, { codec: 'vp9' });
+    }
+
+    return mediaDB.updateProcessing(media.id, { status: 'ready', variants });
+}
+
+// Whether a video lacks the poster and transcodes (uploaded before video
+// processing existed)
+function needsVideoBackfill(media) {
+    return !media.variants.poster;
+}
+
+module.exports = {
+    ffmpegAvailable,
+    probeVideo,
+    processVideo,
+    needsVideoBackfill
+};
@@ -0,0 +1,192 @@
+const { validate } = require('./schema');
+const { STATUSES } = require('../models/regions');
+
+// Schemas for tooltip (region) and legacy single-project payloads, used on
+// create, update and import
+
+const text = (maxLength) => ({ type: 'string', maxLength });
+const url = { type: 'string', format: 'url', maxLength: 2048 };
+const unit = { type: 'number', min: 0, max: 1 };
+
+// Cross-field publishing rules shared by tooltips and projects
+function checkPublishing(item) {
+    const errors = [];
+
+    if (item.status === 'scheduled' && !item.publish_at) {
+        errors.push({ path: 'publish_at', message: 'is required when status is scheduled' });
+    }
+
+    if (item.publish_at && item.unpublish_at && new Date(item.unpublish_at) <= new Date(item.publish_at)) {
+        errors.push({ path: 'unpublish_at', message: 'must be after publish_at' });
+    }
+
+    return errors;
+}
+
+const publishingProperties = {
+    status: { type: 'string', enum: STATUSES },
+    publish_at: { type: 'string', format: 'date-time' },
+    unpublish_at: { type: 'string', format: 'date-time' }
+};
+
+const coordinatesSchema = {
+    type: 'object',
+    properties: { x: unit, y: unit, w: unit, h: unit }
+};
+
+// Alt text, caption, credit and focal point of a placed image
+const mediaDetailsProperties = {
+    alt: text(500),
+    caption: text(1000),
+    credit: text(200),
+    focal: {
+        type: 'object',
+        properties: { x: { ...unit, required: true }, y: { ...unit, required: true } }
+    }
+};
+
+// Tags, clients or services of a project, as returned ({ name, slug }); the
+// slug is worked out from the name
+const termsSchema = {
+    type: 'array',
+    maxItems: 30,
+    items: {
+        type: 'object',
+        required: true,
+        properties: { name: { type: 'string', required: true, maxLength: 100 } }
+    }
+};
+
+const linksSchema = {
+    type: 'array',
+    maxItems: 20,
+    items: {
+        type: 'object',
+        required: true,
+        properties: {
+            text: text(200),
+            title: text(200),
+            url: { type: 'string', format: 'link', maxLength: 2048, required: true }
+        }
+    }
+};
+
+const projectSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        title: { type: 'string', required: true, maxLength: 200 },
+        slug: text(100),
+        under: text(100),
+        service: text(200),
+        tags: termsSchema,
+        clients: termsSchema,
+        services: termsSchema,
+        date: text(50),
+        description: text(10000),
+        mainDescription: {
+            type: 'object',
+            properties: {
+                title: text(200),
+                body: text(20000)
+            }
+        },
+        sections: {
+            type: 'array',
+            maxItems: 50,
+            items: {
+                type: 'object',
+                required: true,
+                properties: {
+                    title: text(200),
+                    body: text(20000),
+                    videoUrl: url,
+                    photos: { type: 'array', maxItems: 2, items: { ...url, required: true } },
+                    photoDetails: {
+                        type: 'array',
+                        maxItems: 2,
+                        items: { type: 'object', properties: mediaDetailsProperties }
+                    }
+                }
+            }
+        },
+        media: {
+            type: 'array',
+            maxItems: 50,
+            items: {
+                type: 'object',
+                required: true,
+                properties: {
+                    type: { type: 'string', enum: ['image', 'video'] },
+                    url: { ...url, required: true },
+                    thumbnail: url,
+                    ...mediaDetailsProperties
+                }
+            }
+        },
+        links: linksSchema,
+        image_url: url,
+        video_url: url,
+        youtube_url: url,
+        directVideoUrl: url,
+        ...publishingProperties
+    },
+    check: checkPublishing
+};
+
+const regionSchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        name: { type: 'string', required: true, maxLength: 200 },
+        projects: { type: 'array', required: true, minItems: 1, maxItems: 50, items: projectSchema },
+        coordinates: coordinatesSchema,
+        ...publishingProperties
+    },
+    check: checkPublishing
+};
+
+const legacySchema = {
+    type: 'object',
+    required: true,
+    properties: {
+        title: { type: 'string', required: true, maxLength: 200 },
+        description: text(10000),
+        image_url: url,
+        video_url: url,
+        links: linksSchema,
+        coordinates: coordinatesSchema,
+        ...publishingProperties
+    },
+    check: checkPublishing
+};
+
+// Payloads with a name and a projects array are tooltips; anything else is
+// the legacy single-project format
+function isRegionPayload(body) {
+    return Boolean(body && body.name !== undefined && Array.isArray(body.projects));
+}
+
+// Validate a create/update/import payload. Returns [{ pointer, message }];
+// `prefix` places the pointers inside a larger document (e.g. /projects/3).
+function validateProjectPayload(body, prefix = '') {
+    return validate(body, isRegionPayload(body) ? regionSchema : legacySchema, prefix);
+}
+
+// 422 response listing every invalid field
+function sendValidationErrors(res, errors) {
+    const [first] = errors;
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+
+    return res.status(422).json({
+        error: 'Validation failed',
+        message: `${first.pointer || 'Body'} ${first.message}${more}`,
+        errors
+    });
+}
+
+module.exports = {
+    validateProjectPayload,
+    isRegionPayload,
+    sendValidationErrors
+};
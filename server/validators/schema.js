@@ -0,0 +1,121 @@
+// A small declarative validator. Schemas are plain objects:
+//   { type: 'string', required, nullable, minLength, maxLength, enum, format }
+//   { type: 'number', required, nullable, min, max }
+//   { type: 'object', required, nullable, properties: { ... }, check }
+//   { type: 'array', required, nullable, items, minItems, maxItems }
+// `check(value)` on an object schema adds cross-field rules and returns
+// [{ path, message }] relative to that object. Unknown properties are ignored.
+// validate() returns [{ pointer, message }] where pointer is a JSON pointer
+// (RFC 6901) into the validated value, e.g. /projects/0/links/1/url.
+
+// Links may also be mail or phone links; everything else must be http(s) or a
+// path on this site. This keeps javascript:, data: and similar URLs out.
+const URL_SCHEMES = {
+    url: ['http:', 'https:'],
+    link: ['http:', 'https:', 'mailto:', 'tel:']
+};
+
+function isAllowedUrl(value, schemes) {
+    if (/^\/(?![/\\])/.test(value)) return true;
+
+    try {
+        return schemes.includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+const FORMATS = {
+    url: {
+        test: value => isAllowedUrl(value, URL_SCHEMES.url),
+        message: 'must be an http(s) URL or a path starting with /'
+    },
+    link: {
+        test: value => isAllowedUrl(value, URL_SCHEMES.link),
+        message: 'must be an http(s), mailto: or tel: URL, or a path starting with /'
+    },
+    'date-time': {
+        test: value => !isNaN(new Date(value).getTime()),
+        message: 'must be a valid date'
+    }
+};
+
+function escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function validate(value, schema, pointer = '', errors = []) {
+    const fail = (message, at = pointer) => errors.push({ pointer: at, message });
+
+    if (isEmpty(value)) {
+        if (schema.required) fail('is required');
+        else if (value === null && schema.nullable === false) fail('must not be null');
+        return errors;
+    }
+
+    if (schema.type === 'number' ? typeof value !== 'number' || !isFinite(value) : typeOf(value) !== schema.type) {
+        fail(`must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+        return errors;
+    }
+
+    switch (schema.type) {
+        case 'string':
+            if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+                fail(`must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                fail(`must be at most ${schema.maxLength} characters`);
+            }
+            if (schema.enum && !schema.enum.includes(value)) {
+                fail(`must be one of: ${schema.enum.join(', ')}`);
+            }
+            if (schema.format && !FORMATS[schema.format].test(value.trim())) {
+                fail(FORMATS[schema.format].message);
+            }
+            break;
+
+        case 'number':
+            if (schema.min !== undefined && value < schema.min) fail(`must be at least ${schema.min}`);
+            if (schema.max !== undefined && value > schema.max) fail(`must be at most ${schema.max}`);
+            break;
+
+        case 'array':
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail(`must have at least ${schema.minItems} item(s)`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                fail(`must have at most ${schema.maxItems} item(s)`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => validate(item, schema.items, `${pointer}/${index}`, errors));
+            }
+            break;
+
+        case 'object':
+            for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+                validate(value[key], propertySchema, `${pointer}/${escapePointer(key)}`, errors);
+            }
+            if (schema.check) {
+                for (const { path, message } of schema.check(value)) {
+                    fail(message, path ? `${pointer}/${escapePointer(path)}` : pointer);
+                }
+            }
+            break;
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validate
+};